@@ -0,0 +1,73 @@
+"use strict";
+
+/**
+ * Shared reader for frame-level `dovi_tool export` JSON (extractRpu, inspectRpu).
+ * Not a plugin; the plugins require it.
+ */
+
+(function () {
+    Object.defineProperty(exports, "__esModule", {value: true});
+    exports.parseLevel1 = exports.blockField = exports.scanRpuExport = void 0;
+
+    const fs = require("fs");
+
+    // Numeric field of an extension block body ("min_pq": 7)
+    function blockField(body, name) {
+        const m = body.match(new RegExp(`"${name}"\\s*:\\s*(-?\\d+(?:\\.\\d+)?)`));
+        return m ? Number(m[1]) : null;
+    }
+
+    // L1 min/max/avg PQ of one frame, or null when a value is missing
+    function parseLevel1(body) {
+        const minPq = blockField(body, "min_pq");
+        const maxPq = blockField(body, "max_pq");
+        const avgPq = blockField(body, "avg_pq");
+        if (minPq === null || maxPq === null || avgPq === null) return null;
+        return {minPq, maxPq, avgPq};
+    }
+
+    // The export of a feature-length RPU runs to hundreds of MB, so the JSON is scanned in
+    // chunks instead of being parsed whole. Handlers are called in file order; every RPU opens
+    // with "vdr_dm_data", so its scene refresh flag and extension blocks follow onFrame:
+    //   onFrame(), onSceneRefresh(flag), onBlock(level, body), onCmv40()
+    function scanRpuExport(exportPath, handlers) {
+        const {onFrame, onSceneRefresh, onBlock, onCmv40} = handlers;
+        const tokenRe = /"vdr_dm_data"|"cmv40_metadata"|"scene_refresh_flag"\s*:\s*(\d+)|"Level(\d+)"\s*:\s*\{([^{}]*)\}/g;
+
+        const handleToken = (match) => {
+            if (match[0] === "\"vdr_dm_data\"") {
+                if (onFrame) onFrame();
+            } else if (match[0] === "\"cmv40_metadata\"") {
+                if (onCmv40) onCmv40();
+            } else if (match[1] !== undefined) {
+                if (onSceneRefresh) onSceneRefresh(Number(match[1]));
+            } else if (onBlock) {
+                onBlock(Number(match[2]), match[3]);
+            }
+        };
+
+        return new Promise((resolve, reject) => {
+            let carry = "";
+            const stream = fs.createReadStream(exportPath, {encoding: "utf8"});
+            stream.on("error", (err) => reject(new Error(`Failed to read RPU export: ${err.message}`)));
+            stream.on("data", (chunk) => {
+                const text = carry + chunk;
+                tokenRe.lastIndex = 0;
+                let match;
+                let consumed = 0;
+                while ((match = tokenRe.exec(text)) !== null) {
+                    handleToken(match);
+                    consumed = tokenRe.lastIndex;
+                }
+                // Keep a short tail so tokens split across chunks are matched on the next read
+                carry = text.slice(Math.max(consumed, text.length - 4096));
+            });
+            stream.on("end", () => resolve());
+        });
+    }
+
+    exports.scanRpuExport = scanRpuExport;
+    exports.blockField = blockField;
+    exports.parseLevel1 = parseLevel1;
+
+})(); // end closure
@@ -0,0 +1,291 @@
+"use strict";
+
+/**
+ * Shared strict mode for the Dolby Vision filters (checkDolbyVision, checkDolbyVision7,
+ * checkDolbyVision8x, routeDolbyVisionProfile): verifies title/codec-tag matches against
+ * the file itself. Not a plugin; the filters require it.
+ */
+
+(function () {
+    Object.defineProperty(exports, "__esModule", {value: true});
+    exports.applyStrictMode = exports.parseStrictMode = exports.verifyDolbyVisionBitstream = void 0;
+
+    const {spawn} = require("child_process");
+
+    const STRICT_SCAN_FRAMES = 48;
+    const STRICT_SCAN_BYTES = 64 * 1024 * 1024;
+
+    // Elementary stream framing per codec: HEVC as Annex B, AV1 as low-overhead OBUs (with size fields)
+    const SLICE_FORMATS = {
+        hevc: {bsf: "hevc_mp4toannexb", format: "hevc"},
+        av1: {bsf: "", format: "obu"},
+    };
+
+    // Copy a bounded slice of the selected video stream to memory
+    function readVideoSlice(inputPath, streamIndex, sliceFormat) {
+        return new Promise((resolve, reject) => {
+            const ffArgs = [
+                "-v", "error",
+                "-i", inputPath,
+                "-map", `0:${streamIndex}`,
+                "-c:v", "copy",
+                ...(sliceFormat.bsf ? ["-bsf:v", sliceFormat.bsf] : []),
+                "-frames:v", String(STRICT_SCAN_FRAMES),
+                "-f", sliceFormat.format,
+                "pipe:1",
+            ];
+            const child = spawn("ffmpeg", ffArgs, {stdio: ["ignore", "pipe", "pipe"]});
+            const chunks = [];
+            let total = 0;
+            let done = false;
+
+            const finish = () => {
+                if (done) return;
+                done = true;
+                resolve(Buffer.concat(chunks, total));
+            };
+
+            child.on("error", (err) => {
+                if (done) return;
+                done = true;
+                reject(new Error(`Failed to start ffmpeg: ${err.message}`));
+            });
+            child.stdout.on("data", (data) => {
+                if (done) return;
+                chunks.push(data);
+                total += data.length;
+                if (total >= STRICT_SCAN_BYTES) {
+                    child.kill("SIGTERM");
+                    finish();
+                }
+            });
+            child.stderr.on("data", (data) => {
+                const msg = data.toString().trim();
+                if (msg) console.log(`[ffmpeg] ${msg}`);
+            });
+            child.on("close", finish);
+        });
+    }
+
+    // MSB-first bit reader with Exp-Golomb ue(v), over an RBSP (emulation prevention removed)
+    function bitReader(buf) {
+        let pos = 0;
+        const read = (n) => {
+            let value = 0;
+            for (let i = 0; i < n; i++) {
+                const byteIndex = pos >> 3;
+                if (byteIndex >= buf.length) throw new Error("RPU header truncated");
+                value = value * 2 + ((buf[byteIndex] >> (7 - (pos & 7))) & 1);
+                pos++;
+            }
+            return value;
+        };
+        const readUe = () => {
+            let zeros = 0;
+            while (read(1) === 0) {
+                if (++zeros > 31) throw new Error("Invalid Exp-Golomb code in RPU header");
+            }
+            return 2 ** zeros - 1 + read(zeros);
+        };
+        return {read, readUe};
+    }
+
+    // Drop the 0x03 emulation prevention bytes that follow two zero bytes
+    function unescapeRbsp(buf) {
+        const out = [];
+        let zeros = 0;
+        for (const byte of buf) {
+            if (zeros >= 2 && byte === 3) {
+                zeros = 0;
+                continue;
+            }
+            out.push(byte);
+            zeros = byte === 0 ? zeros + 1 : 0;
+        }
+        return Buffer.from(out);
+    }
+
+    // Dolby Vision profile from an RPU (starting at the 0x19 prefix), the way dovi_tool derives it
+    // from the sequence header; null when this RPU carries no sequence info
+    function profileFromRpu(rbsp) {
+        const reader = bitReader(rbsp);
+        if (reader.read(8) !== 0x19 || reader.read(6) !== 2) return null;
+        const rpuFormat = reader.read(11);
+        const vdrRpuProfile = reader.read(4);
+        reader.read(4); // vdr_rpu_level
+        if (!reader.read(1)) return null; // vdr_seq_info_present_flag
+
+        reader.read(1); // chroma_resampling_explicit_filter_flag
+        const coefficientDataType = reader.read(2);
+        if (coefficientDataType === 0) reader.readUe(); // coefficient_log2_denom
+        reader.read(2); // vdr_rpu_normalized_idc
+        const blFullRange = reader.read(1) === 1;
+
+        let vdrBitDepthMinus8 = 0;
+        let elSpatialResampling = false;
+        let disableResidual = true;
+        if ((rpuFormat & 0x700) === 0) {
+            reader.readUe(); // bl_bit_depth_minus8
+            reader.readUe(); // el_bit_depth_minus8
+            vdrBitDepthMinus8 = reader.readUe();
+            reader.read(1); // spatial_resampling_filter_flag
+            reader.read(3); // reserved_zero_3bits
+            elSpatialResampling = reader.read(1) === 1;
+            disableResidual = reader.read(1) === 1;
+        }
+
+        // vdr_rpu_profile 0 is the full-range P5; 1 covers P4/P7 (with a residual EL) and P8
+        if (vdrRpuProfile === 0) return blFullRange ? 5 : null;
+        if (vdrRpuProfile !== 1) return null;
+        if (elSpatialResampling && !disableResidual) return vdrBitDepthMinus8 === 4 ? 7 : 4;
+        return 8;
+    }
+
+    // HEVC NAL header: type = (byte0 >> 1) & 0x3f; Dolby Vision RPUs use UNSPEC62. Returns whether
+    // any RPU was found and the first profile a sequence header reveals.
+    const RPU_HEADER_BYTES = 64;
+
+    function scanHevcRpus(buf) {
+        let rpuFound = false;
+        for (let i = 0; i + 3 < buf.length; i++) {
+            if (buf[i] !== 0 || buf[i + 1] !== 0 || buf[i + 2] !== 1) continue;
+            i += 2;
+            if (((buf[i + 1] >> 1) & 0x3f) !== 62) continue;
+            rpuFound = true;
+            // Skip the 2-byte NAL header; the sequence info sits in the first bytes of the RPU
+            const header = unescapeRbsp(buf.subarray(i + 3, i + 3 + RPU_HEADER_BYTES));
+            try {
+                const profile = profileFromRpu(header);
+                if (profile !== null) return {rpuFound, profile};
+            } catch (err) {
+                // Truncated or malformed header; try the next RPU
+            }
+        }
+        return {rpuFound, profile: null};
+    }
+
+    // Read a LEB128 value; returns [value, bytesRead] or null when the buffer is too short
+    function readLeb128(buf, offset) {
+        let value = 0;
+        for (let i = 0; i < 8; i++) {
+            if (offset + i >= buf.length) return null;
+            const byte = buf[offset + i];
+            value += (byte & 0x7f) * 2 ** (7 * i);
+            if (!(byte & 0x80)) return [value, i + 1];
+        }
+        return null;
+    }
+
+    const OBU_METADATA = 5;
+    const METADATA_TYPE_ITUT_T35 = 4;
+    // itu_t_t35_country_code 0xB5, terminal provider 0x003B, provider-oriented code 0x00000800
+    const DOVI_T35_HEADER = Buffer.from([0xb5, 0x00, 0x3b, 0x00, 0x00, 0x08, 0x00]);
+
+    // AV1 carries Dolby Vision (always Profile 10) in ITU-T T.35 metadata OBUs
+    function containsAv1DoviMetadata(buf) {
+        let offset = 0;
+        while (offset < buf.length) {
+            const header = buf[offset];
+            if (!(header & 0x02)) return false; // no obu_size; the framing cannot be walked
+            const headerSize = header & 0x04 ? 2 : 1;
+            const leb = readLeb128(buf, offset + headerSize);
+            if (!leb) return false;
+            const payloadStart = offset + headerSize + leb[1];
+            const obuEnd = payloadStart + leb[0];
+
+            if (((header >> 3) & 0x0f) === OBU_METADATA) {
+                const type = readLeb128(buf, payloadStart);
+                if (type && type[0] === METADATA_TYPE_ITUT_T35) {
+                    const start = payloadStart + type[1];
+                    if (buf.subarray(start, start + DOVI_T35_HEADER.length).equals(DOVI_T35_HEADER)) return true;
+                }
+            }
+            offset = obuEnd;
+        }
+        return false;
+    }
+
+    // Confirm Dolby Vision in the stream itself and, when expectedProfile is set, that it is that profile.
+    // Returns {verified, profile}; profile is what the file revealed (null when it could not tell).
+    async function verifyDolbyVisionBitstream(inputPath, stream, expectedProfile, jobLog) {
+        const codec = (stream.codec_name || "").toLowerCase();
+        const expected = expectedProfile === null || expectedProfile === undefined ? null : Number(expectedProfile);
+        const matches = (profile) => expected === null || profile === expected;
+
+        // ffprobe already parsed any DOVI configuration record into side data; a different profile there settles it
+        const dvSide = (stream.side_data_list || []).find((sd) => typeof sd?.dv_profile !== "undefined");
+        if (dvSide && !matches(Number(dvSide.dv_profile))) {
+            jobLog(`✖ Strict: DOVI configuration record says profile ${dvSide.dv_profile}, expected ${expected}`);
+            return {verified: false, profile: Number(dvSide.dv_profile)};
+        }
+
+        const sliceFormat = SLICE_FORMATS[codec];
+        if (!sliceFormat) {
+            jobLog(`✖ Strict: ${codec || "unknown"} bitstreams cannot be checked for Dolby Vision; match left unverified`);
+            return {verified: false, profile: null};
+        }
+
+        try {
+            const slice = await readVideoSlice(inputPath, stream.index, sliceFormat);
+
+            if (codec === "av1") {
+                if (!containsAv1DoviMetadata(slice)) {
+                    jobLog(`✖ Strict: no Dolby Vision metadata OBUs in the first ${STRICT_SCAN_FRAMES} frames (${slice.length} bytes read)`);
+                    return {verified: false, profile: null};
+                }
+                if (!matches(10)) {
+                    jobLog(`✖ Strict: AV1 Dolby Vision is profile 10, expected ${expected}`);
+                    return {verified: false, profile: 10};
+                }
+                jobLog(`✔ Strict: Dolby Vision metadata OBUs found in the first ${STRICT_SCAN_FRAMES} frames (profile 10)`);
+                return {verified: true, profile: 10};
+            }
+
+            const {rpuFound, profile} = scanHevcRpus(slice);
+            if (!rpuFound) {
+                jobLog(`✖ Strict: no RPU NAL units in the first ${STRICT_SCAN_FRAMES} frames (${slice.length} bytes read)`);
+                return {verified: false, profile: null};
+            }
+            if (profile === null) {
+                if (expected === null) {
+                    jobLog(`✔ Strict: RPU NAL units found in the first ${STRICT_SCAN_FRAMES} frames (profile not signalled)`);
+                    return {verified: true, profile: null};
+                }
+                jobLog(`✖ Strict: RPU NAL units found, but none carries a sequence header confirming profile ${expected}`);
+                return {verified: false, profile: null};
+            }
+            if (!matches(profile)) {
+                jobLog(`✖ Strict: RPU header says profile ${profile}, expected ${expected}`);
+                return {verified: false, profile};
+            }
+            jobLog(`✔ Strict: RPU NAL units found in the first ${STRICT_SCAN_FRAMES} frames (profile ${profile})`);
+            return {verified: true, profile};
+        } catch (err) {
+            jobLog(`⚠️ Strict: bitstream read failed: ${err.message}`);
+        }
+        return {verified: false, profile: null};
+    }
+
+    // Apply the strict mode to a heuristic (title/codec tag) match: confirmed, rejected or suspect.
+    // expectedProfile is the profile the filter routes on (null: any Dolby Vision).
+    async function applyStrictMode(strictMode, inputPath, stream, expectedProfile, jobLog) {
+        if (strictMode === "off") return {accepted: true, source: "title", suspect: false, profile: null};
+        const result = await verifyDolbyVisionBitstream(inputPath, stream, expectedProfile, jobLog);
+        if (result.verified) {
+            return {accepted: true, source: "bitstream", suspect: false, profile: result.profile};
+        }
+        return {accepted: false, source: "title", suspect: strictMode === "suspect", profile: result.profile};
+    }
+
+    function parseStrictMode(value, jobLog) {
+        const mode = (value || "").toString().trim().toLowerCase() || "off";
+        if (["off", "reject", "suspect"].includes(mode)) return mode;
+        jobLog(`⚠️ Unknown strict mode "${mode}", using "off"`);
+        return "off";
+    }
+
+    exports.verifyDolbyVisionBitstream = verifyDolbyVisionBitstream;
+    exports.applyStrictMode = applyStrictMode;
+    exports.parseStrictMode = parseStrictMode;
+
+})(); // end closure
@@ -0,0 +1,58 @@
+"use strict";
+
+/**
+ * Shared video stream selection for the Dolby Vision plugins: picks the main video stream
+ * of a file, skipping cover art and still images. Not a plugin; the plugins require it.
+ */
+
+(function () {
+    Object.defineProperty(exports, "__esModule", {value: true});
+    exports.selectVideoStream = exports.streamDuration = exports.isPictureStream = void 0;
+
+    const PICTURE_CODECS = ["mjpeg", "png", "bmp", "gif", "webp"];
+
+    // Cover art, thumbnails and other still images show up as video streams too
+    const isPictureStream = (s) =>
+        Number(s?.disposition?.attached_pic) === 1 ||
+        Number(s?.disposition?.still_image) === 1 ||
+        PICTURE_CODECS.includes((s?.codec_name || "").toLowerCase());
+
+    // Stream duration in seconds; MKV only has it as a DURATION tag ("01:52:03.456000000")
+    function streamDuration(s) {
+        const duration = Number(s?.duration);
+        if (Number.isFinite(duration) && duration > 0) return duration;
+        const tag = s?.tags?.DURATION || s?.tags?.duration || "";
+        const match = String(tag).match(/^(\d+):(\d+):(\d+(?:\.\d+)?)$/);
+        return match ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) : 0;
+    }
+
+    // Pick the main video stream: the requested index when it is a real video stream in this
+    // file, otherwise the largest, then longest, then default-flagged non-picture stream
+    function selectVideoStream(streams, requestedIndex, jobLog) {
+        const candidates = (streams || []).filter((s) => s.codec_type === "video" && !isPictureStream(s));
+
+        const requested = String(requestedIndex ?? "").trim();
+        if (requested !== "") {
+            const match = candidates.find((s) => String(s.index) === requested);
+            if (match) return match;
+            const msg = `⚠️ Video stream index ${requested} is not a usable video stream in this file (missing, cover art or still image), selecting automatically`;
+            jobLog(msg);
+            console.log(msg);
+        }
+
+        const pixels = (s) => (Number(s.width) || 0) * (Number(s.height) || 0);
+        const isDefault = (s) => (Number(s.disposition?.default) === 1 ? 1 : 0);
+        const sorted = [...candidates].sort((a, b) =>
+            pixels(b) - pixels(a) ||
+            streamDuration(b) - streamDuration(a) ||
+            isDefault(b) - isDefault(a) ||
+            a.index - b.index
+        );
+        return sorted[0] || null;
+    }
+
+    exports.isPictureStream = isPictureStream;
+    exports.streamDuration = streamDuration;
+    exports.selectVideoStream = selectVideoStream;
+
+})(); // end closure
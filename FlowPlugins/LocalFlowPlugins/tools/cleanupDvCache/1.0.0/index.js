@@ -126,6 +126,23 @@
             }
         }
 
+        // --- Edit RPU history and the RPU snapshots it keeps ---
+        const editManifest = path.join(cacheDir, `${baseName}_RPU_edits.json`);
+        if (fs.existsSync(editManifest)) {
+            toDelete.add(editManifest);
+            log(jobLog, `✓ Found: Edit RPU history - ${path.basename(editManifest)}`);
+        }
+        try {
+            fs.readdirSync(cacheDir)
+                .filter((name) => name.startsWith(`${baseName}_RPU_before_`) && name.endsWith(".bin"))
+                .forEach((name) => {
+                    toDelete.add(path.join(cacheDir, name));
+                    log(jobLog, `✓ Found Edit RPU snapshot: ${name}`);
+                });
+        } catch (err) {
+            log(jobLog, `⚠️ Failed to list cache directory: ${err.message}`);
+        }
+
         // --- Audio track files from manifest ---
         const audioExportsFile = path.join(cacheDir, `${baseName}_audio.exports`);
         if (fs.existsSync(audioExportsFile)) {
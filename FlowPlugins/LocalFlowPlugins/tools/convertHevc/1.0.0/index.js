@@ -72,6 +72,23 @@
         });
     }
 
+    // Profile and BL compatibility ID of the converted stream per dovi_tool mode; 0 and 1 keep the source profile
+    const CONVERTED_PROFILES = {
+        "2": {dvProfile: 8, dvBlCompatId: 1},
+        "3": {dvProfile: 8, dvBlCompatId: 1},
+        "4": {dvProfile: 8, dvBlCompatId: 4},
+        "5": {dvProfile: 8, dvBlCompatId: 1},
+    };
+
+    // Flow variables describing the stream after conversion, so builders read the new profile, not the source's
+    function convertedVariables(variables, conversionMode, discardEL) {
+        return {
+            ...variables,
+            ...(CONVERTED_PROFILES[conversionMode] || {}),
+            ...(discardEL ? {dvElPresent: false} : {}),
+        };
+    }
+
     const details = () => ({
         name: "Convert HEVC with dovi_tool",
         description: "Convert an HEVC bitstream using dovi_tool conversion modes (supports profiles 8.1, 8.4, MEL, and more).",
@@ -220,7 +237,7 @@
         return {
             outputFileObj: inputFileObj,
             outputNumber: 1,
-            variables: args.variables
+            variables: convertedVariables(args.variables, conversionMode, discardEL),
         };
     };
 
@@ -0,0 +1,275 @@
+"use strict";
+
+(function () {
+
+    Object.defineProperty(exports, "__esModule", {value: true});
+    exports.plugin = exports.details = void 0;
+
+    // Profile 7 demuxer: dovi_tool demux → BL + EL, with optional EL/RPU archival
+    const fs = require("fs");
+    const path = require("path");
+    const {spawn} = require("child_process");
+
+    // Log helper (mirrors console + job log)
+    function log(jobLog, msg) {
+        jobLog(msg);
+        console.log(msg);
+    }
+
+    // Resolve inputs that may be wrapped in {{{ }}} to reference args.* values
+    function resolveInput(value, args) {
+        if (typeof value !== "string") return value;
+        const match = value.match(/^\{\{\{\s*(.+?)\s*\}\}\}$/);
+        if (!match) return value;
+
+        const baseExpr = match[1].trim();
+        const attempts = [baseExpr];
+
+        // Support both args.variables.user.* (old) and args.variables.* (new)
+        const userPrefixes = ["args.variables.user.", "variables.user."];
+        userPrefixes.forEach((prefix) => {
+            if (baseExpr.startsWith(prefix)) {
+                attempts.push(baseExpr.replace(prefix, prefix.replace(".user", "")));
+            }
+        });
+
+        for (const expr of attempts) {
+            try {
+                const fn = new Function("args", `return ${expr};`);
+                const resolved = fn(args);
+                if (resolved !== undefined && resolved !== null) return resolved;
+            } catch (err) {
+                console.warn(`Failed to resolve placeholder ${value} with expr "${expr}": ${err.message}`);
+            }
+        }
+
+        // Unresolved placeholders should not propagate as literal "{{{...}}}"
+        return "";
+    }
+
+    function runSpawn(command, args, label) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, args, {stdio: "pipe"});
+
+            child.on("error", (err) => {
+                reject(new Error(`Failed to start ${label}: ${err.message}`));
+            });
+
+            child.stdout.on("data", (data) => {
+                const msg = data.toString().trim();
+                if (msg) console.log(`[${label}]: ${msg}`);
+            });
+
+            child.stderr.on("data", (data) => {
+                const msg = data.toString().trim();
+                if (msg) console.warn(`[${label} ERR]: ${msg}`);
+            });
+
+            child.on("close", (code) => {
+                if (code === 0) return resolve();
+                reject(new Error(`${label} exited with code ${code}`));
+            });
+        });
+    }
+
+    // Copy via a temp name so an interrupted copy never leaves a truncated archive file
+    function copyAtomic(src, dest) {
+        const tempDest = `${dest}.tmp`;
+        fs.copyFileSync(src, tempDest);
+        fs.renameSync(tempDest, dest);
+    }
+
+    const details = () => ({
+        name: "Demux Profile 7 (BL + EL)",
+        description: "Split a Dolby Vision Profile 7 HEVC stream into separate base layer and enhancement layer files with dovi_tool demux, optionally archiving the EL and RPU so the 8.1 conversion can be reversed later.",
+        style: {borderColor: "purple"},
+        tags: "video",
+        isStartPlugin: false,
+        pType: "",
+        requiresVersion: "2.11.01",
+        sidebarPosition: 4,
+        icon: "faFilm",
+
+        inputs: [
+            {
+                label: "Dovi Tool Path",
+                name: "doviToolPath",
+                tooltip: "Required: full path to dovi_tool. Install DV Tools sets this as doviToolBin in its plugin output.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.doviToolBin}}}",
+                inputUI: {type: "directory"},
+            },
+            {
+                label: "HEVC Path",
+                name: "blHevcPath",
+                tooltip: "Path to the Profile 7 HEVC stream to demux. Leave empty to use Tdarr cache directory + <basename>.hevc (as written by Extract HEVC).",
+                inputType: "string",
+                defaultValue: "",
+                inputUI: {type: "directory"},
+            },
+            {
+                label: "Archive Directory",
+                name: "archiveDirectory",
+                tooltip: "Optional: directory to keep the EL and RPU in. Files are stored under <archive>/<source basename>/ as <source basename>_EL.hevc and <source basename>_RPU.bin. Leave empty to skip archiving.",
+                inputType: "string",
+                defaultValue: "",
+                inputUI: {type: "directory"},
+            },
+            {
+                label: "Output Directory",
+                name: "outputDirectory",
+                tooltip: "Optional: directory to write the demuxed BL and EL to. Leave empty to use Tdarr cache directory.",
+                inputType: "string",
+                defaultValue: "",
+                inputUI: {type: "directory"},
+            }
+        ],
+
+        outputs: [{number: 1, tooltip: "Continue to next step"}],
+    });
+    exports.details = details;
+
+    const plugin = async (args) => {
+        const lib = require("../../../../../methods/lib")();
+        args.inputs = lib.loadDefaultValues(args.inputs, details);
+
+        const jobLog = args.jobLog;
+        log(jobLog, "== Starting Profile 7 Demux ==");
+
+        const inputFileObj = args.inputFileObj;
+        const inputPath = inputFileObj.file;
+
+        const configuredOutputDir = (resolveInput(args.inputs.outputDirectory, args) || "").toString().trim() || "";
+        const workDir = configuredOutputDir.length > 0 ? configuredOutputDir : args.workDir;
+
+        const baseName = path.basename(inputPath, path.extname(inputPath));
+
+        const doviToolPath = (resolveInput(args.inputs.doviToolPath, args) || "").toString().trim();
+        if (!doviToolPath) {
+            log(jobLog, "🚫 Missing dovi_tool path (input: Dovi Tool Path). Set it, e.g. from Install DV Tools (doviToolBin).");
+            throw new Error("Missing dovi_tool path");
+        }
+
+        const userBlHevcPath = (resolveInput(args.inputs.blHevcPath, args) || "").toString().trim();
+        const hevcPath =
+            userBlHevcPath.length > 0
+                ? userBlHevcPath
+                : (args.variables.blHevcPath || "").toString().trim() || path.join(args.workDir, `${baseName}.hevc`);
+
+        if (!fs.existsSync(hevcPath)) {
+            log(jobLog, `🚫 HEVC stream not found: ${hevcPath}. Run Extract HEVC first.`);
+            throw new Error("HEVC stream not found");
+        }
+
+        const blOutputPath = path.join(workDir, `${baseName}_BL.hevc`);
+        const elOutputPath = path.join(workDir, `${baseName}_EL.hevc`);
+
+        log(jobLog, `Working dir (temp): ${workDir}`);
+        log(jobLog, `Base filename: ${baseName}`);
+        log(jobLog, `HEVC (input): ${hevcPath}`);
+        log(jobLog, `BL Output: ${blOutputPath}`);
+        log(jobLog, `EL Output: ${elOutputPath}`);
+
+        try {
+            if (!fs.existsSync(workDir)) {
+                log(jobLog, `📁 Creating temp directory: ${workDir}`);
+                fs.mkdirSync(workDir, {recursive: true});
+            }
+        } catch (err) {
+            log(jobLog, `🚨 Failed to ensure temp directory exists: ${workDir}`);
+            console.error(err);
+        }
+
+        if (fs.existsSync(blOutputPath) && fs.existsSync(elOutputPath)) {
+            log(jobLog, "✔ BL and EL already exist, skipping demux");
+        } else {
+            const tempBlPath = path.join(workDir, `${baseName}_BL_temp.hevc`);
+            const tempElPath = path.join(workDir, `${baseName}_EL_temp.hevc`);
+
+            log(jobLog, "🛠 Demuxing Profile 7 stream into BL and EL...");
+            try {
+                const demuxArgs = [
+                    "demux",
+                    "-i", hevcPath,
+                    "--bl-out", tempBlPath,
+                    "--el-out", tempElPath,
+                ];
+                log(jobLog, `📋 Command: ${doviToolPath} ${demuxArgs.join(' ')}`);
+                await runSpawn(doviToolPath, demuxArgs, "dovi_tool");
+
+                // An empty EL means the input was single-layer; the archive would be useless
+                if (!fs.existsSync(tempElPath) || fs.statSync(tempElPath).size === 0) {
+                    log(jobLog, "🚫 dovi_tool produced no enhancement layer. Is the input a Profile 7 stream?");
+                    throw new Error("No enhancement layer found");
+                }
+
+                fs.renameSync(tempBlPath, blOutputPath);
+                fs.renameSync(tempElPath, elOutputPath);
+                log(jobLog, "✔ Demux complete");
+            } catch (e) {
+                log(jobLog, `🚨 Demux failed: ${e.message}`);
+                for (const tempPath of [tempBlPath, tempElPath]) {
+                    try {
+                        if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+                    } catch (err) {
+                        // Best-effort cleanup
+                    }
+                }
+                throw e;
+            }
+        }
+
+        // Archive EL + RPU, keyed by the original library file name
+        let dvArchiveDir = "";
+        const archiveRoot = (resolveInput(args.inputs.archiveDirectory, args) || "").toString().trim();
+        if (archiveRoot.length > 0) {
+            const originalPath = args.originalLibraryFile?.file || inputPath;
+            const archiveKey = path.basename(originalPath, path.extname(originalPath));
+            dvArchiveDir = path.join(archiveRoot, archiveKey);
+
+            const archivedElPath = path.join(dvArchiveDir, `${archiveKey}_EL.hevc`);
+            const archivedRpuPath = path.join(dvArchiveDir, `${archiveKey}_RPU.bin`);
+            const cachedRpuPath = path.join(args.workDir, `${baseName}_RPU.bin`);
+
+            log(jobLog, `🛠 Archiving EL and RPU to ${dvArchiveDir}...`);
+            try {
+                fs.mkdirSync(dvArchiveDir, {recursive: true});
+
+                copyAtomic(elOutputPath, archivedElPath);
+                log(jobLog, `✔ EL archived: ${archivedElPath}`);
+
+                if (fs.existsSync(cachedRpuPath)) {
+                    copyAtomic(cachedRpuPath, archivedRpuPath);
+                } else {
+                    const tempRpuPath = `${archivedRpuPath}.tmp`;
+                    const rpuArgs = [
+                        "extract-rpu",
+                        "-i", hevcPath,
+                        "-o", tempRpuPath,
+                    ];
+                    log(jobLog, `📋 Command: ${doviToolPath} ${rpuArgs.join(' ')}`);
+                    await runSpawn(doviToolPath, rpuArgs, "dovi_tool");
+                    fs.renameSync(tempRpuPath, archivedRpuPath);
+                }
+                log(jobLog, `✔ RPU archived: ${archivedRpuPath}`);
+            } catch (e) {
+                log(jobLog, `🚨 Archiving failed: ${e.message}`);
+                throw e;
+            }
+        }
+
+        return {
+            outputFileObj: inputFileObj,
+            outputNumber: 1,
+            variables: {
+                ...args.variables,
+                dvBlPath: blOutputPath,
+                dvElPath: elOutputPath,
+                dvArchiveDir,
+            }
+        };
+    };
+
+    exports.plugin = plugin;
+
+})();
@@ -0,0 +1,445 @@
+"use strict";
+
+(function () {
+
+    Object.defineProperty(exports, "__esModule", {value: true});
+    exports.plugin = exports.details = void 0;
+
+    // ----------------------------------------
+    // Requires
+    // ----------------------------------------
+    const fs = require("fs");
+    const path = require("path");
+    const {spawn} = require("child_process");
+    const {selectVideoStream} = require("../../../../LocalFlowHelpers/videoStream/1.0.0/index");
+
+    // ----------------------------------------
+    // Logging helper
+    // ----------------------------------------
+    function log(jobLog, msg) {
+        jobLog(msg);
+        console.log(msg);
+    }
+
+    // Resolve inputs that may be wrapped in {{{ }}} to reference args.* values
+    function resolveInput(value, args) {
+        if (typeof value !== "string") return value;
+        const match = value.match(/^\{\{\{\s*(.+?)\s*\}\}\}$/);
+        if (!match) return value;
+
+        const baseExpr = match[1].trim();
+        const attempts = [baseExpr];
+
+        // Support both args.variables.user.* (old) and args.variables.* (new)
+        const userPrefixes = ["args.variables.user.", "variables.user."];
+        userPrefixes.forEach((prefix) => {
+            if (baseExpr.startsWith(prefix)) {
+                attempts.push(baseExpr.replace(prefix, prefix.replace(".user", "")));
+            }
+        });
+
+        for (const expr of attempts) {
+            try {
+                const fn = new Function("args", `return ${expr};`);
+                const resolved = fn(args);
+                if (resolved !== undefined && resolved !== null) return resolved;
+            } catch (err) {
+                console.warn(`Failed to resolve placeholder ${value} with expr "${expr}": ${err.message}`);
+            }
+        }
+
+        // Unresolved placeholders should not propagate as literal "{{{...}}}"
+        return "";
+    }
+
+    // ----------------------------------------
+    // Async spawn wrapper (unchanged)
+    // ----------------------------------------
+    function runSpawn(command, args) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, args, {stdio: "pipe"});
+
+            child.on("error", (err) => {
+                reject(new Error(`Failed to start ${command}: ${err.message}`));
+            });
+
+            child.stdout.on("data", (data) => {
+                const msg = data.toString().trim();
+                if (msg) console.log(`[dovi_tool]: ${msg}`);
+            });
+
+            child.stderr.on("data", (data) => {
+                const msg = data.toString().trim();
+                if (msg) console.warn(`[dovi_tool ERR]: ${msg}`);
+            });
+
+            child.on("close", (code) => {
+                if (code === 0) return resolve();
+                reject(new Error(`dovi_tool exited with code ${code}`));
+            });
+        });
+    }
+
+    // ----------------------------------------
+    // Run a command and resolve with its stdout and stderr
+    // ----------------------------------------
+    function runCapture(command, cmdArgs, label) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, cmdArgs, {stdio: "pipe"});
+
+            let stdout = "";
+            let stderr = "";
+
+            child.on("error", (err) => reject(new Error(`Failed to start ${label}: ${err.message}`)));
+            child.stdout.on("data", (data) => { stdout += data.toString(); });
+            child.stderr.on("data", (data) => { stderr += data.toString(); });
+            child.on("close", (code) => {
+                if (code === 0) return resolve({stdout, stderr});
+                reject(new Error(`${label} exited with code ${code}: ${stderr.trim().split("\n").pop()}`));
+            });
+        });
+    }
+
+
+    // ----------------------------------------
+    // Crop detection
+    // ----------------------------------------
+    const OFFSET_TOLERANCE = 8; // px; cropdetect jitters by a few rows between segments
+
+    function parseFrameRate(rate) {
+        const [num, den] = String(rate || "").split("/").map(Number);
+        if (!num) return 0;
+        return den ? num / den : num;
+    }
+
+    // cropdetect with reset=0 accumulates, so its last line is the union of all frames in the segment
+    async function detectSegmentOffsets(inputPath, streamIndex, start, seconds, width, height) {
+        const cropArgs = [
+            "-hide_banner", "-nostats",
+            "-ss", start.toFixed(3),
+            "-i", inputPath,
+            "-map", `0:${streamIndex}`,
+            "-t", String(seconds),
+            "-vf", "cropdetect=limit=0.1:round=2:reset=0",
+            "-an", "-sn",
+            "-f", "null", "-",
+        ];
+        const {stderr} = await runCapture("ffmpeg", cropArgs, "ffmpeg");
+
+        const matches = [...stderr.matchAll(/x1:(-?\d+)\s+x2:(-?\d+)\s+y1:(-?\d+)\s+y2:(-?\d+)/g)];
+        if (matches.length === 0) return null;
+
+        const [x1, x2, y1, y2] = matches[matches.length - 1].slice(1).map(Number);
+        const activeWidth = x2 - x1 + 1;
+        const activeHeight = y2 - y1 + 1;
+
+        // Near-black segments (fades, night scenes) produce a tiny or inverted box; skip them
+        if (activeWidth < width * 0.25 || activeHeight < height * 0.25) return null;
+
+        return {
+            top: Math.max(0, y1),
+            bottom: Math.max(0, height - 1 - y2),
+            left: Math.max(0, x1),
+            right: Math.max(0, width - 1 - x2),
+        };
+    }
+
+    const sameOffsets = (a, b) =>
+        ["top", "bottom", "left", "right"].every((k) => Math.abs(a[k] - b[k]) <= OFFSET_TOLERANCE);
+
+    const formatOffsets = (o) => `top=${o.top},bottom=${o.bottom},left=${o.left},right=${o.right}`;
+
+    // Collapse per-segment offsets into ranges of equal active area
+    function groupSegments(samples) {
+        // A lone sample that disagrees with both neighbours is treated as noise (dark shot, credits)
+        const smoothed = samples.map((sample, i) => {
+            const prev = samples[i - 1];
+            const next = samples[i + 1];
+            if (prev && next && sameOffsets(prev.offsets, next.offsets) && !sameOffsets(sample.offsets, prev.offsets)) {
+                return {...sample, offsets: prev.offsets};
+            }
+            return sample;
+        });
+
+        const groups = [];
+        for (const sample of smoothed) {
+            const last = groups[groups.length - 1];
+            if (last && sameOffsets(last.offsets, sample.offsets)) {
+                // Keep the smallest crop so no picture area is ever flagged as inactive
+                ["top", "bottom", "left", "right"].forEach((k) => {
+                    last.offsets[k] = Math.min(last.offsets[k], sample.offsets[k]);
+                });
+                last.lastFrame = sample.endFrame;
+            } else {
+                groups.push({offsets: {...sample.offsets}, firstFrame: sample.startFrame, lastFrame: sample.endFrame});
+            }
+        }
+        return groups;
+    }
+
+    // Move each boundary between groups to the closest RPU scene cut between the two samples
+    function snapBoundaries(groups, sceneCuts, totalFrames) {
+        const ranges = groups.map((group) => ({offsets: group.offsets, start: 0, end: totalFrames - 1}));
+        for (let i = 1; i < groups.length; i++) {
+            const lo = groups[i - 1].lastFrame + 1;
+            const hi = groups[i].firstFrame;
+            const mid = Math.round((lo + hi) / 2);
+            const candidates = sceneCuts.filter((cut) => cut >= lo && cut <= hi);
+            const boundary = candidates.length > 0
+                ? candidates.reduce((best, cut) => (Math.abs(cut - mid) < Math.abs(best - mid) ? cut : best))
+                : mid;
+            ranges[i - 1].end = boundary - 1;
+            ranges[i].start = boundary;
+        }
+        return ranges;
+    }
+
+    // ----------------------------------------
+    // Plugin Details
+    // ----------------------------------------
+    const details = () => ({
+        name: "Detect Letterbox into RPU L5",
+        description: "Runs ffmpeg cropdetect over sampled segments and writes the detected active area (L5 offsets) into the Dolby Vision RPU, per scene for variable-aspect titles.",
+        style: {borderColor: "purple"},
+        tags: "video",
+        isStartPlugin: false,
+        pType: "",
+        requiresVersion: "2.11.01",
+        sidebarPosition: 4,
+        icon: "faCrop",
+
+        inputs: [
+            {
+                label: "Dovi Tool Path",
+                name: "doviToolPath",
+                tooltip:
+                    "Required: full path to dovi_tool. Install DV Tools sets this as doviToolBin in its plugin output.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.doviToolBin}}}",
+                inputUI: {type: "directory"},
+            },
+            {
+                label: "RPU Path",
+                name: "rpuPath",
+                tooltip:
+                    "Optional: RPU.bin to update in place. Leave empty to fall back to Tdarr cache directory + <basename>_RPU.bin (output of Extract RPU).",
+                inputType: "string",
+                defaultValue: "",
+                inputUI: {type: "directory"},
+            },
+            {
+                label: "Segment Count",
+                name: "segmentCount",
+                tooltip: "Number of segments sampled between 5% and 95% of the runtime. More segments locate aspect-ratio changes more precisely. Default: 24.",
+                inputType: "string",
+                defaultValue: "24",
+                inputUI: {type: "text"},
+            },
+            {
+                label: "Segment Duration",
+                name: "segmentSeconds",
+                tooltip: "Seconds of video analysed per segment. Default: 2.",
+                inputType: "string",
+                defaultValue: "2",
+                inputUI: {type: "text"},
+            },
+            {
+                label: "Per-Scene Offsets",
+                name: "perScene",
+                tooltip: "Write separate L5 offsets for ranges with a different active area (variable-aspect/IMAX titles), with range boundaries snapped to the RPU scene cuts. Disable to write a single offset set (the smallest crop seen) for the whole title. Default: enabled.",
+                inputType: "boolean",
+                defaultValue: "true",
+                inputUI: {type: "switch"},
+            },
+            {
+                label: "Video Stream Index",
+                name: "videoStreamIndex",
+                tooltip: "ffprobe index of the video stream to use. Defaults to the stream chosen by an earlier plugin (videoStreamIndex). Leave empty to select automatically: cover art and still images are skipped, then the highest resolution, longest and default-flagged stream wins.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.videoStreamIndex}}}",
+                inputUI: {type: "text"},
+            },
+        ],
+
+        outputs: [{number: 1, tooltip: "Continue to next step"}],
+    });
+    exports.details = details;
+
+    // ----------------------------------------
+    // Plugin Entrypoint
+    // ----------------------------------------
+    const plugin = async (args) => {
+        const lib = require("../../../../../methods/lib")();
+        args.inputs = lib.loadDefaultValues(args.inputs, details);
+
+        const jobLog = args.jobLog;
+        log(jobLog, "== Starting Letterbox Detection ==");
+
+        const inputFileObj = args.inputFileObj;
+        const inputPath = inputFileObj.file;
+        const baseName = path.basename(inputPath, path.extname(inputPath));
+
+        const doviToolPath = (resolveInput(args.inputs.doviToolPath, args) || "").toString().trim();
+        if (!doviToolPath) {
+            log(jobLog, "🚫 Missing dovi_tool path (input: Dovi Tool Path). Set it, e.g. from Install DV Tools (doviToolBin).");
+            throw new Error("Missing dovi_tool path");
+        }
+
+        const userRpuPath = (resolveInput(args.inputs.rpuPath, args) || "").toString().trim();
+        const rpuPath = userRpuPath || path.join(args.workDir, `${baseName}_RPU.bin`);
+        if (!fs.existsSync(rpuPath)) {
+            log(jobLog, `🚫 RPU not found: ${rpuPath}`);
+            throw new Error("RPU input missing");
+        }
+
+        const segmentCount = Math.max(1, parseInt((resolveInput(args.inputs.segmentCount, args) || "").toString().trim(), 10) || 24);
+        const segmentSeconds = Math.max(0.5, parseFloat((resolveInput(args.inputs.segmentSeconds, args) || "").toString().trim()) || 2);
+        const perScene = String(resolveInput(args.inputs.perScene, args)) !== "false";
+
+        const streams = inputFileObj?.ffProbeData?.streams || [];
+        const videoStream = selectVideoStream(streams, resolveInput(args.inputs.videoStreamIndex, args), jobLog);
+        if (!videoStream) {
+            throw new Error("File has no video stream");
+        }
+
+        const width = Number(videoStream.width) || 0;
+        const height = Number(videoStream.height) || 0;
+        const fps = parseFrameRate(videoStream.r_frame_rate || videoStream.avg_frame_rate);
+        const duration = Number(inputFileObj?.ffProbeData?.format?.duration || videoStream.duration) || 0;
+        if (!width || !height || !fps || !duration) {
+            log(jobLog, `🚫 Missing video geometry/timing (width=${width}, height=${height}, fps=${fps}, duration=${duration})`);
+            throw new Error("Cannot sample video without dimensions, frame rate and duration");
+        }
+
+        const rpuDir = path.dirname(rpuPath);
+        const scenesPath = path.join(rpuDir, `${baseName}_RPU_scenes.txt`);
+        const configPath = path.join(rpuDir, `${baseName}_RPU_L5.json`);
+        const tempRpuPath = path.join(rpuDir, `${baseName}_RPU_L5_temp.bin`);
+
+        const cleanup = () => {
+            for (const tmpFile of [scenesPath, configPath, tempRpuPath]) {
+                try {
+                    if (fs.existsSync(tmpFile)) fs.unlinkSync(tmpFile);
+                } catch (err) {
+                    // Best-effort cleanup
+                }
+            }
+        };
+
+        try {
+            // RPU frame count and scene cuts
+            const infoArgs = ["info", "-i", rpuPath, "--summary"];
+            log(jobLog, `📋 Command: ${doviToolPath} ${infoArgs.join(' ')}`);
+            const {stdout: summary} = await runCapture(doviToolPath, infoArgs, "dovi_tool");
+            const framesMatch = summary.match(/Frames:\s*(\d+)/i);
+            const totalFrames = framesMatch ? Number(framesMatch[1]) : Math.round(duration * fps);
+
+            let sceneCuts = [];
+            if (perScene) {
+                const exportArgs = ["export", "-i", rpuPath, "-d", `scenes=${scenesPath}`];
+                log(jobLog, `📋 Command: ${doviToolPath} ${exportArgs.join(' ')}`);
+                try {
+                    await runCapture(doviToolPath, exportArgs, "dovi_tool");
+                    sceneCuts = fs.readFileSync(scenesPath, "utf8")
+                        .split(/\s+/)
+                        .filter(Boolean)
+                        .map(Number)
+                        .filter((n) => Number.isFinite(n));
+                } catch (err) {
+                    log(jobLog, `⚠️ Scene cut export failed, range boundaries will not be snapped: ${err.message}`);
+                }
+            }
+
+            // Sample segments
+            const first = duration * 0.05;
+            const span = Math.max(0, duration * 0.9 - segmentSeconds);
+            const samples = [];
+            log(jobLog, `🛠 Sampling ${segmentCount} × ${segmentSeconds}s segments of ${width}x${height} video...`);
+            for (let i = 0; i < segmentCount; i++) {
+                const start = segmentCount === 1 ? first : first + (span * i) / (segmentCount - 1);
+                let offsets = null;
+                try {
+                    offsets = await detectSegmentOffsets(inputPath, videoStream.index, start, segmentSeconds, width, height);
+                } catch (err) {
+                    log(jobLog, `⚠️ cropdetect failed at ${start.toFixed(1)}s: ${err.message}`);
+                }
+                if (!offsets) {
+                    console.log(`Segment @${start.toFixed(1)}s: too dark, skipped`);
+                    continue;
+                }
+                console.log(`Segment @${start.toFixed(1)}s: ${formatOffsets(offsets)}`);
+                samples.push({
+                    offsets,
+                    startFrame: Math.min(totalFrames - 1, Math.round(start * fps)),
+                    endFrame: Math.min(totalFrames - 1, Math.round((start + segmentSeconds) * fps)),
+                });
+            }
+
+            if (samples.length === 0) {
+                log(jobLog, "⚠️ No usable segments (all too dark); RPU left unchanged");
+                return {
+                    outputFileObj: inputFileObj,
+                    outputNumber: 1,
+                    variables: {...args.variables, dvL5Offsets: "", videoStreamIndex: videoStream.index},
+                };
+            }
+
+            let ranges;
+            if (perScene) {
+                ranges = snapBoundaries(groupSegments(samples), sceneCuts, totalFrames);
+            } else {
+                const offsets = {...samples[0].offsets};
+                samples.forEach((s) => ["top", "bottom", "left", "right"].forEach((k) => {
+                    offsets[k] = Math.min(offsets[k], s.offsets[k]);
+                }));
+                ranges = [{offsets, start: 0, end: totalFrames - 1}];
+            }
+
+            const dvL5Offsets = ranges.length === 1
+                ? formatOffsets(ranges[0].offsets)
+                : ranges.map((r) => `${r.start}-${r.end}: ${formatOffsets(r.offsets)}`).join("; ");
+            ranges.forEach((r) => log(jobLog, `L5 frames ${r.start}-${r.end}: ${formatOffsets(r.offsets)}`));
+
+            // Write L5 through the dovi_tool editor
+            const presets = [];
+            const edits = {};
+            ranges.forEach((r) => {
+                let preset = presets.find((p) => formatOffsets(p) === formatOffsets(r.offsets));
+                if (!preset) {
+                    preset = {id: presets.length, ...r.offsets};
+                    presets.push(preset);
+                }
+                edits[ranges.length === 1 ? "all" : `${r.start}-${r.end}`] = preset.id;
+            });
+            fs.writeFileSync(configPath, JSON.stringify({active_area: {presets, edits}}, null, 2));
+
+            const editorArgs = ["editor", "-i", rpuPath, "-j", configPath, "-o", tempRpuPath];
+            log(jobLog, `📋 Command: ${doviToolPath} ${editorArgs.join(' ')}`);
+            await runSpawn(doviToolPath, editorArgs);
+
+            try {
+                fs.renameSync(tempRpuPath, rpuPath);
+            } catch (renameErr) {
+                log(jobLog, `⚠️ Rename failed (${renameErr.message}), attempting copy to final path`);
+                fs.copyFileSync(tempRpuPath, rpuPath);
+                fs.unlinkSync(tempRpuPath);
+            }
+
+            log(jobLog, `✔ L5 active area written to RPU (${ranges.length} range${ranges.length === 1 ? "" : "s"})`);
+
+            return {
+                outputFileObj: inputFileObj,
+                outputNumber: 1,
+                variables: {...args.variables, dvL5Offsets, videoStreamIndex: videoStream.index},
+            };
+        } catch (e) {
+            log(jobLog, `🚨 Letterbox detection failed: ${e.message}`);
+            throw e;
+        } finally {
+            cleanup();
+        }
+    };
+
+    exports.plugin = plugin;
+
+})();  // END WRAPPER
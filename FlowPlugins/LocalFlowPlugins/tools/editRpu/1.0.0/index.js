@@ -0,0 +1,322 @@
+"use strict";
+
+(function () {
+
+    Object.defineProperty(exports, "__esModule", {value: true});
+    exports.plugin = exports.details = void 0;
+
+    // ----------------------------------------
+    // Requires
+    // ----------------------------------------
+    const fs = require("fs");
+    const path = require("path");
+    const crypto = require("crypto");
+    const {spawn} = require("child_process");
+
+    // ----------------------------------------
+    // Logging helper
+    // ----------------------------------------
+    function log(jobLog, msg) {
+        jobLog(msg);
+        console.log(msg);
+    }
+
+    // Resolve inputs that may be wrapped in {{{ }}} to reference args.* values
+    function resolveInput(value, args) {
+        if (typeof value !== "string") return value;
+        const match = value.match(/^\{\{\{\s*(.+?)\s*\}\}\}$/);
+        if (!match) return value;
+
+        const baseExpr = match[1].trim();
+        const attempts = [baseExpr];
+
+        // Support both args.variables.user.* (old) and args.variables.* (new)
+        const userPrefixes = ["args.variables.user.", "variables.user."];
+        userPrefixes.forEach((prefix) => {
+            if (baseExpr.startsWith(prefix)) {
+                attempts.push(baseExpr.replace(prefix, prefix.replace(".user", "")));
+            }
+        });
+
+        for (const expr of attempts) {
+            try {
+                const fn = new Function("args", `return ${expr};`);
+                const resolved = fn(args);
+                if (resolved !== undefined && resolved !== null) return resolved;
+            } catch (err) {
+                console.warn(`Failed to resolve placeholder ${value} with expr "${expr}": ${err.message}`);
+            }
+        }
+
+        // Unresolved placeholders should not propagate as literal "{{{...}}}"
+        return "";
+    }
+
+    // ----------------------------------------
+    // Async spawn wrapper (unchanged)
+    // ----------------------------------------
+    function runSpawn(command, args) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, args, {stdio: "pipe"});
+
+            child.on("error", (err) => {
+                reject(new Error(`Failed to start ${command}: ${err.message}`));
+            });
+
+            child.stdout.on("data", (data) => {
+                const msg = data.toString().trim();
+                if (msg) console.log(`[dovi_tool]: ${msg}`);
+            });
+
+            child.stderr.on("data", (data) => {
+                const msg = data.toString().trim();
+                if (msg) console.warn(`[dovi_tool ERR]: ${msg}`);
+            });
+
+            child.on("close", (code) => {
+                if (code === 0) return resolve();
+                reject(new Error(`dovi_tool exited with code ${code}`));
+            });
+        });
+    }
+
+    // ----------------------------------------
+    // Editor config loading
+    // ----------------------------------------
+    // Accepts inline JSON or a path to a JSON file and returns the parsed config
+    function loadEditorConfig(value) {
+        const trimmed = value.trim();
+        const isInline = trimmed.startsWith("{");
+
+        let text = trimmed;
+        if (!isInline) {
+            if (!fs.existsSync(trimmed)) {
+                throw new Error(`Editor config not found: ${trimmed}`);
+            }
+            text = fs.readFileSync(trimmed, "utf8");
+        }
+
+        let config;
+        try {
+            config = JSON.parse(text);
+        } catch (err) {
+            throw new Error(`Editor config is not valid JSON: ${err.message}`);
+        }
+        if (!config || typeof config !== "object" || Array.isArray(config)) {
+            throw new Error("Editor config must be a JSON object");
+        }
+
+        return {config, isInline, sourcePath: isInline ? "" : trimmed};
+    }
+
+    // ----------------------------------------
+    // Edit chain (re-run safety)
+    // ----------------------------------------
+    // extractRpu skips extraction while the RPU exists, so a re-run would edit an already edited RPU
+    // again (remove/duplicate applied twice). Each node, keyed by a hash of its config, keeps a
+    // snapshot of the RPU it started from, and <rpu>_edits.json lists the nodes in the order they
+    // ran with the SHA-256 of the RPU before and after each edit.
+    const sha256File = (filePath) => crypto.createHash("sha256").update(fs.readFileSync(filePath)).digest("hex");
+
+    function readEditChain(manifestPath) {
+        try {
+            const steps = JSON.parse(fs.readFileSync(manifestPath, "utf8")).steps;
+            return Array.isArray(steps) ? steps : [];
+        } catch (err) {
+            return [];
+        }
+    }
+
+    // Where this node's edit starts. When the RPU is the output of this node or a later one, it is a
+    // re-run: edit from this node's snapshot and drop the later steps, which add themselves again.
+    // When the RPU is this node's earlier input or the last node's output, edit it as is. Anything
+    // else (re-extracted, replaced by another plugin) starts a new chain.
+    function planEdit(steps, configHash, rpuHash) {
+        const index = steps.findIndex((step) => step.config === configHash);
+        if (index >= 0 && steps.slice(index).some((step) => step.output === rpuHash)) {
+            return {steps: steps.slice(0, index), rerun: true};
+        }
+        if (index >= 0 && steps[index].input === rpuHash) {
+            return {steps: steps.slice(0, index), rerun: false};
+        }
+        if (steps.length > 0 && steps[steps.length - 1].output === rpuHash) {
+            return {steps, rerun: false};
+        }
+        return {steps: [], rerun: false};
+    }
+
+    // One readable line per edit for the job log
+    function describeEdits(config) {
+        return Object.keys(config).map((key) => {
+            const value = config[key];
+            if (key === "mode") return `mode → ${value}`;
+            if (key === "remove_cmv4") return value ? "drop CM v4.0 metadata (L8+ trims)" : "keep CM v4.0 metadata";
+            if (key === "remove") return `remove frames ${[].concat(value).join(", ")}`;
+            if (key === "duplicate") return `duplicate ${[].concat(value).length} frame range(s)`;
+            if (key === "active_area") return "L5 active area override";
+            if (key === "level6") return "L6 override";
+            return key;
+        });
+    }
+
+    // ----------------------------------------
+    // Plugin Details
+    // ----------------------------------------
+    const details = () => ({
+        name: "Edit RPU",
+        description: "Applies a dovi_tool editor JSON config to a Dolby Vision RPU in place (L5 active area, frame removal/duplication, mode, L6, CM v4.0 removal). The RPU each edit started from is kept, so a re-run of the flow does not apply an edit twice.",
+        style: {borderColor: "purple"},
+        tags: "video",
+        isStartPlugin: false,
+        pType: "",
+        requiresVersion: "2.11.01",
+        sidebarPosition: 4,
+        icon: "faBolt",
+
+        inputs: [
+            {
+                label: "Dovi Tool Path",
+                name: "doviToolPath",
+                tooltip:
+                    "Required: full path to dovi_tool. Install DV Tools sets this as doviToolBin in its plugin output.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.doviToolBin}}}",
+                inputUI: {type: "directory"},
+            },
+            {
+                label: "Editor Config",
+                name: "editorConfig",
+                tooltip:
+                    "Required: dovi_tool editor config, either inline JSON (starting with '{') or a path to a JSON file. Example: {\"active_area\": {\"presets\": [{\"id\": 0, \"left\": 0, \"right\": 0, \"top\": 276, \"bottom\": 276}], \"edits\": {\"all\": 0}}}. Supported keys include mode, active_area, remove, duplicate, level6 and remove_cmv4.",
+                inputType: "string",
+                defaultValue: "",
+                inputUI: {type: "text"},
+            },
+            {
+                label: "RPU Path",
+                name: "rpuPath",
+                tooltip:
+                    "Optional: RPU.bin to edit in place. Leave empty to fall back to Tdarr cache directory + <basename>_RPU.bin (output of Extract RPU). The RPU each edit started from is kept next to it as <name>_before_<config hash>.bin, with the edit history in <name>_edits.json.",
+                inputType: "string",
+                defaultValue: "",
+                inputUI: {type: "directory"},
+            },
+        ],
+
+        outputs: [{number: 1, tooltip: "Continue to next step"}],
+    });
+    exports.details = details;
+
+    // ----------------------------------------
+    // Plugin Entrypoint
+    // ----------------------------------------
+    const plugin = async (args) => {
+        const lib = require("../../../../../methods/lib")();
+        args.inputs = lib.loadDefaultValues(args.inputs, details);
+
+        const jobLog = args.jobLog;
+        log(jobLog, "== Starting Edit RPU ==");
+
+        const inputFileObj = args.inputFileObj;
+        const inputPath = inputFileObj.file;
+        const baseName = path.basename(inputPath, path.extname(inputPath));
+
+        const doviToolPath = (resolveInput(args.inputs.doviToolPath, args) || "").toString().trim();
+        if (!doviToolPath) {
+            log(jobLog, "🚫 Missing dovi_tool path (input: Dovi Tool Path). Set it, e.g. from Install DV Tools (doviToolBin).");
+            throw new Error("Missing dovi_tool path");
+        }
+
+        const editorConfigInput = (resolveInput(args.inputs.editorConfig, args) || "").toString().trim();
+        if (!editorConfigInput) {
+            log(jobLog, "🚫 Missing editor config (input: Editor Config). Provide inline JSON or a path to a JSON file.");
+            throw new Error("Missing editor config");
+        }
+
+        let editor;
+        try {
+            editor = loadEditorConfig(editorConfigInput);
+        } catch (err) {
+            log(jobLog, `🚫 ${err.message}`);
+            throw err;
+        }
+
+        const userRpuPath = (resolveInput(args.inputs.rpuPath, args) || "").toString().trim();
+        const rpuPath = userRpuPath || path.join(args.workDir, `${baseName}_RPU.bin`);
+        if (!fs.existsSync(rpuPath)) {
+            log(jobLog, `🚫 RPU not found: ${rpuPath}`);
+            throw new Error("RPU input missing");
+        }
+
+        const rpuDir = path.dirname(rpuPath);
+        const rpuStem = path.join(rpuDir, path.basename(rpuPath, path.extname(rpuPath)));
+        const configHash = crypto.createHash("sha256").update(JSON.stringify(editor.config)).digest("hex").slice(0, 16);
+        const manifestPath = `${rpuStem}_edits.json`;
+        const snapshotPath = `${rpuStem}_before_${configHash}${path.extname(rpuPath)}`;
+        const tempRpuPath = path.join(rpuDir, `${baseName}_RPU_edited_temp.bin`);
+        const configPath = editor.isInline ? path.join(rpuDir, `${baseName}_RPU_editor.json`) : editor.sourcePath;
+
+        const plan = planEdit(readEditChain(manifestPath), configHash, sha256File(rpuPath));
+        if (plan.rerun) {
+            if (!fs.existsSync(snapshotPath)) {
+                log(jobLog, `🚫 This edit already ran on ${rpuPath}, but the RPU it started from is gone (${snapshotPath}). Delete the RPU so it is extracted again.`);
+                throw new Error("Edit RPU snapshot missing");
+            }
+            log(jobLog, `♻ This edit already ran on this RPU; editing again from the RPU it started from: ${snapshotPath}`);
+        } else {
+            fs.copyFileSync(rpuPath, snapshotPath);
+            log(jobLog, `RPU before this edit kept at: ${snapshotPath}`);
+        }
+
+        log(jobLog, `RPU (input/output): ${snapshotPath} → ${rpuPath}`);
+        log(jobLog, `Editor config: ${editor.isInline ? "inline" : configPath}`);
+        describeEdits(editor.config).forEach((edit) => log(jobLog, `  • ${edit}`));
+
+        try {
+            if (editor.isInline) {
+                fs.writeFileSync(configPath, JSON.stringify(editor.config, null, 2));
+            }
+
+            const editorArgs = ["editor", "-i", snapshotPath, "-j", configPath, "-o", tempRpuPath];
+            log(jobLog, `📋 Command: ${doviToolPath} ${editorArgs.join(' ')}`);
+            await runSpawn(doviToolPath, editorArgs);
+
+            try {
+                fs.renameSync(tempRpuPath, rpuPath);
+            } catch (renameErr) {
+                log(jobLog, `⚠️ Rename failed (${renameErr.message}), attempting copy to final path`);
+                fs.copyFileSync(tempRpuPath, rpuPath);
+                fs.unlinkSync(tempRpuPath);
+            }
+
+            fs.writeFileSync(manifestPath, JSON.stringify({
+                steps: [...plan.steps, {config: configHash, input: sha256File(snapshotPath), output: sha256File(rpuPath)}],
+            }, null, 2));
+
+            log(jobLog, "✔ RPU edited (output replaced original path)");
+        } catch (e) {
+            log(jobLog, `🚨 RPU edit failed: ${e.message}`);
+            throw e;
+        } finally {
+            for (const tmpFile of [tempRpuPath, editor.isInline ? configPath : ""]) {
+                try {
+                    if (tmpFile && fs.existsSync(tmpFile)) fs.unlinkSync(tmpFile);
+                } catch (err) {
+                    // Best-effort cleanup
+                }
+            }
+        }
+
+        return {
+            outputFileObj: inputFileObj,
+            outputNumber: 1,
+            variables: {
+                ...args.variables,
+                rpuEditSnapshotPath: snapshotPath,
+            }
+        };
+    };
+
+    exports.plugin = plugin;
+
+})();  // END WRAPPER
@@ -0,0 +1,461 @@
+"use strict";
+
+(function () {
+
+    Object.defineProperty(exports, "__esModule", {value: true});
+    exports.plugin = exports.details = void 0;
+
+    // Extract + convert in one pass: ffmpeg Annex B → dovi_tool convert / extract-rpu over stdin
+    const fs = require("fs");
+    const path = require("path");
+    const {spawn} = require("child_process");
+    const {selectVideoStream} = require("../../../../LocalFlowHelpers/videoStream/1.0.0/index");
+
+    // Log helper (mirrors console + job log)
+    function log(jobLog, msg) {
+        jobLog(msg);
+        console.log(msg);
+    }
+
+    // Resolve inputs that may be wrapped in {{{ }}} to reference args.* values
+    function resolveInput(value, args) {
+        if (typeof value !== "string") return value;
+        const match = value.match(/^\{\{\{\s*(.+?)\s*\}\}\}$/);
+        if (!match) return value;
+
+        const baseExpr = match[1].trim();
+        const attempts = [baseExpr];
+
+        // Support both args.variables.user.* (old) and args.variables.* (new)
+        const userPrefixes = ["args.variables.user.", "variables.user."];
+        userPrefixes.forEach((prefix) => {
+            if (baseExpr.startsWith(prefix)) {
+                attempts.push(baseExpr.replace(prefix, prefix.replace(".user", "")));
+            }
+        });
+
+        for (const expr of attempts) {
+            try {
+                const fn = new Function("args", `return ${expr};`);
+                const resolved = fn(args);
+                if (resolved !== undefined && resolved !== null) return resolved;
+            } catch (err) {
+                console.warn(`Failed to resolve placeholder ${value} with expr "${expr}": ${err.message}`);
+            }
+        }
+
+        // Unresolved placeholders should not propagate as literal "{{{...}}}"
+        return "";
+    }
+
+    // Fan one producer's stdout out to several consumers' stdin. The producer is paused
+    // whenever a consumer's pipe buffer is full, so memory stays flat for any file size.
+    function runTee(producer, consumers, jobLog) {
+        log(jobLog, `📋 Command: ${producer.command} ${producer.args.join(' ')} | tee → ${consumers.map((c) => `${c.command} ${c.args.join(' ')}`).join(" , ")}`);
+
+        return new Promise((resolve, reject) => {
+            const children = [];
+            let failed = false;
+            const fail = (err) => {
+                if (failed) return;
+                failed = true;
+                children.forEach((child) => child.kill());
+                reject(err);
+            };
+
+            const spawnTracked = (spec, stdio) => {
+                const child = spawn(spec.command, spec.args, {stdio});
+                children.push(child);
+                let stderr = "";
+                child.stderr.on("data", (data) => {
+                    stderr += data.toString();
+                    if (stderr.length > 65536) stderr = stderr.slice(-65536);
+                });
+                child.on("error", (err) => fail(new Error(`Failed to start ${spec.label}: ${err.message}`)));
+                child.on("close", (code) => {
+                    if (failed) return;
+                    if (code !== 0) return fail(new Error(`${spec.label} exited with code ${code}: ${stderr.trim().split("\n").pop()}`));
+                    if (children.every((c) => c.exitCode === 0)) resolve();
+                });
+                return child;
+            };
+
+            const source = spawnTracked(producer, ["ignore", "pipe", "pipe"]);
+            const sinks = consumers.map((consumer) => {
+                const sink = spawnTracked(consumer, ["pipe", "pipe", "pipe"]);
+                sink.stdout.on("data", (data) => {
+                    const msg = data.toString().trim();
+                    if (msg) console.log(`[${consumer.label}]: ${msg}`);
+                });
+                // EPIPE when a consumer exits early is reported through its exit code instead
+                sink.stdin.on("error", () => {});
+                return sink;
+            });
+
+            let waiting = 0;
+            source.stdout.on("data", (chunk) => {
+                sinks.forEach((sink) => {
+                    if (!sink.stdin.write(chunk)) {
+                        waiting++;
+                        source.stdout.pause();
+                        sink.stdin.once("drain", () => {
+                            if (--waiting === 0) source.stdout.resume();
+                        });
+                    }
+                });
+            });
+            source.stdout.on("end", () => sinks.forEach((sink) => sink.stdin.end()));
+        });
+    }
+
+    // Profile and BL compatibility ID of the converted stream per dovi_tool mode; 0 and 1 keep the source profile
+    const CONVERTED_PROFILES = {
+        "2": {dvProfile: 8, dvBlCompatId: 1},
+        "3": {dvProfile: 8, dvBlCompatId: 1},
+        "4": {dvProfile: 8, dvBlCompatId: 4},
+        "5": {dvProfile: 8, dvBlCompatId: 1},
+    };
+
+    // Flow variables describing the stream after conversion, so builders read the new profile, not the source's
+    function convertedVariables(variables, conversionMode, discardEL) {
+        return {
+            ...variables,
+            ...(CONVERTED_PROFILES[conversionMode] || {}),
+            ...(discardEL ? {dvElPresent: false} : {}),
+        };
+    }
+
+    function isHevcStream(stream) {
+        const codecName = (stream?.codec_name || "").toLowerCase();
+        const codecTag = (stream?.codec_tag_string || "").toLowerCase();
+        return codecName.includes("hevc") ||
+            codecName.includes("h265") ||
+            codecTag.startsWith("hev") ||
+            codecTag.startsWith("hvc") ||
+            codecTag.startsWith("dvh");
+    }
+
+    // Colour description (H.273 code points, keyed by ffprobe names)
+    const COLOUR_PRIMARIES = {
+        bt709: 1, bt470m: 4, bt470bg: 5, smpte170m: 6, smpte240m: 7, film: 8,
+        bt2020: 9, smpte428: 10, smpte431: 11, smpte432: 12, "jedec-p22": 22,
+    };
+    const TRANSFER_CHARACTERISTICS = {
+        bt709: 1, gamma22: 4, gamma28: 5, smpte170m: 6, smpte240m: 7, linear: 8,
+        log100: 9, log316: 10, "iec61966-2-4": 11, bt1361e: 12, "iec61966-2-1": 13,
+        "bt2020-10": 14, "bt2020-12": 15, smpte2084: 16, smpte428: 17, "arib-std-b67": 18,
+    };
+    const MATRIX_COEFFICIENTS = {
+        gbr: 0, bt709: 1, fcc: 4, bt470bg: 5, smpte170m: 6, smpte240m: 7, ycgco: 8,
+        bt2020nc: 9, bt2020c: 10, smpte2085: 11, "chroma-derived-nc": 12, "chroma-derived-c": 13, ictcp: 14,
+    };
+    const COLOUR_RANGES = {tv: 0, pc: 1};
+
+    const COLOUR_PRESETS = {
+        pq: {primaries: "bt2020", transfer: "smpte2084", matrix: "bt2020nc"},
+        hlg: {primaries: "bt2020", transfer: "arib-std-b67", matrix: "bt2020nc"},
+        sdr: {primaries: "bt709", transfer: "bt709", matrix: "bt709"},
+    };
+
+    const colourCode = (table, name) => (/^\d+$/.test(name) ? Number(name) : table[name]);
+    // Prefer names for numeric input so the rest of the plugin can compare against ffprobe values
+    const colourName = (table, name) => Object.keys(table).find((key) => String(table[key]) === name) || name;
+
+    // Parse the Colour Description input: auto, none, a preset or primaries/transfer/matrix[/range]
+    function parseColourOverride(spec) {
+        const value = (spec || "").toString().trim().toLowerCase();
+        if (!value || value === "auto") return null;
+        if (value === "none") return "none";
+        if (COLOUR_PRESETS[value]) return {...COLOUR_PRESETS[value]};
+
+        const parts = value.split("/").map((p) => p.trim());
+        if (parts.length < 3 || parts.length > 4) {
+            throw new Error(`Invalid colour description "${spec}" (expected auto, none, pq, hlg, sdr or primaries/transfer/matrix[/range])`);
+        }
+        const [primaries, transfer, matrix, range = ""] = parts;
+        const checks = [[primaries, COLOUR_PRIMARIES], [transfer, TRANSFER_CHARACTERISTICS], [matrix, MATRIX_COEFFICIENTS]];
+        if (range) checks.push([range, COLOUR_RANGES]);
+        for (const [name, table] of checks) {
+            if (colourCode(table, name) === undefined) throw new Error(`Unknown colour value "${name}" in "${spec}"`);
+        }
+        return {
+            primaries: colourName(COLOUR_PRIMARIES, primaries),
+            transfer: colourName(TRANSFER_CHARACTERISTICS, transfer),
+            matrix: colourName(MATRIX_COEFFICIENTS, matrix),
+            range: range && colourName(COLOUR_RANGES, range),
+        };
+    }
+
+    // Work out the VUI colour description from ffprobe: keep what the source declares,
+    // fill gaps from DV/HDR hints and make the matrix agree with the primaries.
+    function resolveColourDescription(videoStream, override) {
+        const clean = (v) => {
+            const s = (v || "").toString().toLowerCase();
+            return s && s !== "unknown" && s !== "reserved" && s !== "unspecified" ? s : "";
+        };
+        const probed = {
+            primaries: clean(videoStream?.color_primaries),
+            transfer: clean(videoStream?.color_transfer),
+            matrix: clean(videoStream?.color_space),
+            range: clean(videoStream?.color_range),
+        };
+
+        if (override) {
+            const forced = Object.keys(override).filter((key) => override[key]);
+            return {probed, resolved: {...override, range: override.range || probed.range || "tv"}, forced};
+        }
+
+        const resolved = {...probed};
+        const sideData = videoStream?.side_data_list || [];
+        const dovi = sideData.find((sd) => typeof sd?.dv_bl_signal_compatibility_id !== "undefined");
+        const compatId = dovi ? Number(dovi.dv_bl_signal_compatibility_id) : null;
+        const hasMasteringDisplay = sideData.some((sd) => (sd?.side_data_type || "").toLowerCase().includes("mastering display"));
+
+        // DV base layer compatibility: 1/6 = HDR10, 2 = SDR, 4 = HLG. Anything else stays unset.
+        if (!resolved.transfer) {
+            if (compatId === 4) resolved.transfer = "arib-std-b67";
+            else if (compatId === 1 || compatId === 6 || hasMasteringDisplay) resolved.transfer = "smpte2084";
+            else if (compatId === 2) resolved.transfer = "bt709";
+        }
+
+        if (!resolved.primaries) {
+            if (resolved.transfer === "smpte2084" || resolved.transfer === "arib-std-b67") resolved.primaries = "bt2020";
+            else if (resolved.transfer === "bt709") resolved.primaries = "bt709";
+        }
+
+        const allowedMatrices =
+            resolved.primaries === "bt2020" ? ["bt2020nc", "bt2020c", "ictcp"] :
+            resolved.primaries === "bt709" ? ["bt709"] : null;
+        if (allowedMatrices && !allowedMatrices.includes(resolved.matrix)) resolved.matrix = allowedMatrices[0];
+
+        // Default to limited range only once we know what the stream is (P5 IPT is full range)
+        if (!resolved.range && resolved.primaries) resolved.range = "tv";
+
+        return {probed, resolved, forced: []};
+    }
+
+    // Build the hevc_metadata options for every field we could determine. Fields that match the
+    // probed value are rewritten too, since ffprobe may have read them from the container rather
+    // than the VUI; fields we could not determine are left alone.
+    function buildHevcMetadataFilter(colour) {
+        const fields = [
+            ["primaries", "colour_primaries", COLOUR_PRIMARIES],
+            ["transfer", "transfer_characteristics", TRANSFER_CHARACTERISTICS],
+            ["matrix", "matrix_coefficients", MATRIX_COEFFICIENTS],
+            ["range", "video_full_range_flag", COLOUR_RANGES],
+        ];
+
+        const options = [];
+        const notes = [];
+        for (const [key, option, table] of fields) {
+            const value = colour.resolved[key];
+            const before = colour.probed[key];
+            const code = value ? colourCode(table, value) : undefined;
+            if (code === undefined) {
+                notes.push(`${key}=${before || "unset"} (left as is)`);
+                continue;
+            }
+            options.push(`${option}=${code}`);
+            if (colour.forced.includes(key) && value !== before) notes.push(`${key}=${value} (forced, was ${before || "unset"})`);
+            else if (!before) notes.push(`${key}=${value} (filled)`);
+            else if (value !== before) notes.push(`${key}=${value} (repaired, was ${before})`);
+            else notes.push(`${key}=${value} (kept)`);
+        }
+
+        return {filter: options.length > 0 ? `hevc_metadata=${options.join(":")}` : "", notes};
+    }
+
+
+    const details = () => ({
+        name: "Extract + Convert HEVC (piped)",
+        description: "Pipes the HEVC track from ffmpeg straight into dovi_tool convert and extract-rpu, writing only the converted stream and the RPU to the cache.",
+        style: {borderColor: "purple"},
+        tags: "video",
+        isStartPlugin: false,
+        pType: "",
+        requiresVersion: "2.11.01",
+        sidebarPosition: 3,
+        icon: "faFilm",
+
+        inputs: [
+            {
+                label: "Dovi Tool Path",
+                name: "doviToolPath",
+                tooltip: "Required: full path to dovi_tool. Install DV Tools sets this as doviToolBin in its plugin output.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.doviToolBin}}}",
+                inputUI: {type: "directory"},
+            },
+            {
+                label: "Conversion Mode",
+                name: "conversionMode",
+                tooltip: "dovi_tool conversion mode (-m flag), as in Convert HEVC. Mode 0: Parse & rewrite untouched. Mode 1: Convert to MEL compatible. Mode 2: Convert to profile 8.1. Mode 3: Convert profile 5 to 8.1. Mode 4: Convert to profile 8.4. Mode 5: Convert to profile 8.1 preserving mapping.",
+                inputType: "string",
+                defaultValue: "2",
+                inputUI: {type: "text"},
+            },
+            {
+                label: "Discard Enhancement Layer",
+                name: "discardEL",
+                tooltip: "Enable --discard to drop the Enhancement Layer during conversion. Required for Profile 7 → 8.1. Lossless for MEL sources only.",
+                inputType: "boolean",
+                defaultValue: false,
+                inputUI: {type: "switch"},
+            },
+            {
+                label: "Extract RPU",
+                name: "extractRpu",
+                tooltip: "Also write the unmodified source RPU to <basename>_RPU.bin from the same pipe (what Extract RPU would produce). Disable when the RPU is not needed downstream.",
+                inputType: "boolean",
+                defaultValue: true,
+                inputUI: {type: "switch"},
+            },
+            {
+                label: "Colour Description",
+                name: "colourDescription",
+                tooltip: "VUI colour description written while extracting. auto: keep what the source declares and only fill missing or inconsistent fields. none: leave the VUI untouched. pq / hlg / sdr: force BT.2020 PQ, BT.2020 HLG or BT.709. Custom: primaries/transfer/matrix[/range] using ffprobe names or H.273 codes. Default: auto.",
+                inputType: "string",
+                defaultValue: "auto",
+                inputUI: {type: "text"},
+            },
+            {
+                label: "Output Directory",
+                name: "outputDirectory",
+                tooltip: "Optional: directory for the converted HEVC and RPU. Leave empty to use the Tdarr cache directory.",
+                inputType: "string",
+                defaultValue: "",
+                inputUI: {type: "directory"},
+            },
+            {
+                label: "Video Stream Index",
+                name: "videoStreamIndex",
+                tooltip: "ffprobe index of the video stream to use. Defaults to the stream chosen by an earlier plugin (videoStreamIndex). Leave empty to select automatically: cover art and still images are skipped, then the highest resolution, longest and default-flagged stream wins.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.videoStreamIndex}}}",
+                inputUI: {type: "text"},
+            },
+        ],
+
+        outputs: [{number: 1, tooltip: "Continue to next step"}],
+    });
+    exports.details = details;
+
+    const plugin = async (args) => {
+        const lib = require("../../../../../methods/lib")();
+        args.inputs = lib.loadDefaultValues(args.inputs, details);
+
+        const jobLog = args.jobLog;
+        log(jobLog, "== Starting piped HEVC extract + convert ==");
+
+        const inputFileObj = args.inputFileObj;
+        const inputPath = inputFileObj.file;
+        const baseName = path.basename(inputPath, path.extname(inputPath));
+
+        const configuredOutputDir = (resolveInput(args.inputs.outputDirectory, args) || "").toString().trim() || "";
+        const workDir = configuredOutputDir.length > 0 ? configuredOutputDir : args.workDir;
+
+        const doviToolPath = (resolveInput(args.inputs.doviToolPath, args) || "").toString().trim();
+        if (!doviToolPath) {
+            log(jobLog, "🚫 Missing dovi_tool path (input: Dovi Tool Path). Set it, e.g. from Install DV Tools (doviToolBin).");
+            throw new Error("Missing dovi_tool path");
+        }
+
+        const streams = inputFileObj?.ffProbeData?.streams;
+        const videoStream = selectVideoStream(streams, resolveInput(args.inputs.videoStreamIndex, args), jobLog);
+        if (!isHevcStream(videoStream)) {
+            log(jobLog, `🚫 Source video codec '${videoStream?.codec_name || "unknown"}' is not HEVC. Use Extract HEVC (re-encode) + Convert HEVC instead.`);
+            throw new Error("Piped extract + convert requires an HEVC source");
+        }
+
+        const conversionMode = (resolveInput(args.inputs.conversionMode, args) || "2").toString().trim();
+        const discardEL = String(resolveInput(args.inputs.discardEL, args)) === "true";
+        const extractRpu = String(resolveInput(args.inputs.extractRpu, args)) !== "false";
+        const colourOverride = parseColourOverride(resolveInput(args.inputs.colourDescription, args));
+
+        try {
+            if (!fs.existsSync(workDir)) {
+                log(jobLog, `📁 Creating directory: ${workDir}`);
+                fs.mkdirSync(workDir, {recursive: true});
+            }
+        } catch (err) {
+            log(jobLog, `🚨 Failed to ensure directory exists: ${workDir}`);
+            console.error(err);
+        }
+
+        // Same final paths as Extract HEVC → Convert HEVC and Extract RPU
+        const blHevcPath = path.join(workDir, `${baseName}.hevc`);
+        const rpuPath = path.join(workDir, `${baseName}_RPU.bin`);
+        const tempBlHevcPath = path.join(workDir, `${baseName}_BL_DV_temp.hevc`);
+        const tempRpuPath = path.join(workDir, `${baseName}_RPU_temp.bin`);
+
+        log(jobLog, `Converted HEVC: ${blHevcPath}`);
+        if (extractRpu) log(jobLog, `RPU: ${rpuPath}`);
+
+        if (fs.existsSync(blHevcPath) && (!extractRpu || fs.existsSync(rpuPath))) {
+            log(jobLog, "✔ Outputs already exist - skipping extract + convert");
+            return {
+                outputFileObj: inputFileObj,
+                outputNumber: 1,
+                variables: {...convertedVariables(args.variables, conversionMode, discardEL), videoStreamIndex: videoStream.index},
+            };
+        }
+
+        const bsfChain = ["hevc_mp4toannexb"];
+        if (colourOverride === "none") {
+            log(jobLog, "🎨 Colour description: leaving VUI untouched");
+        } else {
+            const colour = resolveColourDescription(videoStream, colourOverride);
+            const {filter, notes} = buildHevcMetadataFilter(colour);
+            log(jobLog, `🎨 Colour description: ${notes.join(", ")}`);
+            if (filter) bsfChain.unshift(filter);
+        }
+
+        const ffmpegArgs = [
+            "-v", "error",
+            "-i", inputPath,
+            "-map", `0:${videoStream.index}`,
+            "-c:v", "copy",
+            "-bsf:v", bsfChain.join(","),
+            "-f", "hevc",
+            "-",
+        ];
+
+        const convertArgs = ["-m", conversionMode, "convert"];
+        if (discardEL) convertArgs.push("--discard");
+        convertArgs.push("-", "-o", tempBlHevcPath);
+
+        const consumers = [{command: doviToolPath, args: convertArgs, label: "dovi_tool convert"}];
+        if (extractRpu) {
+            consumers.push({command: doviToolPath, args: ["extract-rpu", "-", "-o", tempRpuPath], label: "dovi_tool extract-rpu"});
+        }
+
+        log(jobLog, `🛠 Extracting and converting in one pass (mode ${conversionMode}${discardEL ? ", discarding EL" : ""}${extractRpu ? ", extracting RPU" : ""})...`);
+        try {
+            await runTee({command: "ffmpeg", args: ffmpegArgs, label: "ffmpeg"}, consumers, jobLog);
+
+            fs.renameSync(tempBlHevcPath, blHevcPath);
+            if (extractRpu) fs.renameSync(tempRpuPath, rpuPath);
+
+            log(jobLog, "✔ Piped extract + convert complete");
+        } catch (e) {
+            log(jobLog, `🚨 Piped extract + convert failed: ${e.message}`);
+            for (const tmpFile of [tempBlHevcPath, tempRpuPath]) {
+                try {
+                    if (fs.existsSync(tmpFile)) fs.unlinkSync(tmpFile);
+                } catch (err) {
+                    // Best-effort cleanup
+                }
+            }
+            throw e;
+        }
+
+        return {
+            outputFileObj: inputFileObj,
+            outputNumber: 1,
+            variables: {...convertedVariables(args.variables, conversionMode, discardEL), videoStreamIndex: videoStream.index},
+        };
+    };
+
+    exports.plugin = plugin;
+
+})();
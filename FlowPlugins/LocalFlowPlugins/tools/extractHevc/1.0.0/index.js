@@ -11,6 +11,7 @@
     const fs = require("fs");
     const path = require("path");
     const { spawn } = require("child_process");
+    const { selectVideoStream } = require("../../../../LocalFlowHelpers/videoStream/1.0.0/index");
 
     // ----------------------------------------
     // Logging helper
@@ -62,6 +63,622 @@
         });
     }
 
+    // ----------------------------------------
+    // Colour description (H.273 code points, keyed by ffprobe names)
+    // ----------------------------------------
+    const COLOUR_PRIMARIES = {
+        bt709: 1, bt470m: 4, bt470bg: 5, smpte170m: 6, smpte240m: 7, film: 8,
+        bt2020: 9, smpte428: 10, smpte431: 11, smpte432: 12, "jedec-p22": 22,
+    };
+    const TRANSFER_CHARACTERISTICS = {
+        bt709: 1, gamma22: 4, gamma28: 5, smpte170m: 6, smpte240m: 7, linear: 8,
+        log100: 9, log316: 10, "iec61966-2-4": 11, bt1361e: 12, "iec61966-2-1": 13,
+        "bt2020-10": 14, "bt2020-12": 15, smpte2084: 16, smpte428: 17, "arib-std-b67": 18,
+    };
+    const MATRIX_COEFFICIENTS = {
+        gbr: 0, bt709: 1, fcc: 4, bt470bg: 5, smpte170m: 6, smpte240m: 7, ycgco: 8,
+        bt2020nc: 9, bt2020c: 10, smpte2085: 11, "chroma-derived-nc": 12, "chroma-derived-c": 13, ictcp: 14,
+    };
+    const COLOUR_RANGES = { tv: 0, pc: 1 };
+
+    const COLOUR_PRESETS = {
+        pq: { primaries: "bt2020", transfer: "smpte2084", matrix: "bt2020nc" },
+        hlg: { primaries: "bt2020", transfer: "arib-std-b67", matrix: "bt2020nc" },
+        sdr: { primaries: "bt709", transfer: "bt709", matrix: "bt709" },
+    };
+
+    const colourCode = (table, name) => (/^\d+$/.test(name) ? Number(name) : table[name]);
+    // Prefer names for numeric input so the rest of the plugin can compare against ffprobe values
+    const colourName = (table, name) => Object.keys(table).find((key) => String(table[key]) === name) || name;
+
+    // Parse the Colour Description input: auto, none, a preset or primaries/transfer/matrix[/range]
+    function parseColourOverride(spec) {
+        const value = (spec || "").toString().trim().toLowerCase();
+        if (!value || value === "auto") return null;
+        if (value === "none") return "none";
+        if (COLOUR_PRESETS[value]) return { ...COLOUR_PRESETS[value] };
+
+        const parts = value.split("/").map((p) => p.trim());
+        if (parts.length < 3 || parts.length > 4) {
+            throw new Error(`Invalid colour description "${spec}" (expected auto, none, pq, hlg, sdr or primaries/transfer/matrix[/range])`);
+        }
+        const [primaries, transfer, matrix, range = ""] = parts;
+        const checks = [[primaries, COLOUR_PRIMARIES], [transfer, TRANSFER_CHARACTERISTICS], [matrix, MATRIX_COEFFICIENTS]];
+        if (range) checks.push([range, COLOUR_RANGES]);
+        for (const [name, table] of checks) {
+            if (colourCode(table, name) === undefined) throw new Error(`Unknown colour value "${name}" in "${spec}"`);
+        }
+        return {
+            primaries: colourName(COLOUR_PRIMARIES, primaries),
+            transfer: colourName(TRANSFER_CHARACTERISTICS, transfer),
+            matrix: colourName(MATRIX_COEFFICIENTS, matrix),
+            range: range && colourName(COLOUR_RANGES, range),
+        };
+    }
+
+    // Work out the VUI colour description from ffprobe: keep what the source declares,
+    // fill gaps from DV/HDR hints and make the matrix agree with the primaries.
+    function resolveColourDescription(videoStream, override) {
+        const clean = (v) => {
+            const s = (v || "").toString().toLowerCase();
+            return s && s !== "unknown" && s !== "reserved" && s !== "unspecified" ? s : "";
+        };
+        const probed = {
+            primaries: clean(videoStream?.color_primaries),
+            transfer: clean(videoStream?.color_transfer),
+            matrix: clean(videoStream?.color_space),
+            range: clean(videoStream?.color_range),
+        };
+
+        if (override) {
+            const forced = Object.keys(override).filter((key) => override[key]);
+            return { probed, resolved: { ...override, range: override.range || probed.range || "tv" }, forced };
+        }
+
+        const resolved = { ...probed };
+        const sideData = videoStream?.side_data_list || [];
+        const dovi = sideData.find((sd) => typeof sd?.dv_bl_signal_compatibility_id !== "undefined");
+        const compatId = dovi ? Number(dovi.dv_bl_signal_compatibility_id) : null;
+        const hasMasteringDisplay = sideData.some((sd) => (sd?.side_data_type || "").toLowerCase().includes("mastering display"));
+
+        // DV base layer compatibility: 1/6 = HDR10, 2 = SDR, 4 = HLG. Anything else stays unset.
+        if (!resolved.transfer) {
+            if (compatId === 4) resolved.transfer = "arib-std-b67";
+            else if (compatId === 1 || compatId === 6 || hasMasteringDisplay) resolved.transfer = "smpte2084";
+            else if (compatId === 2) resolved.transfer = "bt709";
+        }
+
+        if (!resolved.primaries) {
+            if (resolved.transfer === "smpte2084" || resolved.transfer === "arib-std-b67") resolved.primaries = "bt2020";
+            else if (resolved.transfer === "bt709") resolved.primaries = "bt709";
+        }
+
+        const allowedMatrices =
+            resolved.primaries === "bt2020" ? ["bt2020nc", "bt2020c", "ictcp"] :
+            resolved.primaries === "bt709" ? ["bt709"] : null;
+        if (allowedMatrices && !allowedMatrices.includes(resolved.matrix)) resolved.matrix = allowedMatrices[0];
+
+        // Default to limited range only once we know what the stream is (P5 IPT is full range)
+        if (!resolved.range && resolved.primaries) resolved.range = "tv";
+
+        return { probed, resolved, forced: [] };
+    }
+
+    // Build the hevc_metadata options for every field we could determine. Fields that match the
+    // probed value are rewritten too, since ffprobe may have read them from the container rather
+    // than the VUI; fields we could not determine are left alone.
+    function buildHevcMetadataFilter(colour) {
+        const fields = [
+            ["primaries", "colour_primaries", COLOUR_PRIMARIES],
+            ["transfer", "transfer_characteristics", TRANSFER_CHARACTERISTICS],
+            ["matrix", "matrix_coefficients", MATRIX_COEFFICIENTS],
+            ["range", "video_full_range_flag", COLOUR_RANGES],
+        ];
+
+        const options = [];
+        const notes = [];
+        for (const [key, option, table] of fields) {
+            const value = colour.resolved[key];
+            const before = colour.probed[key];
+            const code = value ? colourCode(table, value) : undefined;
+            if (code === undefined) {
+                notes.push(`${key}=${before || "unset"} (left as is)`);
+                continue;
+            }
+            options.push(`${option}=${code}`);
+            if (colour.forced.includes(key) && value !== before) notes.push(`${key}=${value} (forced, was ${before || "unset"})`);
+            else if (!before) notes.push(`${key}=${value} (filled)`);
+            else if (value !== before) notes.push(`${key}=${value} (repaired, was ${before})`);
+            else notes.push(`${key}=${value} (kept)`);
+        }
+
+        return { filter: options.length > 0 ? `hevc_metadata=${options.join(":")}` : "", notes };
+    }
+
+    // ----------------------------------------
+    // HDR10 static metadata for the x265 re-encode
+    // ----------------------------------------
+    const HDR_TRANSFERS = ["smpte2084", "arib-std-b67"];
+
+    // Run a command and resolve with its stdout
+    function runCapture(command, cmdArgs, label) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, cmdArgs, { stdio: "pipe" });
+
+            let stdout = "";
+            let stderr = "";
+
+            child.on("error", (err) => reject(new Error(`Failed to start ${label}: ${err.message}`)));
+            child.stdout.on("data", (data) => { stdout += data.toString(); });
+            child.stderr.on("data", (data) => { stderr += data.toString(); });
+            child.on("close", (code) => {
+                if (code === 0) return resolve(stdout);
+                reject(new Error(`${label} exited with code ${code}: ${stderr.trim()}`));
+            });
+        });
+    }
+
+    // Read side data from the first few frames (many demuxers only attach HDR metadata per frame)
+    async function probeFrameSideData(inputPath, streamIndex) {
+        const probeArgs = [
+            "-v", "error",
+            "-select_streams", String(streamIndex),
+            "-read_intervals", "%+#3",
+            "-show_frames",
+            "-show_entries", "frame=side_data_list",
+            "-of", "json",
+            inputPath,
+        ];
+        const stdout = await runCapture("ffprobe", probeArgs, "ffprobe");
+        const data = JSON.parse(stdout || "{}");
+        return (data.frames || []).flatMap((frame) => frame.side_data_list || []);
+    }
+
+    const sideDataType = (sd) => (typeof sd?.side_data_type === "string" ? sd.side_data_type.toLowerCase() : "");
+
+    // ffprobe reports chromaticities and luminance as rationals, e.g. "34000/50000"
+    function parseRational(value) {
+        if (value === undefined || value === null || value === "") return NaN;
+        const [num, den = "1"] = String(value).split("/");
+        return Number(num) / Number(den);
+    }
+
+    // x265 master-display: G(x,y)B(x,y)R(x,y)WP(x,y)L(max,min) in 0.00002 and 0.0001 cd/m² units
+    function formatMasterDisplay(sd) {
+        const chroma = (v) => Math.round(parseRational(v) * 50000);
+        const luminance = (v) => Math.round(parseRational(v) * 10000);
+        const [gx, gy, bx, by, rx, ry, wx, wy] = [
+            sd.green_x, sd.green_y, sd.blue_x, sd.blue_y, sd.red_x, sd.red_y, sd.white_point_x, sd.white_point_y,
+        ].map(chroma);
+        const maxL = luminance(sd.max_luminance);
+        const minL = luminance(sd.min_luminance);
+        if ([gx, gy, bx, by, rx, ry, wx, wy, maxL, minL].some((v) => !Number.isFinite(v))) return "";
+        return `G(${gx},${gy})B(${bx},${by})R(${rx},${ry})WP(${wx},${wy})L(${maxL},${minL})`;
+    }
+
+    function formatMaxCll(sd) {
+        const maxCll = Number(sd.max_content);
+        const maxFall = Number(sd.max_average);
+        if (!Number.isFinite(maxCll) || !Number.isFinite(maxFall)) return "";
+        return `${maxCll},${maxFall}`;
+    }
+
+    // Build the colour/HDR part of -x265-params. SDR sources are never tagged as HDR,
+    // even when a PQ/HLG description is forced.
+    function buildX265ColourParams(colour, sideData) {
+        const notes = [];
+        let { primaries, transfer, matrix, range } = colour.resolved;
+
+        const probedTransfer = colour.probed.transfer;
+        if (HDR_TRANSFERS.includes(transfer) && probedTransfer && !HDR_TRANSFERS.includes(probedTransfer)) {
+            notes.push(`source is SDR (${probedTransfer}), ignoring ${transfer}`);
+            ({ primaries, transfer, matrix, range } = { ...colour.probed, range: colour.probed.range || "tv" });
+        }
+
+        const params = [];
+        if (primaries) params.push(`colorprim=${primaries}`);
+        if (transfer) params.push(`transfer=${transfer}`);
+        if (matrix) params.push(`colormatrix=${matrix}`);
+        if (range) params.push(`range=${range === "pc" ? "full" : "limited"}`);
+
+        if (!HDR_TRANSFERS.includes(transfer)) {
+            notes.push(transfer ? `SDR (${transfer}), not tagging as HDR` : "no colour description, not tagging as HDR");
+            return { params, notes };
+        }
+
+        if (transfer === "smpte2084") params.push("hdr10-opt=1");
+
+        const masteringDisplay = sideData.find((sd) => sideDataType(sd).includes("mastering display"));
+        const masterDisplay = masteringDisplay ? formatMasterDisplay(masteringDisplay) : "";
+        if (masterDisplay) params.push(`master-display=${masterDisplay}`);
+        notes.push(`master-display=${masterDisplay || "none"}`);
+
+        const contentLight = sideData.find((sd) => sideDataType(sd).includes("content light level"));
+        const maxCll = contentLight ? formatMaxCll(contentLight) : "";
+        if (maxCll) params.push(`max-cll=${maxCll}`);
+        notes.push(`max-cll=${maxCll || "none"}`);
+
+        return { params, notes: [transfer === "smpte2084" ? "PQ" : "HLG", ...notes] };
+    }
+
+    // ----------------------------------------
+    // Dolby Vision RPU from AV1 (Profile 10)
+    // ----------------------------------------
+    // dovi_tool only reads HEVC, so AV1 RPUs are pulled out of the ITU-T T.35 metadata OBUs here
+    // and rewritten as HEVC UNSPEC62 NAL units (the RPU.bin format x265 --dolby-vision-rpu reads).
+    const OBU_METADATA = 5;
+    const METADATA_TYPE_ITUT_T35 = 4;
+
+    // BL signal compatibility ID → x265 dolby-vision-profile
+    const DV_X265_PROFILES = { 1: "8.1", 2: "8.2", 4: "8.4", 6: "8.1" };
+
+    function findDoviConfig(videoStream) {
+        return (videoStream?.side_data_list || []).find((sd) => typeof sd?.dv_profile !== "undefined") || null;
+    }
+
+    // CRC-32/MPEG-2, as used for the RPU's trailing rpu_data_crc32
+    const CRC32_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let i = 0; i < 256; i++) {
+            let crc = i << 24;
+            for (let bit = 0; bit < 8; bit++) crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+            table[i] = crc >>> 0;
+        }
+        return table;
+    })();
+
+    function crc32Mpeg2(bytes) {
+        let crc = 0xffffffff;
+        for (const byte of bytes) crc = ((crc << 8) ^ CRC32_TABLE[((crc >>> 24) ^ byte) & 0xff]) >>> 0;
+        return crc;
+    }
+
+    // Read a LEB128 value; returns [value, bytesRead] or null when the buffer is too short
+    function readLeb128(buf, offset) {
+        let value = 0;
+        for (let i = 0; i < 8; i++) {
+            if (offset + i >= buf.length) return null;
+            const byte = buf[offset + i];
+            value += (byte & 0x7f) * 2 ** (7 * i);
+            if (!(byte & 0x80)) return [value, i + 1];
+        }
+        throw new Error("Invalid LEB128 in AV1 OBU stream");
+    }
+
+    function bitReader(buf, offset) {
+        let pos = offset * 8;
+        const read = (n) => {
+            let value = 0;
+            for (let i = 0; i < n; i++) {
+                const byteIndex = pos >> 3;
+                if (byteIndex >= buf.length) throw new Error("EMDF container truncated");
+                value = value * 2 + ((buf[byteIndex] >> (7 - (pos & 7))) & 1);
+                pos++;
+            }
+            return value;
+        };
+        // EMDF variable_bits(n)
+        const readVariable = (n) => {
+            let value = 0;
+            for (;;) {
+                value += read(n);
+                if (!read(1)) return value;
+                value = (value + 1) * 2 ** n;
+            }
+        };
+        return { read, readVariable };
+    }
+
+    // Metadata OBU payload → Dolby Vision RPU NAL (with start code), or null when the OBU is not a DV RPU
+    function av1MetadataToRpuNal(payload) {
+        const type = readLeb128(payload, 0);
+        if (!type || type[0] !== METADATA_TYPE_ITUT_T35) return null;
+
+        const reader = bitReader(payload, type[1]);
+        // itu_t_t35_country_code 0xB5, terminal provider 0x003B, provider-oriented code 0x00000800
+        if (reader.read(8) !== 0xb5 || reader.read(16) !== 0x003b || reader.read(32) !== 0x800) return null;
+
+        // EMDF container: version 0, key_id 6, payload_id 31 + ext 225, flags 0000 + discard 1
+        if (reader.read(2) !== 0 || reader.read(3) !== 6 || reader.read(5) !== 31 || reader.readVariable(5) !== 225) {
+            throw new Error("Unexpected EMDF container in Dolby Vision metadata OBU");
+        }
+        if (reader.read(5) !== 0b00001) throw new Error("Unexpected EMDF payload flags in Dolby Vision metadata OBU");
+        const size = reader.readVariable(8);
+        const rpu = Buffer.alloc(size);
+        for (let i = 0; i < size; i++) rpu[i] = reader.read(8);
+
+        // The payload ends with rpu_data_crc32, optionally followed by the 0x80 trailing byte
+        const crcMatches = (end) => end >= 4 && crc32Mpeg2(rpu.subarray(0, end - 4)) === rpu.readUInt32BE(end - 4);
+        let end;
+        if (crcMatches(size)) end = size;
+        else if (rpu[size - 1] === 0x80 && crcMatches(size - 1)) end = size - 1;
+        else throw new Error("Dolby Vision RPU CRC mismatch");
+
+        // HEVC UNSPEC62: 0x7C01 header, 0x19 prefix, RPU, 0x80, with emulation prevention
+        const raw = Buffer.concat([Buffer.from([0x19]), rpu.subarray(0, end), Buffer.from([0x80])]);
+        const escaped = [];
+        let zeros = 0;
+        for (const byte of raw) {
+            if (zeros >= 2 && byte <= 3) {
+                escaped.push(3);
+                zeros = 0;
+            }
+            escaped.push(byte);
+            zeros = byte === 0 ? zeros + 1 : 0;
+        }
+        return Buffer.concat([Buffer.from([0, 0, 0, 1, 0x7c, 0x01]), Buffer.from(escaped)]);
+    }
+
+    // Stream the AV1 track through ffmpeg's OBU muxer and write every DV RPU to rpuPath
+    function extractAv1Rpu(inputPath, streamIndex, rpuPath, jobLog) {
+        const ffArgs = ["-v", "error", "-i", inputPath, "-map", `0:${streamIndex}`, "-c:v", "copy", "-f", "obu", "-"];
+        log(jobLog, `📋 Command: ffmpeg ${ffArgs.join(' ')} | (AV1 RPU parser) > ${rpuPath}`);
+
+        return new Promise((resolve, reject) => {
+            const ff = spawn("ffmpeg", ffArgs, { stdio: ["ignore", "pipe", "pipe"] });
+            const out = fs.createWriteStream(rpuPath);
+
+            let pending = Buffer.alloc(0);
+            let skip = 0;
+            let rpuCount = 0;
+            let stderr = "";
+            let failed = false;
+
+            const fail = (err) => {
+                if (failed) return;
+                failed = true;
+                ff.kill();
+                out.destroy();
+                reject(err);
+            };
+
+            const consume = (chunk) => {
+                if (skip > 0) {
+                    const dropped = Math.min(skip, chunk.length);
+                    skip -= dropped;
+                    chunk = chunk.subarray(dropped);
+                }
+                pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+
+                while (pending.length > 0 && skip === 0) {
+                    const header = pending[0];
+                    const obuType = (header >> 3) & 0x0f;
+                    const headerSize = header & 0x04 ? 2 : 1;
+                    if (!(header & 0x02)) throw new Error("AV1 OBU without size field; cannot parse stream");
+                    const leb = readLeb128(pending, headerSize);
+                    if (!leb) return;
+                    const payloadStart = headerSize + leb[1];
+                    const obuEnd = payloadStart + leb[0];
+
+                    if (obuType !== OBU_METADATA) {
+                        // Skip frame/tile data without buffering it
+                        const available = Math.min(obuEnd, pending.length);
+                        skip = obuEnd - available;
+                        pending = pending.subarray(available);
+                        continue;
+                    }
+                    if (pending.length < obuEnd) return;
+
+                    const nal = av1MetadataToRpuNal(pending.subarray(payloadStart, obuEnd));
+                    pending = pending.subarray(obuEnd);
+                    if (nal) {
+                        rpuCount++;
+                        if (!out.write(nal)) {
+                            ff.stdout.pause();
+                            out.once("drain", () => ff.stdout.resume());
+                        }
+                    }
+                }
+            };
+
+            ff.on("error", (err) => fail(new Error(`Failed to start ffmpeg: ${err.message}`)));
+            ff.stderr.on("data", (data) => { stderr += data.toString(); });
+            ff.stdout.on("data", (chunk) => {
+                if (failed) return;
+                try {
+                    consume(chunk);
+                } catch (err) {
+                    fail(err);
+                }
+            });
+            ff.on("close", (code) => {
+                if (failed) return;
+                if (code !== 0) return fail(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
+                out.end(() => resolve(rpuCount));
+            });
+            out.on("error", (err) => fail(err));
+        });
+    }
+
+    // ----------------------------------------
+    // Dolby Vision RPU from AVC (Profile 9)
+    // ----------------------------------------
+    // AVC carries the RPU in NAL unit type 28 with the same 0x19-prefixed, emulation-prevented
+    // payload as HEVC UNSPEC62, so only the NAL header is swapped. Annex B is in decode order and
+    // x265 takes one RPU per frame in display order, so the RPUs are reordered by packet pts.
+    const AVC_RPU_NAL_TYPE = 28;
+    const START_CODE = Buffer.from([0, 0, 1]);
+
+    const isAvcRpu = (buf, offset) =>
+        buf.length - offset >= 2 && (buf[offset] & 0x1f) === AVC_RPU_NAL_TYPE && buf[offset + 1] === 0x19;
+
+    // Packet pts of a stream, in decode order
+    async function probePacketPts(inputPath, streamIndex) {
+        const probeArgs = [
+            "-v", "error",
+            "-select_streams", String(streamIndex),
+            "-show_entries", "packet=pts",
+            "-of", "csv=p=0",
+            inputPath,
+        ];
+        const stdout = await runCapture("ffprobe", probeArgs, "ffprobe");
+        return stdout.split(/\r?\n/).filter((line) => line.trim() !== "").map((line) => Number(line.split(",")[0]));
+    }
+
+    // Stream the AVC track as Annex B and collect the RPU payloads (without NAL header), in decode order
+    function readAvcRpus(inputPath, streamIndex, jobLog) {
+        const ffArgs = [
+            "-v", "error",
+            "-i", inputPath,
+            "-map", `0:${streamIndex}`,
+            "-c:v", "copy",
+            "-bsf:v", "h264_mp4toannexb",
+            "-f", "h264",
+            "-",
+        ];
+        log(jobLog, `📋 Command: ffmpeg ${ffArgs.join(' ')} | (AVC RPU parser)`);
+
+        return new Promise((resolve, reject) => {
+            const ff = spawn("ffmpeg", ffArgs, { stdio: ["ignore", "pipe", "pipe"] });
+
+            const rpus = [];
+            let pending = Buffer.alloc(0);
+            let scanFrom = 0;
+            // Whether the NAL at the start of `pending` may be an RPU; other NALs are not buffered
+            let collecting = false;
+            let stderr = "";
+            let failed = false;
+
+            const takeNal = (nal) => {
+                if (!isAvcRpu(nal, 0)) return;
+                // Zero bytes before the next start code (4-byte start codes, trailing_zero_8bits) are not payload
+                let end = nal.length;
+                while (end > 0 && nal[end - 1] === 0) end--;
+                rpus.push(Buffer.from(nal.subarray(1, end)));
+            };
+
+            const consume = (chunk) => {
+                pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+                let nalStart = 0;
+                for (;;) {
+                    const found = pending.indexOf(START_CODE, scanFrom);
+                    if (found === -1) break;
+                    if (collecting) takeNal(pending.subarray(nalStart, found));
+                    nalStart = found + START_CODE.length;
+                    scanFrom = nalStart;
+                    collecting = true;
+                }
+                if (collecting && pending.length - nalStart >= 2 && !isAvcRpu(pending, nalStart)) collecting = false;
+
+                // Keep the current RPU, or only the bytes a split start code could begin in
+                const keepFrom = collecting ? nalStart : Math.max(nalStart, pending.length - 2);
+                scanFrom = Math.max(nalStart, pending.length - 2) - keepFrom;
+                pending = pending.subarray(keepFrom);
+            };
+
+            ff.on("error", (err) => {
+                failed = true;
+                reject(new Error(`Failed to start ffmpeg: ${err.message}`));
+            });
+            ff.stderr.on("data", (data) => { stderr += data.toString(); });
+            ff.stdout.on("data", consume);
+            ff.on("close", (code) => {
+                if (failed) return;
+                if (code !== 0) return reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
+                if (collecting) takeNal(pending);
+                resolve(rpus);
+            });
+        });
+    }
+
+    // Write the AVC RPUs to rpuPath as HEVC UNSPEC62 NAL units in display order; returns the RPU count
+    async function extractAvcRpu(inputPath, streamIndex, rpuPath, jobLog) {
+        const rpus = await readAvcRpus(inputPath, streamIndex, jobLog);
+        const pts = await probePacketPts(inputPath, streamIndex);
+        if (rpus.length !== pts.length) {
+            throw new Error(`${rpus.length} RPU NAL units for ${pts.length} packets; cannot map RPUs to frames`);
+        }
+        if (pts.some((value) => !Number.isFinite(value))) {
+            throw new Error("Packets without pts; cannot put the RPUs in display order");
+        }
+
+        const order = pts.map((value, i) => i).sort((a, b) => pts[a] - pts[b] || a - b);
+        const header = Buffer.from([0, 0, 0, 1, 0x7c, 0x01]);
+        const fd = fs.openSync(rpuPath, "w");
+        try {
+            for (const i of order) {
+                fs.writeSync(fd, header);
+                fs.writeSync(fd, rpus[i]);
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+        return rpus.length;
+    }
+
+    // ffmpeg's libx265 wrapper cannot read an RPU file (--dolby-vision-rpu is an x265 CLI option),
+    // so Dolby Vision re-encodes decode with ffmpeg and pipe y4m into the x265 binary
+    function runPipe(producer, consumer) {
+        return new Promise((resolve, reject) => {
+            const first = spawn(producer.command, producer.args, { stdio: ["ignore", "pipe", "pipe"] });
+            const second = spawn(consumer.command, consumer.args, { stdio: ["pipe", "pipe", "pipe"] });
+
+            let failed = false;
+            const fail = (err) => {
+                if (failed) return;
+                failed = true;
+                first.kill();
+                second.kill();
+                reject(err);
+            };
+
+            // x265 reports progress on stderr for the whole encode; only the tail is useful
+            const tail = (text, data) => (text + data.toString()).slice(-65536);
+            let firstErr = "";
+            let secondErr = "";
+            first.stderr.on("data", (data) => { firstErr = tail(firstErr, data); });
+            second.stderr.on("data", (data) => { secondErr = tail(secondErr, data); });
+            second.stdout.on("data", (data) => {
+                const msg = data.toString().trim();
+                if (msg) console.log(`[${consumer.label}]: ${msg}`);
+            });
+
+            first.on("error", (err) => fail(new Error(`Failed to start ${producer.label}: ${err.message}`)));
+            second.on("error", (err) => fail(new Error(`Failed to start ${consumer.label}: ${err.message}`)));
+            // EPIPE when the consumer exits early is reported through its exit code instead
+            second.stdin.on("error", () => {});
+            first.stdout.pipe(second.stdin);
+
+            let pending = 2;
+            const done = (label, errText) => (code) => {
+                if (code !== 0) return fail(new Error(`${label} exited with code ${code}: ${errText().trim().split(/[\r\n]+/).pop()}`));
+                if (--pending === 0) resolve();
+            };
+            first.on("close", done(producer.label, () => firstErr));
+            second.on("close", done(consumer.label, () => secondErr));
+        });
+    }
+
+    // x265 option switches that take no value on the command line
+    const X265_FLAGS = ["hdr10-opt", "repeat-headers"];
+
+    // key=value x265 params → x265 CLI arguments
+    function x265CliArgs(params) {
+        return params.flatMap((param) => {
+            const index = param.indexOf("=");
+            const key = param.slice(0, index);
+            const value = param.slice(index + 1);
+            if (X265_FLAGS.includes(key)) return value === "1" ? [`--${key}`] : [`--no-${key}`];
+            return [`--${key}`, value];
+        });
+    }
+
+    async function countVideoPackets(inputPath, streamIndex) {
+        const probeArgs = [
+            "-v", "error",
+            "-select_streams", String(streamIndex),
+            "-count_packets",
+            "-show_entries", "stream=nb_read_packets",
+            "-of", "csv=p=0",
+            inputPath,
+        ];
+        const stdout = await runCapture("ffprobe", probeArgs, "ffprobe");
+        const count = parseInt(stdout.trim(), 10);
+        if (!Number.isFinite(count)) throw new Error(`Unexpected ffprobe packet count: ${stdout.trim()}`);
+        return count;
+    }
+
+
     // ----------------------------------------
     // Plugin Details (added one input)
     // ----------------------------------------
@@ -100,10 +717,61 @@
                 inputType: "string",
                 defaultValue: "16",
                 inputUI: { type: "text" },
-            }
+            },
+            {
+                label: "Preserve Dolby Vision (non-HEVC re-encode)",
+                name: "preserveDolbyVision",
+                tooltip: "When a Dolby Vision AVC (Profile 9) or AV1 (Profile 10) source is re-encoded, extract its RPU and pass it to the x265 CLI (--dolby-vision-profile 8.1 / 8.4 with --dolby-vision-rpu) so the output stays Dolby Vision. The RPU is also written to <basename>_RPU.bin. Dolby Vision sources whose RPU cannot be carried over (other codecs, Profile 10.0) go to output 2 without being re-encoded. Disable to re-encode every source without DV. Default: enabled.",
+                inputType: "boolean",
+                defaultValue: "true",
+                inputUI: { type: "switch" },
+            },
+            {
+                label: "x265 Path (Dolby Vision re-encode)",
+                name: "x265Path",
+                tooltip: "x265 command-line encoder used for Dolby Vision re-encodes (ffmpeg's libx265 cannot take an RPU file). Must support 10-bit output. Install DV Tools sets this as x265Bin; when empty, x265 on PATH is used.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.x265Bin}}}",
+                inputUI: { type: "text" },
+            },
+            {
+                label: "x265 VBV Max Rate (kbps, Dolby Vision re-encode)",
+                name: "x265VbvMaxrate",
+                tooltip: "vbv-maxrate for Dolby Vision re-encodes; x265 requires VBV when writing Dolby Vision. Default: 60000.",
+                inputType: "string",
+                defaultValue: "60000",
+                inputUI: { type: "text" },
+            },
+            {
+                label: "x265 VBV Buffer (kbit, Dolby Vision re-encode)",
+                name: "x265VbvBufsize",
+                tooltip: "vbv-bufsize for Dolby Vision re-encodes. Default: 60000.",
+                inputType: "string",
+                defaultValue: "60000",
+                inputUI: { type: "text" },
+            },
+            {
+                label: "Colour Description",
+                name: "colourDescription",
+                tooltip: "VUI colour description written on stream copy. auto: keep what the source declares and only fill missing or inconsistent fields (HLG stays HLG, SDR stays BT.709). none: leave the VUI untouched. pq / hlg / sdr: force BT.2020 PQ, BT.2020 HLG or BT.709. Custom: primaries/transfer/matrix[/range] using ffprobe names or H.273 codes, e.g. bt2020/smpte2084/bt2020nc/tv. Default: auto.",
+                inputType: "string",
+                defaultValue: "auto",
+                inputUI: { type: "text" },
+            },
+            {
+                label: "Video Stream Index",
+                name: "videoStreamIndex",
+                tooltip: "ffprobe index of the video stream to use. Defaults to the stream chosen by an earlier plugin (videoStreamIndex). Leave empty to select automatically: cover art and still images are skipped, then the highest resolution, longest and default-flagged stream wins.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.videoStreamIndex}}}",
+                inputUI: { type: "text" },
+            },
         ],
 
-        outputs: [{ number: 1, tooltip: "Continue to next step" }],
+        outputs: [
+            { number: 1, tooltip: "Continue to next step" },
+            { number: 2, tooltip: "Dolby Vision source whose RPU cannot be carried into the HEVC re-encode (a codec other than AVC/AV1, or a BL compatibility ID such as Profile 10.0 with no HEVC equivalent); nothing was written. Disable Preserve Dolby Vision to re-encode it without DV." },
+        ],
     });
     exports.details = details;
 
@@ -123,6 +791,11 @@
         const configuredOutputDir = (resolveInput(args.inputs.outputDirectory, args) || "").toString().trim() || "";
         const x265Preset = (resolveInput(args.inputs.x265Preset, args) || "").toString().trim() || "slow";
         const x265Crf = (resolveInput(args.inputs.x265Crf, args) || "").toString().trim() || "16";
+        const preserveDolbyVision = String(resolveInput(args.inputs.preserveDolbyVision, args)) !== "false";
+        const x265Path = (resolveInput(args.inputs.x265Path, args) || "").toString().trim() || "x265";
+        const x265VbvMaxrate = (resolveInput(args.inputs.x265VbvMaxrate, args) || "").toString().trim() || "60000";
+        const x265VbvBufsize = (resolveInput(args.inputs.x265VbvBufsize, args) || "").toString().trim() || "60000";
+        const colourOverride = parseColourOverride(resolveInput(args.inputs.colourDescription, args));
 
         // Select output directory:
         // 1. Use configuredOutputDir if non-empty
@@ -153,9 +826,16 @@
         // Output HEVC path
         const blHevcPath = path.join(workDir, `${baseName}.hevc`);
 
+        // Main video stream; cover art and extra angles are never extracted
+        const streams = args?.inputFileObj?.ffProbeData?.streams;
+        const videoStream = selectVideoStream(streams, resolveInput(args.inputs.videoStreamIndex, args), jobLog);
+        if (videoStream) log(jobLog, `🎞 Video stream: index ${videoStream.index} (${videoStream.codec_name || "unknown"} ${videoStream.width || "?"}x${videoStream.height || "?"})`);
+
         if (!fs.existsSync(blHevcPath)) {
-            const streams = args?.inputFileObj?.ffProbeData?.streams;
-            const videoStream = Array.isArray(streams) ? streams.find(s => s.codec_type === "video") : null;
+            if (!videoStream) {
+                log(jobLog, "🚫 No video stream to extract");
+                throw new Error("File has no video stream");
+            }
             const codecName = (videoStream?.codec_name || "").toLowerCase();
             const codecTag = (videoStream?.codec_tag_string || "").toLowerCase();
 
@@ -170,10 +850,21 @@
 
             if (isHevc) {
                 log(jobLog, "🎬 Extracting HEVC track (stream copy)...");
+                const bsfChain = ["hevc_mp4toannexb"];
+                if (colourOverride === "none") {
+                    log(jobLog, "🎨 Colour description: leaving VUI untouched");
+                } else {
+                    const colour = resolveColourDescription(videoStream, colourOverride);
+                    const { filter, notes } = buildHevcMetadataFilter(colour);
+                    log(jobLog, `🎨 Colour description: ${notes.join(", ")}`);
+                    if (filter) bsfChain.unshift(filter);
+                }
+
                 const copyArgs = [
                     "-i", inputPath,
+                    "-map", `0:${videoStream.index}`,
                     "-c:v", "copy",
-                    "-bsf:v", "hevc_metadata=colour_primaries=9:transfer_characteristics=16:matrix_coefficients=9:video_full_range_flag=0,hevc_mp4toannexb",
+                    "-bsf:v", bsfChain.join(","),
                     blHevcPath,
                 ];
 
@@ -181,20 +872,150 @@
                 await runFfmpeg(copyArgs);
             } else {
                 log(jobLog, `🎬 Source video codec '${codecName || "unknown"}' is not HEVC. Re-encoding to HEVC with libx265 (preset=${x265Preset}, crf=${x265Crf})...`);
-                const x265Params = `crf=${x265Crf}:aq-mode=3:aq-strength=1.0:psy-rd=2.0:psy-rdoq=1.0:deblock=-1,-1:hdr10-opt=1:colorprim=bt2020:transfer=smpte2084:colormatrix=bt2020nc:repeat-headers=1`;
-                const encodeArgs = [
-                    "-i", inputPath,
-                    "-map", "0:v:0",
-                    "-an",
-                    "-c:v", "libx265",
-                    "-pix_fmt", "yuv420p10le",
-                    "-preset", x265Preset,
-                    "-x265-params", x265Params,
-                    blHevcPath,
+                let colourParams = [];
+                if (colourOverride === "none") {
+                    log(jobLog, "🎨 x265 colour: none requested, output is untagged");
+                } else {
+                    // Stream-level side data first, then the first frames (MKV/MP4 often only carry it per frame)
+                    let sideData = videoStream?.side_data_list || [];
+                    const hasStaticMetadata = (list) =>
+                        list.some((sd) => sideDataType(sd).includes("mastering display")) &&
+                        list.some((sd) => sideDataType(sd).includes("content light level"));
+                    if (!hasStaticMetadata(sideData) && videoStream) {
+                        try {
+                            sideData = [...sideData, ...await probeFrameSideData(inputPath, videoStream.index)];
+                        } catch (err) {
+                            log(jobLog, `⚠️ Frame probe failed, using stream side data only: ${err.message}`);
+                        }
+                    }
+
+                    const colour = resolveColourDescription(videoStream, colourOverride);
+                    const { params, notes } = buildX265ColourParams(colour, sideData);
+                    colourParams = params;
+                    log(jobLog, `🎨 x265 colour: ${notes.join(" | ")}`);
+                }
+
+                // Dolby Vision: carry the source RPU into the x265 encode
+                let dvParams = [];
+                const doviConfig = findDoviConfig(videoStream);
+                const hasDolbyVision = Boolean(doviConfig) || ["dav1", "dvav", "dva1"].includes(codecTag);
+                if (hasDolbyVision && !preserveDolbyVision) {
+                    log(jobLog, "⚠️ Preserve Dolby Vision is disabled: re-encoding without DV, dynamic metadata is dropped");
+                } else if (hasDolbyVision) {
+                    const compatId = doviConfig ? Number(doviConfig.dv_bl_signal_compatibility_id) : NaN;
+                    const x265DvProfile = DV_X265_PROFILES[compatId];
+                    const dvLabel = `Dolby Vision Profile ${doviConfig?.dv_profile ?? "unknown"} (${codecName || "unknown"})`;
+
+                    // A re-encode without the RPU would silently drop DV, so these go to their own output
+                    let unsupported = "";
+                    if (codecName !== "av1" && codecName !== "h264") {
+                        unsupported = "RPU extraction is only supported for AV1 and AVC sources";
+                    } else if (!x265DvProfile) {
+                        unsupported = `BL compatibility ID ${Number.isNaN(compatId) ? "unknown" : compatId} has no single-layer HEVC equivalent`;
+                    }
+                    if (unsupported) {
+                        log(jobLog, `🚫 ${dvLabel}: ${unsupported}; nothing re-encoded → output 2 (disable Preserve Dolby Vision to re-encode without DV)`);
+                        return {
+                            outputFileObj: inputFileObj,
+                            outputNumber: 2,
+                            variables: {
+                                ...args.variables,
+                                videoStreamIndex: videoStream.index,
+                            },
+                        };
+                    }
+
+                    const rpuPath = path.join(workDir, `${baseName}_RPU.bin`);
+                    const tempRpuPath = path.join(workDir, `${baseName}_RPU_temp.bin`);
+                    const sourceLabel = codecName === "h264" ? "AVC" : "AV1";
+
+                    log(jobLog, `🛠 ${dvLabel}: extracting RPU for a DV ${x265DvProfile} re-encode...`);
+                    try {
+                        const rpuCount = codecName === "h264"
+                            ? await extractAvcRpu(inputPath, videoStream.index, tempRpuPath, jobLog)
+                            : await extractAv1Rpu(inputPath, videoStream.index, tempRpuPath, jobLog);
+                        const frameCount = await countVideoPackets(inputPath, videoStream.index);
+                        log(jobLog, `RPU count: ${rpuCount} | Frame count: ${frameCount}`);
+                        if (rpuCount !== frameCount) {
+                            throw new Error(`RPU count ${rpuCount} does not match frame count ${frameCount}`);
+                        }
+                        fs.renameSync(tempRpuPath, rpuPath);
+                    } catch (e) {
+                        log(jobLog, `🚨 ${sourceLabel} RPU extraction failed: ${e.message}`);
+                        try {
+                            if (fs.existsSync(tempRpuPath)) fs.unlinkSync(tempRpuPath);
+                        } catch (err) {
+                            // Best-effort cleanup
+                        }
+                        throw e;
+                    }
+
+                    log(jobLog, `✔ RPU extracted: ${rpuPath}`);
+                    dvParams = [
+                        `dolby-vision-profile=${x265DvProfile}`,
+                        `dolby-vision-rpu=${rpuPath}`,
+                        `vbv-maxrate=${x265VbvMaxrate}`,
+                        `vbv-bufsize=${x265VbvBufsize}`,
+                    ];
+                }
+
+                const x265Params = [
+                    `crf=${x265Crf}`,
+                    "aq-mode=3", "aq-strength=1.0", "psy-rd=2.0", "psy-rdoq=1.0", "deblock=-1,-1",
+                    ...colourParams,
+                    ...dvParams,
+                    "repeat-headers=1",
                 ];
 
-                log(jobLog, `📋 Command: ffmpeg ${encodeArgs.join(' ')}`);
-                await runFfmpeg(encodeArgs);
+                if (dvParams.length > 0) {
+                    const decodeArgs = [
+                        "-v", "error",
+                        "-i", inputPath,
+                        "-map", `0:${videoStream.index}`,
+                        "-an",
+                        "-pix_fmt", "yuv420p10le",
+                        "-strict", "-1",
+                        "-f", "yuv4mpegpipe",
+                        "-",
+                    ];
+                    const x265Args = [
+                        "--input", "-", "--y4m",
+                        "--preset", x265Preset,
+                        "--output-depth", "10",
+                        ...x265CliArgs(x265Params),
+                        "--output", blHevcPath,
+                    ];
+
+                    log(jobLog, `📋 Command: ffmpeg ${decodeArgs.join(' ')} | ${x265Path} ${x265Args.join(' ')}`);
+                    try {
+                        await runPipe(
+                            { command: "ffmpeg", args: decodeArgs, label: "ffmpeg" },
+                            { command: x265Path, args: x265Args, label: "x265" },
+                        );
+                    } catch (e) {
+                        log(jobLog, `🚨 Dolby Vision re-encode failed: ${e.message}`);
+                        try {
+                            if (fs.existsSync(blHevcPath)) fs.unlinkSync(blHevcPath);
+                        } catch (err) {
+                            // Best-effort cleanup
+                        }
+                        throw e;
+                    }
+                } else {
+                    const encodeArgs = [
+                        "-i", inputPath,
+                        "-map", `0:${videoStream.index}`,
+                        "-an",
+                        "-c:v", "libx265",
+                        "-pix_fmt", "yuv420p10le",
+                        "-preset", x265Preset,
+                        "-x265-params", x265Params.join(":"),
+                        blHevcPath,
+                    ];
+
+                    log(jobLog, `📋 Command: ffmpeg ${encodeArgs.join(' ')}`);
+                    await runFfmpeg(encodeArgs);
+                }
             }
         } else {
             log(jobLog, `✔ Skipping HEVC extract, found: ${blHevcPath}`);
@@ -203,7 +1024,10 @@
         return {
             outputFileObj: inputFileObj,
             outputNumber: 1,
-            variables: args.variables,
+            variables: {
+                ...args.variables,
+                videoStreamIndex: videoStream ? videoStream.index : "",
+            },
         };
     };
 
@@ -11,6 +11,7 @@
     const fs = require("fs");
     const path = require("path");
     const {spawn} = require("child_process");
+    const {scanRpuExport, parseLevel1} = require("../../../../LocalFlowHelpers/rpuExport/1.0.0/index");
 
     // ----------------------------------------
     // Logging helper
@@ -79,6 +80,145 @@
         });
     }
 
+    // ----------------------------------------
+    // Run a command and resolve with its stdout
+    // ----------------------------------------
+    function runCapture(command, args) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, args, {stdio: "pipe"});
+
+            let stdout = "";
+            let stderr = "";
+
+            child.on("error", (err) => reject(new Error(`Failed to start ${command}: ${err.message}`)));
+            child.stdout.on("data", (data) => { stdout += data.toString(); });
+            child.stderr.on("data", (data) => { stderr += data.toString(); });
+            child.on("close", (code) => {
+                if (code === 0) return resolve(stdout);
+                reject(new Error(`dovi_tool exited with code ${code}: ${stderr.trim()}`));
+            });
+        });
+    }
+
+    // ----------------------------------------
+    // Sidecar helpers
+    // ----------------------------------------
+    const EXPORT_MODES = ["off", "full", "summary"];
+
+    // Fold a full dovi_tool JSON export into per-shot L1 statistics.
+    // The export of a feature-length RPU runs to hundreds of MB; the shared reader scans it in chunks.
+    function summarizeExport(exportPath) {
+        const shots = [];
+        let frame = -1;
+        let current = null;
+
+        return scanRpuExport(exportPath, {
+            onFrame: () => {
+                frame++;
+                if (!current) {
+                    current = {start: frame, duration: 0, minPq: null, maxPq: null, avgPqSum: 0, l1Frames: 0};
+                    shots.push(current);
+                }
+                current.duration++;
+            },
+            onSceneRefresh: (flag) => {
+                // Scene refresh starts a new shot at the current frame
+                if (flag !== 0 && current && current.start !== frame) {
+                    current.duration--;
+                    current = {start: frame, duration: 1, minPq: null, maxPq: null, avgPqSum: 0, l1Frames: 0};
+                    shots.push(current);
+                }
+            },
+            onBlock: (level, body) => {
+                if (level !== 1 || !current) return;
+                const l1 = parseLevel1(body);
+                if (!l1) return;
+                current.minPq = current.minPq === null ? l1.minPq : Math.min(current.minPq, l1.minPq);
+                current.maxPq = current.maxPq === null ? l1.maxPq : Math.max(current.maxPq, l1.maxPq);
+                current.avgPqSum += l1.avgPq;
+                current.l1Frames++;
+            },
+        }).then(() => ({
+            frames: frame + 1,
+            shots: shots.map((shot) => ({
+                start: shot.start,
+                duration: shot.duration,
+                min_pq: shot.minPq,
+                max_pq: shot.maxPq,
+                avg_pq: shot.l1Frames ? Math.round(shot.avgPqSum / shot.l1Frames) : null,
+            })),
+        }));
+    }
+
+    // Write the requested sidecars next to the original file and return their paths
+    async function writeSidecars(doviToolPath, rpuPath, options, jobLog) {
+        const {sidecarDir, sidecarBase, exportMode, exportPlot, archiveRpu, workDir} = options;
+        const result = {rpuExportJsonPath: "", rpuPlotPath: "", rpuArchivePath: ""};
+
+        if (!fs.existsSync(sidecarDir)) {
+            log(jobLog, `📁 Creating directory: ${sidecarDir}`);
+            fs.mkdirSync(sidecarDir, {recursive: true});
+        }
+
+        if (exportMode === "full") {
+            const jsonPath = path.join(sidecarDir, `${sidecarBase}.rpu.json`);
+            const exportArgs = ["export", "-i", rpuPath, "-d", `all=${jsonPath}`];
+            log(jobLog, `📋 Command: ${doviToolPath} ${exportArgs.join(' ')}`);
+            await runSpawn(doviToolPath, exportArgs);
+            result.rpuExportJsonPath = jsonPath;
+        } else if (exportMode === "summary") {
+            const jsonPath = path.join(sidecarDir, `${sidecarBase}.rpu_summary.json`);
+            const tempExportPath = path.join(workDir, `${sidecarBase}_RPU_export.json`);
+            try {
+                const infoArgs = ["info", "-i", rpuPath, "--summary"];
+                log(jobLog, `📋 Command: ${doviToolPath} ${infoArgs.join(' ')}`);
+                const summaryText = await runCapture(doviToolPath, infoArgs);
+
+                const exportArgs = ["export", "-i", rpuPath, "-d", `all=${tempExportPath}`];
+                log(jobLog, `📋 Command: ${doviToolPath} ${exportArgs.join(' ')}`);
+                await runSpawn(doviToolPath, exportArgs);
+                const {frames, shots} = await summarizeExport(tempExportPath);
+
+                const summary = {
+                    source: path.basename(rpuPath),
+                    summary: summaryText.split("\n").map((line) => line.trim()).filter(Boolean),
+                    frames,
+                    shotCount: shots.length,
+                    shots,
+                };
+                fs.writeFileSync(jsonPath, JSON.stringify(summary, null, 2));
+            } finally {
+                try {
+                    if (fs.existsSync(tempExportPath)) fs.unlinkSync(tempExportPath);
+                } catch (err) {
+                    // Best-effort cleanup
+                }
+            }
+            result.rpuExportJsonPath = jsonPath;
+        }
+        if (result.rpuExportJsonPath) {
+            log(jobLog, `✔ RPU export written: ${result.rpuExportJsonPath}`);
+        }
+
+        if (exportPlot) {
+            const plotPath = path.join(sidecarDir, `${sidecarBase}.rpu.png`);
+            const plotArgs = ["plot", "-i", rpuPath, "-o", plotPath];
+            log(jobLog, `📋 Command: ${doviToolPath} ${plotArgs.join(' ')}`);
+            await runSpawn(doviToolPath, plotArgs);
+            result.rpuPlotPath = plotPath;
+            log(jobLog, `✔ RPU plot written: ${plotPath}`);
+        }
+
+        if (archiveRpu) {
+            const archivePath = path.join(sidecarDir, `${sidecarBase}.rpu.bin`);
+            fs.copyFileSync(rpuPath, archivePath);
+            result.rpuArchivePath = archivePath;
+            log(jobLog, `✔ RPU archived: ${archivePath}`);
+        }
+
+        return result;
+    }
+
     // ----------------------------------------
     // Plugin Details
     // ----------------------------------------
@@ -120,6 +260,42 @@
                 type: "string",
                 defaultValue: "",
                 inputUI: {type: "directory"},
+            },
+            {
+                label: "Export RPU JSON",
+                name: "exportJson",
+                tooltip:
+                    "Keep a human-readable copy of the RPU next to the original file. off: none. full: complete dovi_tool export (<name>.rpu.json, can be hundreds of MB). summary: dovi_tool info summary plus per-shot L1 statistics (<name>.rpu_summary.json). Default: off.",
+                type: "string",
+                defaultValue: "off",
+                inputUI: {type: "text"},
+            },
+            {
+                label: "Export RPU Plot",
+                name: "exportPlot",
+                tooltip:
+                    "Write a PNG brightness (L1) plot from dovi_tool plot next to the original file (<name>.rpu.png).",
+                type: "boolean",
+                defaultValue: "false",
+                inputUI: {type: "switch"},
+            },
+            {
+                label: "Archive RPU Binary",
+                name: "archiveRpu",
+                tooltip:
+                    "Copy the extracted RPU next to the original file (<name>.rpu.bin) so it survives cache cleanup and can be re-injected later.",
+                type: "boolean",
+                defaultValue: "false",
+                inputUI: {type: "switch"},
+            },
+            {
+                label: "Sidecar Directory",
+                name: "sidecarDirectory",
+                tooltip:
+                    "Optional: directory for the JSON/plot/archive sidecars. Leave empty to use the directory of the original library file.",
+                type: "string",
+                defaultValue: "",
+                inputUI: {type: "directory"},
             }
         ],
 
@@ -148,6 +324,14 @@
             throw new Error("Missing dovi_tool path");
         }
 
+        const exportMode = (resolveInput(args.inputs.exportJson, args) || "off").toString().trim().toLowerCase();
+        if (!EXPORT_MODES.includes(exportMode)) {
+            log(jobLog, `🚫 Unknown RPU export mode "${exportMode}" (expected one of: ${EXPORT_MODES.join(", ")})`);
+            throw new Error("Invalid RPU export mode");
+        }
+        const exportPlot = String(resolveInput(args.inputs.exportPlot, args)) === "true";
+        const archiveRpu = String(resolveInput(args.inputs.archiveRpu, args)) === "true";
+
         const userBlHevcPath = (resolveInput(args.inputs.blHevcPath, args) || "").toString().trim();
         const blHevcPath =
             userBlHevcPath.length > 0
@@ -207,10 +391,34 @@
             }
         }
 
+        // Optional archival sidecars
+        let sidecars = {};
+        if (exportMode !== "off" || exportPlot || archiveRpu) {
+            const originalPath = args.originalLibraryFile?.file || inputPath;
+            const configuredSidecarDir = (resolveInput(args.inputs.sidecarDirectory, args) || "").toString().trim();
+            const sidecarDir = configuredSidecarDir.length > 0 ? configuredSidecarDir : path.dirname(originalPath);
+            const sidecarBase = path.basename(originalPath, path.extname(originalPath));
+
+            log(jobLog, `🛠 Writing RPU sidecars to ${sidecarDir}...`);
+            try {
+                sidecars = await writeSidecars(doviToolPath, rpuPath, {
+                    sidecarDir,
+                    sidecarBase,
+                    exportMode,
+                    exportPlot,
+                    archiveRpu,
+                    workDir: outputDir,
+                }, jobLog);
+            } catch (e) {
+                log(jobLog, `🚨 RPU sidecar export failed: ${e.message}`);
+                throw e;
+            }
+        }
+
         return {
             outputFileObj: inputFileObj,
             outputNumber: 1,
-            variables: args.variables
+            variables: {...args.variables, ...sidecars}
         };
     };
 
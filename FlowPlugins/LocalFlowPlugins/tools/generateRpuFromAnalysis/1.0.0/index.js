@@ -0,0 +1,453 @@
+"use strict";
+
+(function () {
+
+    Object.defineProperty(exports, "__esModule", {value: true});
+    exports.plugin = exports.details = void 0;
+
+    // ----------------------------------------
+    // Requires
+    // ----------------------------------------
+    const fs = require("fs");
+    const path = require("path");
+    const readline = require("readline");
+    const {spawn} = require("child_process");
+    const {selectVideoStream} = require("../../../../LocalFlowHelpers/videoStream/1.0.0/index");
+
+    // ----------------------------------------
+    // Logging helper
+    // ----------------------------------------
+    function log(jobLog, msg) {
+        jobLog(msg);
+        console.log(msg);
+    }
+
+    // Resolve inputs that may be wrapped in {{{ }}} to reference args.* values
+    function resolveInput(value, args) {
+        if (typeof value !== "string") return value;
+        const match = value.match(/^\{\{\{\s*(.+?)\s*\}\}\}$/);
+        if (!match) return value;
+
+        const baseExpr = match[1].trim();
+        const attempts = [baseExpr];
+
+        // Support both args.variables.user.* (old) and args.variables.* (new)
+        const userPrefixes = ["args.variables.user.", "variables.user."];
+        userPrefixes.forEach((prefix) => {
+            if (baseExpr.startsWith(prefix)) {
+                attempts.push(baseExpr.replace(prefix, prefix.replace(".user", "")));
+            }
+        });
+
+        for (const expr of attempts) {
+            try {
+                const fn = new Function("args", `return ${expr};`);
+                const resolved = fn(args);
+                if (resolved !== undefined && resolved !== null) return resolved;
+            } catch (err) {
+                console.warn(`Failed to resolve placeholder ${value} with expr "${expr}": ${err.message}`);
+            }
+        }
+
+        // Unresolved placeholders should not propagate as literal "{{{...}}}"
+        return "";
+    }
+
+    // ----------------------------------------
+    // Async spawn wrapper (unchanged)
+    // ----------------------------------------
+    function runSpawn(command, args) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, args, {stdio: "pipe"});
+
+            child.on("error", (err) => {
+                reject(new Error(`Failed to start ${command}: ${err.message}`));
+            });
+
+            child.stdout.on("data", (data) => {
+                const msg = data.toString().trim();
+                if (msg) console.log(`[dovi_tool]: ${msg}`);
+            });
+
+            child.stderr.on("data", (data) => {
+                const msg = data.toString().trim();
+                if (msg) console.warn(`[dovi_tool ERR]: ${msg}`);
+            });
+
+            child.on("close", (code) => {
+                if (code === 0) return resolve();
+                reject(new Error(`dovi_tool exited with code ${code}`));
+            });
+        });
+    }
+
+    // ----------------------------------------
+    // Generator config helpers
+    // ----------------------------------------
+    const CM_VERSIONS = {"2.9": "V29", "4.0": "V40"};
+
+    // ffprobe reports luminance as rationals, e.g. "50/10000"
+    function parseRational(value) {
+        const [num, den] = String(value ?? "").split("/").map(Number);
+        if (!Number.isFinite(num)) return null;
+        return den ? num / den : num;
+    }
+
+    // "<min>/<max>" in nits, e.g. "0.005/1000"
+    function parseMasteringDisplay(value) {
+        const match = String(value).match(/^\s*([\d.]+)\s*\/\s*([\d.]+)\s*$/);
+        if (!match) return null;
+        return {min: Number(match[1]), max: Number(match[2])};
+    }
+
+    function masteringFromStream(stream) {
+        const sideData = stream?.side_data_list || [];
+        const mastering = sideData.find((sd) => (sd?.side_data_type || "").toLowerCase().includes("mastering display"));
+        const light = sideData.find((sd) => (sd?.side_data_type || "").toLowerCase().includes("content light level"));
+        return {
+            min: mastering ? parseRational(mastering.min_luminance) : null,
+            max: mastering ? parseRational(mastering.max_luminance) : null,
+            maxCll: light ? Number(light.max_content) || 0 : 0,
+            maxFall: light ? Number(light.max_average) || 0 : 0,
+        };
+    }
+
+
+    // ----------------------------------------
+    // Brightness analysis
+    // ----------------------------------------
+    // Written by ffmpeg inside the work directory under a fixed name, so the
+    // filtergraph never has to escape characters from the media file name.
+    const STATS_FILE = "l1_analysis_stats.txt";
+
+    // Luma code value → 12-bit PQ code as used by L1
+    function lumaToPq(value, bitDepth, fullRange) {
+        const scale = Math.pow(2, bitDepth - 8);
+        const normalized = fullRange
+            ? value / (Math.pow(2, bitDepth) - 1)
+            : (value - 16 * scale) / (219 * scale);
+        return Math.round(Math.min(1, Math.max(0, normalized)) * 4095);
+    }
+
+    // One decode pass: scdet marks cuts, signalstats measures luma, metadata=print logs both per frame
+    function runAnalysis(hevcPath, workDir, sceneThreshold, jobLog) {
+        const filter = `scdet=threshold=${sceneThreshold},signalstats,metadata=mode=print:file=${STATS_FILE}`;
+        const analysisArgs = [
+            "-hide_banner", "-nostats", "-v", "error",
+            "-i", hevcPath,
+            "-map", "0:v:0",
+            "-vf", filter,
+            "-an", "-sn",
+            "-f", "null", "-",
+        ];
+        log(jobLog, `📋 Command: ffmpeg ${analysisArgs.join(' ')}`);
+
+        return new Promise((resolve, reject) => {
+            const child = spawn("ffmpeg", analysisArgs, {cwd: workDir, stdio: "pipe"});
+            let stderr = "";
+            child.on("error", (err) => reject(new Error(`Failed to start ffmpeg: ${err.message}`)));
+            child.stdout.on("data", () => {});
+            child.stderr.on("data", (data) => { stderr += data.toString(); });
+            child.on("close", (code) => {
+                if (code === 0) return resolve();
+                reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim().split("\n").pop()}`));
+            });
+        });
+    }
+
+    // Stream the stats file (tens of lines per frame) and fold it into per-shot L1 values
+    function collectShots(statsPath, bitDepth, fullRange) {
+        return new Promise((resolve, reject) => {
+            const shots = [];
+            let frame = -1;
+            let current = null;
+            let stats = {};
+
+            const closeFrame = () => {
+                if (frame < 0 || stats.min === undefined || stats.max === undefined || stats.avg === undefined) return;
+                if (!current || stats.cut) {
+                    current = {start: frame, duration: 0, min: Infinity, max: 0, avgSum: 0};
+                    shots.push(current);
+                }
+                current.duration++;
+                current.min = Math.min(current.min, lumaToPq(stats.min, bitDepth, fullRange));
+                current.max = Math.max(current.max, lumaToPq(stats.max, bitDepth, fullRange));
+                current.avgSum += lumaToPq(stats.avg, bitDepth, fullRange);
+            };
+
+            const reader = readline.createInterface({input: fs.createReadStream(statsPath)});
+            reader.on("line", (line) => {
+                if (line.startsWith("frame:")) {
+                    closeFrame();
+                    frame = parseInt(line.slice(6), 10);
+                    stats = {};
+                    return;
+                }
+                const eq = line.indexOf("=");
+                if (eq < 0) return;
+                const key = line.slice(0, eq);
+                const value = Number(line.slice(eq + 1));
+                if (key === "lavfi.signalstats.YMIN") stats.min = value;
+                else if (key === "lavfi.signalstats.YMAX") stats.max = value;
+                else if (key === "lavfi.signalstats.YAVG") stats.avg = value;
+                else if (key === "lavfi.scd.time") stats.cut = true;
+            });
+            reader.on("close", () => {
+                closeFrame();
+                resolve(shots.map((shot) => {
+                    const avg = Math.round(shot.avgSum / shot.duration);
+                    return {
+                        start: shot.start,
+                        duration: shot.duration,
+                        min_pq: Math.min(shot.min, avg),
+                        max_pq: Math.max(shot.max, avg),
+                        avg_pq: avg,
+                    };
+                }));
+            });
+            reader.on("error", reject);
+        });
+    }
+
+
+    // ----------------------------------------
+    // Plugin Details
+    // ----------------------------------------
+    const details = () => ({
+        name: "Generate RPU from Analysis",
+        description: "Measures per-frame brightness of a PQ HEVC track with ffmpeg (signalstats + scene detection) and generates a Dolby Vision RPU with per-shot L1 metadata via dovi_tool generate.",
+        style: {borderColor: "purple"},
+        tags: "video",
+        isStartPlugin: false,
+        pType: "",
+        requiresVersion: "2.11.01",
+        sidebarPosition: 4,
+        icon: "faBolt",
+
+        inputs: [
+            {
+                label: "Dovi Tool Path",
+                name: "doviToolPath",
+                tooltip:
+                    "Required: full path to dovi_tool. Install DV Tools sets this as doviToolBin in its plugin output.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.doviToolBin}}}",
+                inputUI: {type: "directory"},
+            },
+            {
+                label: "HEVC Path",
+                name: "hevcPath",
+                tooltip:
+                    "Optional: HEVC track to analyse. Leave empty to fall back to Tdarr cache directory + <basename>.hevc (output of Extract HEVC).",
+                inputType: "string",
+                defaultValue: "",
+                inputUI: {type: "directory"},
+            },
+            {
+                label: "Mastering Display",
+                name: "masteringDisplay",
+                tooltip:
+                    "Mastering display luminance written to L6 as <min>/<max> in nits, e.g. 0.005/1000. auto: read it from the source's mastering display metadata (falls back to 0.005/1000). Default: auto.",
+                inputType: "string",
+                defaultValue: "auto",
+                inputUI: {type: "text"},
+            },
+            {
+                label: "CM Version",
+                name: "cmVersion",
+                tooltip: "Content mapping version of the generated RPU: 4.0 or 2.9. Default: 4.0.",
+                inputType: "string",
+                defaultValue: "4.0",
+                inputUI: {type: "text"},
+            },
+            {
+                label: "Scene Threshold",
+                name: "sceneThreshold",
+                tooltip: "ffmpeg scdet threshold (0-100) used to split shots; lower finds more cuts. Default: 10.",
+                inputType: "string",
+                defaultValue: "10",
+                inputUI: {type: "text"},
+            },
+            {
+                label: "Video Stream Index",
+                name: "videoStreamIndex",
+                tooltip: "ffprobe index of the video stream to use. Defaults to the stream chosen by an earlier plugin (videoStreamIndex). Leave empty to select automatically: cover art and still images are skipped, then the highest resolution, longest and default-flagged stream wins.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.videoStreamIndex}}}",
+                inputUI: {type: "text"},
+            },
+        ],
+
+        outputs: [
+            {number: 1, tooltip: "RPU generated at the cache RPU path"},
+            {number: 2, tooltip: "Source is not PQ (HDR10); no RPU generated"},
+        ],
+    });
+    exports.details = details;
+
+    // ----------------------------------------
+    // Plugin Entrypoint
+    // ----------------------------------------
+    const plugin = async (args) => {
+        const lib = require("../../../../../methods/lib")();
+        args.inputs = lib.loadDefaultValues(args.inputs, details);
+
+        const jobLog = args.jobLog;
+        log(jobLog, "== Starting Generate RPU from Analysis ==");
+
+        const inputFileObj = args.inputFileObj;
+        const inputPath = inputFileObj.file;
+        const baseName = path.basename(inputPath, path.extname(inputPath));
+
+        const doviToolPath = (resolveInput(args.inputs.doviToolPath, args) || "").toString().trim();
+        if (!doviToolPath) {
+            log(jobLog, "🚫 Missing dovi_tool path (input: Dovi Tool Path). Set it, e.g. from Install DV Tools (doviToolBin).");
+            throw new Error("Missing dovi_tool path");
+        }
+
+        const videoStream = selectVideoStream(inputFileObj?.ffProbeData?.streams, resolveInput(args.inputs.videoStreamIndex, args), jobLog);
+        if (!videoStream) {
+            throw new Error("File has no video stream");
+        }
+
+        // Untagged BT.2020 with mastering display metadata is treated as PQ, as in Check HDR Format
+        const colorTransfer = (videoStream.color_transfer || "").toLowerCase();
+        const hasMasteringDisplay = (videoStream.side_data_list || [])
+            .some((sd) => (sd?.side_data_type || "").toLowerCase().includes("mastering display"));
+        const isPq = colorTransfer === "smpte2084" ||
+            (!colorTransfer && (videoStream.color_primaries || "").toLowerCase() === "bt2020" && hasMasteringDisplay);
+        if (!isPq) {
+            log(jobLog, `⚠️ Source transfer is ${colorTransfer || "unknown"}, not PQ (smpte2084) → output 2`);
+            return {
+                outputFileObj: inputFileObj,
+                outputNumber: 2,
+                variables: {...args.variables, videoStreamIndex: videoStream.index},
+            };
+        }
+
+        const userHevcPath = (resolveInput(args.inputs.hevcPath, args) || "").toString().trim();
+        const hevcPath =
+            userHevcPath.length > 0
+                ? userHevcPath
+                : (args.variables.blHevcPath || "").toString().trim() || path.join(args.workDir, `${baseName}.hevc`);
+        if (!fs.existsSync(hevcPath)) {
+            log(jobLog, `🚫 HEVC not found: ${hevcPath}`);
+            throw new Error("HEVC input missing");
+        }
+
+        const cmVersionInput = (resolveInput(args.inputs.cmVersion, args) || "4.0").toString().trim().replace(/^v/i, "");
+        const cmVersion = CM_VERSIONS[cmVersionInput];
+        if (!cmVersion) {
+            log(jobLog, `🚫 Unknown CM version "${cmVersionInput}" (expected 4.0 or 2.9)`);
+            throw new Error("Invalid CM version");
+        }
+
+        const sceneThreshold = parseFloat((resolveInput(args.inputs.sceneThreshold, args) || "").toString().trim()) || 10;
+
+        const fromStream = masteringFromStream(videoStream);
+        const masteringInput = (resolveInput(args.inputs.masteringDisplay, args) || "auto").toString().trim();
+        let mastering;
+        if (masteringInput.toLowerCase() === "auto") {
+            mastering = {
+                min: fromStream.min ?? 0.005,
+                max: fromStream.max ?? 1000,
+            };
+            if (fromStream.max === null) {
+                log(jobLog, "⚠️ No mastering display metadata on the source; using 0.005/1000 nits");
+            }
+        } else {
+            mastering = parseMasteringDisplay(masteringInput);
+            if (!mastering) {
+                log(jobLog, `🚫 Invalid mastering display "${masteringInput}" (expected <min>/<max> in nits, e.g. 0.005/1000)`);
+                throw new Error("Invalid mastering display");
+            }
+        }
+
+        const bitDepthMatch = (videoStream.pix_fmt || "").match(/p(\d+)(le|be)?$/);
+        const bitDepth = Number(videoStream.bits_per_raw_sample) || (bitDepthMatch ? Number(bitDepthMatch[1]) : 10);
+        const fullRange = (videoStream.color_range || "").toLowerCase() === "pc";
+
+        const rpuPath = path.join(args.workDir, `${baseName}_RPU.bin`);
+        const measurementsPath = path.join(args.workDir, `${baseName}_L1_shots.json`);
+        const statsPath = path.join(args.workDir, STATS_FILE);
+        const configPath = path.join(args.workDir, `${baseName}_generate.json`);
+
+        log(jobLog, `HEVC: ${hevcPath}`);
+        log(jobLog, `RPU output path: ${rpuPath}`);
+        log(jobLog, `${bitDepth}-bit ${fullRange ? "full" : "limited"} range | CM v${cmVersionInput} | mastering ${mastering.min}/${mastering.max} nits`);
+
+        if (fs.existsSync(rpuPath)) {
+            log(jobLog, "✔ RPU already exists - skipping generation");
+            return {
+                outputFileObj: inputFileObj,
+                outputNumber: 1,
+                variables: {...args.variables, rpuMeasurementsPath: fs.existsSync(measurementsPath) ? measurementsPath : "", videoStreamIndex: videoStream.index},
+            };
+        }
+
+        try {
+            // 1. Per-frame measurement
+            log(jobLog, "🛠 Analysing brightness and scene cuts (full decode, this takes a while)...");
+            await runAnalysis(hevcPath, args.workDir, sceneThreshold, jobLog);
+
+            const shots = await collectShots(statsPath, bitDepth, fullRange);
+            if (shots.length === 0) {
+                throw new Error("Analysis produced no frame statistics");
+            }
+            const totalFrames = shots.reduce((sum, shot) => sum + shot.duration, 0);
+            const peak = shots.reduce((max, shot) => Math.max(max, shot.max_pq), 0);
+            log(jobLog, `✔ Measured ${totalFrames} frames in ${shots.length} shots (peak PQ ${peak})`);
+
+            // 2. Measurement file, kept in the cache for inspection
+            fs.writeFileSync(measurementsPath, JSON.stringify({frames: totalFrames, bitDepth, fullRange, shots}, null, 2));
+            log(jobLog, `Measurements: ${measurementsPath}`);
+
+            // 3. RPU generation
+            const config = {
+                cm_version: cmVersion,
+                length: totalFrames,
+                level6: {
+                    max_display_mastering_luminance: Math.round(mastering.max),
+                    min_display_mastering_luminance: Math.round(mastering.min * 10000),
+                    max_content_light_level: fromStream.maxCll,
+                    max_frame_average_light_level: fromStream.maxFall,
+                },
+                shots: shots.map((shot) => ({
+                    start: shot.start,
+                    duration: shot.duration,
+                    metadata_blocks: [
+                        {Level1: {min_pq: shot.min_pq, max_pq: shot.max_pq, avg_pq: shot.avg_pq}},
+                    ],
+                })),
+            };
+            fs.writeFileSync(configPath, JSON.stringify(config));
+
+            log(jobLog, "🛠 Generating Dolby Vision RPU...");
+            const generateArgs = ["generate", "-j", configPath, "-o", rpuPath];
+            log(jobLog, `📋 Command: ${doviToolPath} ${generateArgs.join(' ')}`);
+            await runSpawn(doviToolPath, generateArgs);
+
+            log(jobLog, "✔ RPU generated from brightness analysis");
+        } catch (e) {
+            log(jobLog, `🚨 RPU generation failed: ${e.message}`);
+            throw e;
+        } finally {
+            for (const tmpFile of [statsPath, configPath]) {
+                try {
+                    if (fs.existsSync(tmpFile)) fs.unlinkSync(tmpFile);
+                } catch (err) {
+                    // Best-effort cleanup
+                }
+            }
+        }
+
+        return {
+            outputFileObj: inputFileObj,
+            outputNumber: 1,
+            variables: {...args.variables, rpuMeasurementsPath: measurementsPath, videoStreamIndex: videoStream.index},
+        };
+    };
+
+    exports.plugin = plugin;
+
+})();  // END WRAPPER
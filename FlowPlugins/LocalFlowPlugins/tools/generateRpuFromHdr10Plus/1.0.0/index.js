@@ -0,0 +1,351 @@
+"use strict";
+
+(function () {
+
+    Object.defineProperty(exports, "__esModule", {value: true});
+    exports.plugin = exports.details = void 0;
+
+    // ----------------------------------------
+    // Requires
+    // ----------------------------------------
+    const fs = require("fs");
+    const path = require("path");
+    const {spawn} = require("child_process");
+    const {selectVideoStream} = require("../../../../LocalFlowHelpers/videoStream/1.0.0/index");
+
+    // ----------------------------------------
+    // Logging helper
+    // ----------------------------------------
+    function log(jobLog, msg) {
+        jobLog(msg);
+        console.log(msg);
+    }
+
+    // Resolve inputs that may be wrapped in {{{ }}} to reference args.* values
+    function resolveInput(value, args) {
+        if (typeof value !== "string") return value;
+        const match = value.match(/^\{\{\{\s*(.+?)\s*\}\}\}$/);
+        if (!match) return value;
+
+        const baseExpr = match[1].trim();
+        const attempts = [baseExpr];
+
+        // Support both args.variables.user.* (old) and args.variables.* (new)
+        const userPrefixes = ["args.variables.user.", "variables.user."];
+        userPrefixes.forEach((prefix) => {
+            if (baseExpr.startsWith(prefix)) {
+                attempts.push(baseExpr.replace(prefix, prefix.replace(".user", "")));
+            }
+        });
+
+        for (const expr of attempts) {
+            try {
+                const fn = new Function("args", `return ${expr};`);
+                const resolved = fn(args);
+                if (resolved !== undefined && resolved !== null) return resolved;
+            } catch (err) {
+                console.warn(`Failed to resolve placeholder ${value} with expr "${expr}": ${err.message}`);
+            }
+        }
+
+        // Unresolved placeholders should not propagate as literal "{{{...}}}"
+        return "";
+    }
+
+    // ----------------------------------------
+    // Async spawn wrapper (unchanged)
+    // ----------------------------------------
+    function runSpawn(command, args) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, args, {stdio: "pipe"});
+
+            child.on("error", (err) => {
+                reject(new Error(`Failed to start ${command}: ${err.message}`));
+            });
+
+            child.stdout.on("data", (data) => {
+                const msg = data.toString().trim();
+                if (msg) console.log(`[dovi_tool]: ${msg}`);
+            });
+
+            child.stderr.on("data", (data) => {
+                const msg = data.toString().trim();
+                if (msg) console.warn(`[dovi_tool ERR]: ${msg}`);
+            });
+
+            child.on("close", (code) => {
+                if (code === 0) return resolve();
+                reject(new Error(`dovi_tool exited with code ${code}`));
+            });
+        });
+    }
+    // ----------------------------------------
+    // Run a command and resolve with its stdout and stderr
+    // ----------------------------------------
+    function runCapture(command, cmdArgs, label) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, cmdArgs, {stdio: "pipe"});
+
+            let stdout = "";
+            let stderr = "";
+
+            child.on("error", (err) => reject(new Error(`Failed to start ${label}: ${err.message}`)));
+            child.stdout.on("data", (data) => { stdout += data.toString(); });
+            child.stderr.on("data", (data) => { stderr += data.toString(); });
+            child.on("close", (code) => {
+                if (code === 0) return resolve({stdout, stderr});
+                reject(new Error(`${label} exited with code ${code}: ${stderr.trim().split("\n").pop()}`));
+            });
+        });
+    }
+
+    // ----------------------------------------
+    // Generator config helpers
+    // ----------------------------------------
+    const CM_VERSIONS = {"2.9": "V29", "4.0": "V40"};
+
+    // ffprobe reports luminance as rationals, e.g. "50/10000"
+    function parseRational(value) {
+        const [num, den] = String(value ?? "").split("/").map(Number);
+        if (!Number.isFinite(num)) return null;
+        return den ? num / den : num;
+    }
+
+    // "<min>/<max>" in nits, e.g. "0.005/1000"
+    function parseMasteringDisplay(value) {
+        const match = String(value).match(/^\s*([\d.]+)\s*\/\s*([\d.]+)\s*$/);
+        if (!match) return null;
+        return {min: Number(match[1]), max: Number(match[2])};
+    }
+
+    function masteringFromStream(stream) {
+        const sideData = stream?.side_data_list || [];
+        const mastering = sideData.find((sd) => (sd?.side_data_type || "").toLowerCase().includes("mastering display"));
+        const light = sideData.find((sd) => (sd?.side_data_type || "").toLowerCase().includes("content light level"));
+        return {
+            min: mastering ? parseRational(mastering.min_luminance) : null,
+            max: mastering ? parseRational(mastering.max_luminance) : null,
+            maxCll: light ? Number(light.max_content) || 0 : 0,
+            maxFall: light ? Number(light.max_average) || 0 : 0,
+        };
+    }
+
+
+    // ----------------------------------------
+    // Plugin Details
+    // ----------------------------------------
+    const details = () => ({
+        name: "Generate RPU from HDR10+",
+        description: "Extracts HDR10+ dynamic metadata (SMPTE 2094-40) from an HEVC track with hdr10plus_tool and converts it into a Dolby Vision RPU with dovi_tool generate.",
+        style: {borderColor: "purple"},
+        tags: "video",
+        isStartPlugin: false,
+        pType: "",
+        requiresVersion: "2.11.01",
+        sidebarPosition: 4,
+        icon: "faBolt",
+
+        inputs: [
+            {
+                label: "Dovi Tool Path",
+                name: "doviToolPath",
+                tooltip:
+                    "Required: full path to dovi_tool. Install DV Tools sets this as doviToolBin in its plugin output.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.doviToolBin}}}",
+                inputUI: {type: "directory"},
+            },
+            {
+                label: "HDR10+ Tool Path",
+                name: "hdr10plusToolPath",
+                tooltip:
+                    "Required: full path to hdr10plus_tool. Install DV Tools sets this as hdr10plusToolBin in its plugin output.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.hdr10plusToolBin}}}",
+                inputUI: {type: "directory"},
+            },
+            {
+                label: "HEVC Path",
+                name: "hevcPath",
+                tooltip:
+                    "Optional: HEVC track carrying HDR10+ SEI. Leave empty to fall back to Tdarr cache directory + <basename>.hevc (output of Extract HEVC).",
+                inputType: "string",
+                defaultValue: "",
+                inputUI: {type: "directory"},
+            },
+            {
+                label: "Mastering Display",
+                name: "masteringDisplay",
+                tooltip:
+                    "Mastering display luminance written to L6 as <min>/<max> in nits, e.g. 0.005/1000. auto: read it from the source's mastering display metadata (falls back to 0.005/1000). Default: auto.",
+                inputType: "string",
+                defaultValue: "auto",
+                inputUI: {type: "text"},
+            },
+            {
+                label: "CM Version",
+                name: "cmVersion",
+                tooltip: "Content mapping version of the generated RPU: 4.0 or 2.9. Use 2.9 for older displays that mishandle CM v4.0 metadata. Default: 4.0.",
+                inputType: "string",
+                defaultValue: "4.0",
+                inputUI: {type: "text"},
+            },
+            {
+                label: "Video Stream Index",
+                name: "videoStreamIndex",
+                tooltip: "ffprobe index of the video stream to use. Defaults to the stream chosen by an earlier plugin (videoStreamIndex). Leave empty to select automatically: cover art and still images are skipped, then the highest resolution, longest and default-flagged stream wins.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.videoStreamIndex}}}",
+                inputUI: {type: "text"},
+            },
+        ],
+
+        outputs: [
+            {number: 1, tooltip: "RPU generated at the cache RPU path"},
+            {number: 2, tooltip: "HEVC carries no HDR10+ metadata; no RPU generated"},
+        ],
+    });
+    exports.details = details;
+
+    // ----------------------------------------
+    // Plugin Entrypoint
+    // ----------------------------------------
+    const plugin = async (args) => {
+        const lib = require("../../../../../methods/lib")();
+        args.inputs = lib.loadDefaultValues(args.inputs, details);
+
+        const jobLog = args.jobLog;
+        log(jobLog, "== Starting Generate RPU from HDR10+ ==");
+
+        const inputFileObj = args.inputFileObj;
+        const inputPath = inputFileObj.file;
+        const baseName = path.basename(inputPath, path.extname(inputPath));
+
+        const doviToolPath = (resolveInput(args.inputs.doviToolPath, args) || "").toString().trim();
+        if (!doviToolPath) {
+            log(jobLog, "🚫 Missing dovi_tool path (input: Dovi Tool Path). Set it, e.g. from Install DV Tools (doviToolBin).");
+            throw new Error("Missing dovi_tool path");
+        }
+
+        const hdr10plusToolPath = (resolveInput(args.inputs.hdr10plusToolPath, args) || "").toString().trim();
+        if (!hdr10plusToolPath) {
+            log(jobLog, "🚫 Missing hdr10plus_tool path (input: HDR10+ Tool Path). Set it, e.g. from Install DV Tools (hdr10plusToolBin).");
+            throw new Error("Missing hdr10plus_tool path");
+        }
+
+        const userHevcPath = (resolveInput(args.inputs.hevcPath, args) || "").toString().trim();
+        const hevcPath =
+            userHevcPath.length > 0
+                ? userHevcPath
+                : (args.variables.blHevcPath || "").toString().trim() || path.join(args.workDir, `${baseName}.hevc`);
+        if (!fs.existsSync(hevcPath)) {
+            log(jobLog, `🚫 HEVC not found: ${hevcPath}`);
+            throw new Error("HEVC input missing");
+        }
+
+        const cmVersionInput = (resolveInput(args.inputs.cmVersion, args) || "4.0").toString().trim().replace(/^v/i, "");
+        const cmVersion = CM_VERSIONS[cmVersionInput];
+        if (!cmVersion) {
+            log(jobLog, `🚫 Unknown CM version "${cmVersionInput}" (expected 4.0 or 2.9)`);
+            throw new Error("Invalid CM version");
+        }
+
+        // Mastering display and light levels for L6
+        const videoStream = selectVideoStream(inputFileObj?.ffProbeData?.streams, resolveInput(args.inputs.videoStreamIndex, args), jobLog);
+        const videoStreamIndex = videoStream ? videoStream.index : "";
+        const fromStream = masteringFromStream(videoStream);
+        const masteringInput = (resolveInput(args.inputs.masteringDisplay, args) || "auto").toString().trim();
+        let mastering;
+        if (masteringInput.toLowerCase() === "auto") {
+            mastering = {
+                min: fromStream.min ?? 0.005,
+                max: fromStream.max ?? 1000,
+            };
+            if (fromStream.max === null) {
+                log(jobLog, "⚠️ No mastering display metadata on the source; using 0.005/1000 nits");
+            }
+        } else {
+            mastering = parseMasteringDisplay(masteringInput);
+            if (!mastering) {
+                log(jobLog, `🚫 Invalid mastering display "${masteringInput}" (expected <min>/<max> in nits, e.g. 0.005/1000)`);
+                throw new Error("Invalid mastering display");
+            }
+        }
+
+        const rpuPath = path.join(args.workDir, `${baseName}_RPU.bin`);
+        const metadataPath = path.join(args.workDir, `${baseName}_HDR10PLUS.json`);
+        const configPath = path.join(args.workDir, `${baseName}_generate.json`);
+
+        log(jobLog, `HEVC: ${hevcPath}`);
+        log(jobLog, `RPU output path: ${rpuPath}`);
+        log(jobLog, `CM v${cmVersionInput} | mastering ${mastering.min}/${mastering.max} nits | MaxCLL ${fromStream.maxCll} | MaxFALL ${fromStream.maxFall}`);
+
+        if (fs.existsSync(rpuPath)) {
+            log(jobLog, "✔ RPU already exists - skipping generation");
+            return {
+                outputFileObj: inputFileObj,
+                outputNumber: 1,
+                variables: {...args.variables, videoStreamIndex},
+            };
+        }
+
+        try {
+            // 1. HDR10+ metadata
+            log(jobLog, "🛠 Extracting HDR10+ metadata...");
+            const extractArgs = ["extract", hevcPath, "-o", metadataPath];
+            log(jobLog, `📋 Command: ${hdr10plusToolPath} ${extractArgs.join(' ')}`);
+            try {
+                await runCapture(hdr10plusToolPath, extractArgs, "hdr10plus_tool");
+            } catch (err) {
+                if (/dynamic metadata|no hdr10\+|doesn't contain/i.test(err.message)) {
+                    log(jobLog, `⚠️ No HDR10+ metadata found in ${hevcPath} → output 2`);
+                    return {
+                        outputFileObj: inputFileObj,
+                        outputNumber: 2,
+                        variables: {...args.variables, videoStreamIndex},
+                    };
+                }
+                throw err;
+            }
+
+            // 2. RPU generation
+            const config = {
+                cm_version: cmVersion,
+                level6: {
+                    max_display_mastering_luminance: Math.round(mastering.max),
+                    min_display_mastering_luminance: Math.round(mastering.min * 10000),
+                    max_content_light_level: fromStream.maxCll,
+                    max_frame_average_light_level: fromStream.maxFall,
+                },
+            };
+            fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+
+            log(jobLog, "🛠 Generating Dolby Vision RPU...");
+            const generateArgs = ["generate", "-j", configPath, "--hdr10plus-json", metadataPath, "-o", rpuPath];
+            log(jobLog, `📋 Command: ${doviToolPath} ${generateArgs.join(' ')}`);
+            await runSpawn(doviToolPath, generateArgs);
+
+            log(jobLog, "✔ RPU generated from HDR10+ metadata");
+        } catch (e) {
+            log(jobLog, `🚨 RPU generation failed: ${e.message}`);
+            throw e;
+        } finally {
+            for (const tmpFile of [metadataPath, configPath]) {
+                try {
+                    if (fs.existsSync(tmpFile)) fs.unlinkSync(tmpFile);
+                } catch (err) {
+                    // Best-effort cleanup
+                }
+            }
+        }
+
+        return {
+            outputFileObj: inputFileObj,
+            outputNumber: 1,
+            variables: {...args.variables, videoStreamIndex},
+        };
+    };
+
+    exports.plugin = plugin;
+
+})();  // END WRAPPER
@@ -0,0 +1,535 @@
+"use strict";
+
+(function () {
+
+    Object.defineProperty(exports, "__esModule", {value: true});
+    exports.plugin = exports.details = void 0;
+
+    // ----------------------------------------
+    // Requires
+    // ----------------------------------------
+    const fs = require("fs");
+    const path = require("path");
+    const {spawn} = require("child_process");
+    const {selectVideoStream} = require("../../../../LocalFlowHelpers/videoStream/1.0.0/index");
+
+    // ----------------------------------------
+    // Logging helper
+    // ----------------------------------------
+    function log(jobLog, msg) {
+        jobLog(msg);
+        console.log(msg);
+    }
+
+    // Resolve inputs that may be wrapped in {{{ }}} to reference args.* values
+    function resolveInput(value, args) {
+        if (typeof value !== "string") return value;
+        const match = value.match(/^\{\{\{\s*(.+?)\s*\}\}\}$/);
+        if (!match) return value;
+
+        const baseExpr = match[1].trim();
+        const attempts = [baseExpr];
+
+        // Support both args.variables.user.* (old) and args.variables.* (new)
+        const userPrefixes = ["args.variables.user.", "variables.user."];
+        userPrefixes.forEach((prefix) => {
+            if (baseExpr.startsWith(prefix)) {
+                attempts.push(baseExpr.replace(prefix, prefix.replace(".user", "")));
+            }
+        });
+
+        for (const expr of attempts) {
+            try {
+                const fn = new Function("args", `return ${expr};`);
+                const resolved = fn(args);
+                if (resolved !== undefined && resolved !== null) return resolved;
+            } catch (err) {
+                console.warn(`Failed to resolve placeholder ${value} with expr "${expr}": ${err.message}`);
+            }
+        }
+
+        // Unresolved placeholders should not propagate as literal "{{{...}}}"
+        return "";
+    }
+
+    // ----------------------------------------
+    // Async spawn wrapper (unchanged)
+    // ----------------------------------------
+    function runSpawn(command, args) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, args, {stdio: "pipe"});
+
+            child.on("error", (err) => {
+                reject(new Error(`Failed to start ${command}: ${err.message}`));
+            });
+
+            child.stdout.on("data", (data) => {
+                const msg = data.toString().trim();
+                if (msg) console.log(`[dovi_tool]: ${msg}`);
+            });
+
+            child.stderr.on("data", (data) => {
+                const msg = data.toString().trim();
+                if (msg) console.warn(`[dovi_tool ERR]: ${msg}`);
+            });
+
+            child.on("close", (code) => {
+                if (code === 0) return resolve();
+                reject(new Error(`dovi_tool exited with code ${code}`));
+            });
+        });
+    }
+    // ----------------------------------------
+    // Run a command and resolve with its stdout and stderr
+    // ----------------------------------------
+    function runCapture(command, cmdArgs, label) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, cmdArgs, {stdio: "pipe"});
+
+            let stdout = "";
+            let stderr = "";
+
+            child.on("error", (err) => reject(new Error(`Failed to start ${label}: ${err.message}`)));
+            child.stdout.on("data", (data) => { stdout += data.toString(); });
+            child.stderr.on("data", (data) => { stderr += data.toString(); });
+            child.on("close", (code) => {
+                if (code === 0) return resolve({stdout, stderr});
+                reject(new Error(`${label} exited with code ${code}: ${stderr.trim().split("\n").pop()}`));
+            });
+        });
+    }
+
+    // ----------------------------------------
+    // Pipe ffmpeg's Annex B output straight into dovi_tool (no intermediate HEVC on disk)
+    // ----------------------------------------
+    function runPipe(producer, consumer) {
+        return new Promise((resolve, reject) => {
+            const first = spawn(producer.command, producer.args, {stdio: ["ignore", "pipe", "pipe"]});
+            const second = spawn(consumer.command, consumer.args, {stdio: ["pipe", "pipe", "pipe"]});
+
+            let failed = false;
+            const fail = (err) => {
+                if (failed) return;
+                failed = true;
+                first.kill();
+                second.kill();
+                reject(err);
+            };
+
+            let firstErr = "";
+            let secondErr = "";
+            first.stderr.on("data", (data) => { firstErr += data.toString(); });
+            second.stderr.on("data", (data) => { secondErr += data.toString(); });
+            second.stdout.on("data", (data) => {
+                const msg = data.toString().trim();
+                if (msg) console.log(`[${consumer.label}]: ${msg}`);
+            });
+
+            first.on("error", (err) => fail(new Error(`Failed to start ${producer.label}: ${err.message}`)));
+            second.on("error", (err) => fail(new Error(`Failed to start ${consumer.label}: ${err.message}`)));
+            // EPIPE when the consumer exits early is reported through its exit code instead
+            second.stdin.on("error", () => {});
+            first.stdout.pipe(second.stdin);
+
+            let pending = 2;
+            const done = (label, errText) => (code) => {
+                if (code !== 0) return fail(new Error(`${label} exited with code ${code}: ${errText().trim().split("\n").pop()}`));
+                if (--pending === 0) resolve();
+            };
+            first.on("close", done(producer.label, () => firstErr));
+            second.on("close", done(consumer.label, () => secondErr));
+        });
+    }
+
+    function parseFrameRate(rate) {
+        const [num, den] = String(rate || "").split("/").map(Number);
+        if (!num) return 0;
+        return den ? num / den : num;
+    }
+
+    // Frame count and profile of an RPU file from dovi_tool info --summary
+    async function readRpuSummary(doviToolPath, rpuPath, jobLog) {
+        const infoArgs = ["info", "-i", rpuPath, "--summary"];
+        log(jobLog, `📋 Command: ${doviToolPath} ${infoArgs.join(' ')}`);
+        const {stdout} = await runCapture(doviToolPath, infoArgs, "dovi_tool");
+        const match = stdout.match(/Frames:\s*(\d+)/i);
+        if (!match) throw new Error("dovi_tool info did not report a frame count");
+        const profileMatch = stdout.match(/Profile:\s*(\d+)/i);
+        return {frames: Number(match[1]), profile: profileMatch ? Number(profileMatch[1]) : null};
+    }
+
+    async function probeStreams(filePath, jobLog) {
+        const probeArgs = ["-v", "error", "-show_streams", "-of", "json", filePath];
+        log(jobLog, `📋 Command: ffprobe ${probeArgs.join(' ')}`);
+        const {stdout} = await runCapture("ffprobe", probeArgs, "ffprobe");
+        return JSON.parse(stdout).streams || [];
+    }
+
+    // dovi_tool conversion mode that turns the donor RPU into 8.1 for an HDR10 base layer:
+    // P5 needs mode 3 and P7 mode 2; 8.1 is used as is. null when the profile cannot be used
+    // (8.2/8.4 trims are graded for an SDR/HLG base layer, P4/P9 are not HEVC PQ sources).
+    function donorConversionMode(profile, compatId) {
+        if (profile === 5) return 3;
+        if (profile === 7) return 2;
+        if (profile === 8 && (compatId === null || compatId === 1)) return 0;
+        return null;
+    }
+
+    async function countVideoFrames(filePath, streamIndex, jobLog) {
+        const probeArgs = [
+            "-v", "error",
+            "-select_streams", String(streamIndex),
+            "-count_packets",
+            "-show_entries", "stream=nb_read_packets",
+            "-of", "csv=p=0",
+            filePath,
+        ];
+        log(jobLog, `📋 Command: ffprobe ${probeArgs.join(' ')}`);
+        const {stdout} = await runCapture("ffprobe", probeArgs, "ffprobe");
+        const count = parseInt(stdout.trim(), 10);
+        if (!Number.isFinite(count)) throw new Error(`Unexpected ffprobe packet count: ${stdout.trim()}`);
+        return count;
+    }
+
+    // Scene cuts in the first `seconds` of the target, as frame numbers
+    async function detectSceneCuts(filePath, streamIndex, seconds, threshold, fps, jobLog) {
+        const scdetArgs = [
+            "-hide_banner", "-nostats",
+            "-i", filePath,
+            "-map", `0:${streamIndex}`,
+            "-t", String(seconds),
+            "-vf", `scdet=threshold=${threshold}`,
+            "-an", "-sn",
+            "-f", "null", "-",
+        ];
+        log(jobLog, `📋 Command: ffmpeg ${scdetArgs.join(' ')}`);
+        const {stderr} = await runCapture("ffmpeg", scdetArgs, "ffmpeg");
+        return [...stderr.matchAll(/lavfi\.scd\.time:\s*([\d.]+)/g)]
+            .map((m) => Math.round(Number(m[1]) * fps))
+            .filter((frame) => frame > 0);
+    }
+
+    // Find the shift d (donor frame = target frame + d) that lines up the most scene cuts.
+    // Exact matches count double so a ±1 frame detection jitter does not pick a neighbouring shift.
+    function findCutOffset(targetCuts, donorCuts, maxOffset) {
+        const donorSet = new Set(donorCuts);
+        const candidates = new Set();
+        for (const tc of targetCuts) {
+            for (const dc of donorCuts) {
+                if (Math.abs(dc - tc) <= maxOffset) candidates.add(dc - tc);
+            }
+        }
+
+        let best = null;
+        for (const d of candidates) {
+            let score = 0;
+            let matched = 0;
+            for (const tc of targetCuts) {
+                if (donorSet.has(tc + d)) {
+                    score += 2;
+                    matched++;
+                } else if (donorSet.has(tc + d - 1) || donorSet.has(tc + d + 1)) {
+                    score += 1;
+                    matched++;
+                }
+            }
+            if (!best || score > best.score) best = {offset: d, score, matched};
+        }
+        return best;
+    }
+
+    // dovi_tool editor config that shifts the donor RPU by `offset` and fits it to `targetFrames`.
+    // The editor applies removals (indexed on the original RPU) before duplications (indexed on
+    // the result, in order), so the tail is padded before frames are inserted at the head.
+    function buildEditList(donorFrames, targetFrames, offset) {
+        const remove = [];
+        const duplicate = [];
+
+        // Leading frames the donor has in excess
+        if (offset > 0) {
+            remove.push(`0-${offset - 1}`);
+        }
+
+        // Trailing frames, once the leading shift is applied
+        const shifted = donorFrames - offset;
+        if (shifted > targetFrames) {
+            remove.push(`${targetFrames + offset}-${donorFrames - 1}`);
+        } else if (shifted < targetFrames) {
+            const lastFrame = donorFrames - Math.max(offset, 0) - 1;
+            duplicate.push({source: lastFrame, offset: lastFrame, length: targetFrames - shifted});
+        }
+
+        // Leading frames the donor is missing: repeat its first frame
+        if (offset < 0) {
+            duplicate.push({source: 0, offset: 0, length: -offset});
+        }
+
+        const edits = {};
+        if (remove.length) edits.remove = remove;
+        if (duplicate.length) edits.duplicate = duplicate;
+        return edits;
+    }
+
+
+    // ----------------------------------------
+    // Plugin Details
+    // ----------------------------------------
+    const details = () => ({
+        name: "Import Donor RPU",
+        description: "Extracts the Dolby Vision RPU from a second (donor) release, converts Profile 5/7 RPUs to 8.1, aligns it to this file by scene cuts or frame count, and writes it to the cache RPU path for Inject RPU.",
+        style: {borderColor: "purple"},
+        tags: "video",
+        isStartPlugin: false,
+        pType: "",
+        requiresVersion: "2.11.01",
+        sidebarPosition: 4,
+        icon: "faBolt",
+
+        inputs: [
+            {
+                label: "Dovi Tool Path",
+                name: "doviToolPath",
+                tooltip:
+                    "Required: full path to dovi_tool. Install DV Tools sets this as doviToolBin in its plugin output.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.doviToolBin}}}",
+                inputUI: {type: "directory"},
+            },
+            {
+                label: "Donor File Path",
+                name: "donorPath",
+                tooltip:
+                    "Path to the Dolby Vision release whose RPU should be used (e.g., a WEB-DL). Leave empty to use the flow variable donorPath.",
+                inputType: "string",
+                defaultValue: "",
+                inputUI: {type: "directory"},
+            },
+            {
+                label: "Analysis Window (seconds)",
+                name: "analysisSeconds",
+                tooltip:
+                    "Seconds at the start of this file scanned for scene cuts with ffmpeg scdet. The donor's cuts come from its RPU, so only this file is decoded. Also bounds the largest offset searched. Default: 300.",
+                inputType: "string",
+                defaultValue: "300",
+                inputUI: {type: "text"},
+            },
+            {
+                label: "Scene Threshold",
+                name: "sceneThreshold",
+                tooltip: "ffmpeg scdet threshold (0-100); lower finds more cuts. Default: 10.",
+                inputType: "string",
+                defaultValue: "10",
+                inputUI: {type: "text"},
+            },
+            {
+                label: "Video Stream Index",
+                name: "videoStreamIndex",
+                tooltip: "ffprobe index of the video stream to use. Defaults to the stream chosen by an earlier plugin (videoStreamIndex). Leave empty to select automatically: cover art and still images are skipped, then the highest resolution, longest and default-flagged stream wins.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.videoStreamIndex}}}",
+                inputUI: {type: "text"},
+            },
+        ],
+
+        outputs: [
+            {number: 1, tooltip: "Aligned donor RPU written to the cache RPU path"},
+            {number: 2, tooltip: "Donor could not be synced with confidence, or its Dolby Vision profile cannot be carried onto an HDR10 base layer; no RPU written"},
+        ],
+    });
+    exports.details = details;
+
+    // ----------------------------------------
+    // Plugin Entrypoint
+    // ----------------------------------------
+    const plugin = async (args) => {
+        const lib = require("../../../../../methods/lib")();
+        args.inputs = lib.loadDefaultValues(args.inputs, details);
+
+        const jobLog = args.jobLog;
+        log(jobLog, "== Starting Import Donor RPU ==");
+
+        const inputFileObj = args.inputFileObj;
+        const inputPath = inputFileObj.file;
+        const baseName = path.basename(inputPath, path.extname(inputPath));
+
+        const doviToolPath = (resolveInput(args.inputs.doviToolPath, args) || "").toString().trim();
+        if (!doviToolPath) {
+            log(jobLog, "🚫 Missing dovi_tool path (input: Dovi Tool Path). Set it, e.g. from Install DV Tools (doviToolBin).");
+            throw new Error("Missing dovi_tool path");
+        }
+
+        const userDonorPath = (resolveInput(args.inputs.donorPath, args) || "").toString().trim();
+        const donorPath = userDonorPath.length > 0 ? userDonorPath : (args.variables.donorPath || "").toString().trim();
+        if (!donorPath || !fs.existsSync(donorPath)) {
+            log(jobLog, `🚫 Donor file not found: ${donorPath || "(empty)"}. Set Donor File Path or the donorPath flow variable.`);
+            throw new Error("Donor input missing");
+        }
+
+        const analysisSeconds = Math.max(10, parseFloat((resolveInput(args.inputs.analysisSeconds, args) || "").toString().trim()) || 300);
+        const sceneThreshold = parseFloat((resolveInput(args.inputs.sceneThreshold, args) || "").toString().trim()) || 10;
+
+        const videoStream = selectVideoStream(inputFileObj?.ffProbeData?.streams, resolveInput(args.inputs.videoStreamIndex, args), jobLog);
+        const fps = parseFrameRate(videoStream?.r_frame_rate || videoStream?.avg_frame_rate);
+        if (!fps) {
+            log(jobLog, "🚫 Unable to read the frame rate of this file");
+            throw new Error("Missing frame rate");
+        }
+
+        const rpuPath = path.join(args.workDir, `${baseName}_RPU.bin`);
+        const donorRpuPath = path.join(args.workDir, `${baseName}_donor_RPU.bin`);
+        const donorScenesPath = path.join(args.workDir, `${baseName}_donor_scenes.txt`);
+        const editConfigPath = path.join(args.workDir, `${baseName}_donor_edits.json`);
+
+        log(jobLog, `Target: ${inputPath}`);
+        log(jobLog, `Donor: ${donorPath}`);
+        log(jobLog, `RPU output path: ${rpuPath}`);
+
+        const syncFailed = (reason) => {
+            log(jobLog, `🚫 ${reason} → output 2`);
+            return {
+                outputFileObj: inputFileObj,
+                outputNumber: 2,
+                variables: {...args.variables, donorRpuOffset: "", donorSyncMethod: "", videoStreamIndex: videoStream.index},
+            };
+        };
+
+        try {
+            // 1. Donor profile, from its DOVI configuration record when the container has one
+            const donorStream = selectVideoStream(await probeStreams(donorPath, jobLog), "", jobLog);
+            if (!donorStream || donorStream.codec_name !== "hevc") {
+                return syncFailed(`Donor video is ${donorStream?.codec_name || "missing"}; only HEVC donors are supported`);
+            }
+            const doviRecord = (donorStream.side_data_list || []).find((sd) => sd.side_data_type === "DOVI configuration record");
+            let donorProfile = doviRecord ? Number(doviRecord.dv_profile) : null;
+            const donorCompatId = doviRecord ? Number(doviRecord.dv_bl_signal_compatibility_id) : null;
+            if (donorProfile !== null && donorConversionMode(donorProfile, donorCompatId) === null) {
+                return syncFailed(`Donor is Dolby Vision Profile ${donorProfile}.${donorCompatId}, which cannot be carried onto an HDR10 base layer`);
+            }
+
+            // 2. Donor RPU
+            log(jobLog, "🛠 Extracting donor RPU...");
+            const ffmpegArgs = [
+                "-v", "error",
+                "-i", donorPath,
+                "-map", `0:${donorStream.index}`,
+                "-c:v", "copy",
+                "-bsf:v", "hevc_mp4toannexb",
+                "-f", "hevc",
+                "-",
+            ];
+            const extractArgs = ["extract-rpu", "-", "-o", donorRpuPath];
+            log(jobLog, `📋 Command: ffmpeg ${ffmpegArgs.join(' ')} | ${doviToolPath} ${extractArgs.join(' ')}`);
+            await runPipe(
+                {command: "ffmpeg", args: ffmpegArgs, label: "ffmpeg"},
+                {command: doviToolPath, args: extractArgs, label: "dovi_tool"},
+            );
+
+            // 3. Frame counts, and the profile from the RPU itself when the container had no record
+            const donorSummary = await readRpuSummary(doviToolPath, donorRpuPath, jobLog);
+            const donorFrames = donorSummary.frames;
+            if (donorProfile === null) {
+                donorProfile = donorSummary.profile;
+                log(jobLog, `ℹ Donor has no DOVI configuration record; RPU reports profile ${donorProfile ?? "unknown"}`);
+            }
+            const conversionMode = donorConversionMode(donorProfile, donorCompatId);
+            if (conversionMode === null) {
+                return syncFailed(`Donor RPU is Dolby Vision Profile ${donorProfile ?? "unknown"}, which cannot be carried onto an HDR10 base layer`);
+            }
+            if (conversionMode > 0) {
+                log(jobLog, `🔄 Donor is Profile ${donorProfile}; its RPU is converted to 8.1 (dovi_tool mode ${conversionMode})`);
+            }
+            const targetFrames = await countVideoFrames(inputPath, videoStream.index, jobLog);
+            log(jobLog, `Frames: target=${targetFrames}, donor RPU=${donorFrames} (delta ${donorFrames - targetFrames})`);
+
+            // 4. Scene-cut alignment
+            const exportArgs = ["export", "-i", donorRpuPath, "-d", `scenes=${donorScenesPath}`];
+            log(jobLog, `📋 Command: ${doviToolPath} ${exportArgs.join(' ')}`);
+            await runCapture(doviToolPath, exportArgs, "dovi_tool");
+            const donorCuts = fs.readFileSync(donorScenesPath, "utf8")
+                .split(/\s+/)
+                .filter(Boolean)
+                .map(Number)
+                .filter((n) => Number.isFinite(n) && n > 0);
+
+            log(jobLog, `🛠 Detecting scene cuts in the first ${analysisSeconds}s of the target...`);
+            const targetCuts = await detectSceneCuts(inputPath, videoStream.index, analysisSeconds, sceneThreshold, fps, jobLog);
+            log(jobLog, `Scene cuts: target=${targetCuts.length} (window), donor=${donorCuts.length} (whole RPU)`);
+
+            const maxOffset = Math.round(analysisSeconds * fps);
+            const match = targetCuts.length > 0 ? findCutOffset(targetCuts, donorCuts, maxOffset) : null;
+            const confident = match && match.matched >= 3 && match.matched >= targetCuts.length * 0.5;
+
+            let offset;
+            let method;
+            if (confident) {
+                offset = match.offset;
+                method = "scenecuts";
+                log(jobLog, `✔ Scene cuts aligned at offset ${offset} (${match.matched}/${targetCuts.length} cuts matched)`);
+            } else if (donorFrames === targetFrames) {
+                offset = 0;
+                method = "framecount";
+                log(jobLog, `⚠️ Scene cuts inconclusive${match ? ` (${match.matched}/${targetCuts.length} matched)` : ""}; frame counts are equal, assuming no offset`);
+            } else {
+                return syncFailed(`Scene cuts inconclusive${match ? ` (${match.matched}/${targetCuts.length} matched at offset ${match.offset})` : ""} and frame counts differ`);
+            }
+
+            // 5. Edit list (plus the profile conversion) and aligned RPU
+            const edits = buildEditList(donorFrames, targetFrames, offset);
+            if (conversionMode > 0) edits.mode = conversionMode;
+            const tempRpuPath = path.join(args.workDir, `${baseName}_donor_RPU_aligned.bin`);
+            if (Object.keys(edits).length === 0) {
+                log(jobLog, "✔ Donor RPU already lines up - no edits needed");
+                fs.copyFileSync(donorRpuPath, tempRpuPath);
+            } else {
+                log(jobLog, `Edit list: ${JSON.stringify(edits)}`);
+                fs.writeFileSync(editConfigPath, JSON.stringify(edits, null, 2));
+                const editorArgs = ["editor", "-i", donorRpuPath, "-j", editConfigPath, "-o", tempRpuPath];
+                log(jobLog, `📋 Command: ${doviToolPath} ${editorArgs.join(' ')}`);
+                await runSpawn(doviToolPath, editorArgs);
+            }
+
+            const aligned = await readRpuSummary(doviToolPath, tempRpuPath, jobLog);
+            if (aligned.frames !== targetFrames) {
+                fs.unlinkSync(tempRpuPath);
+                throw new Error(`Aligned RPU has ${aligned.frames} frames, expected ${targetFrames}`);
+            }
+            if (aligned.profile !== null && aligned.profile !== 8) {
+                fs.unlinkSync(tempRpuPath);
+                throw new Error(`Aligned RPU is profile ${aligned.profile}, expected 8`);
+            }
+
+            if (fs.existsSync(rpuPath)) {
+                log(jobLog, `⚠️ Replacing existing RPU: ${rpuPath}`);
+            }
+            try {
+                fs.renameSync(tempRpuPath, rpuPath);
+            } catch (renameErr) {
+                log(jobLog, `⚠️ Rename failed (${renameErr.message}), attempting copy to final path`);
+                fs.copyFileSync(tempRpuPath, rpuPath);
+                fs.unlinkSync(tempRpuPath);
+            }
+
+            log(jobLog, `✔ Donor RPU aligned (${method}, offset ${offset}) and written to ${rpuPath}`);
+
+            return {
+                outputFileObj: inputFileObj,
+                outputNumber: 1,
+                variables: {...args.variables, donorRpuOffset: offset, donorSyncMethod: method, videoStreamIndex: videoStream.index},
+            };
+        } catch (e) {
+            log(jobLog, `🚨 Donor RPU import failed: ${e.message}`);
+            throw e;
+        } finally {
+            for (const tmpFile of [donorRpuPath, donorScenesPath, editConfigPath]) {
+                try {
+                    if (fs.existsSync(tmpFile)) fs.unlinkSync(tmpFile);
+                } catch (err) {
+                    // Best-effort cleanup
+                }
+            }
+        }
+    };
+
+    exports.plugin = plugin;
+
+})();  // END WRAPPER
@@ -71,6 +71,98 @@
         });
     }
 
+    // Run a command and resolve with its stdout
+    function runCapture(command, cmdArgs, label) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, cmdArgs, {stdio: "pipe"});
+
+            let stdout = "";
+            let stderr = "";
+
+            child.on("error", (err) => reject(new Error(`Failed to start ${label}: ${err.message}`)));
+            child.stdout.on("data", (data) => { stdout += data.toString(); });
+            child.stderr.on("data", (data) => { stderr += data.toString(); });
+            child.on("close", (code) => {
+                if (code === 0) return resolve(stdout);
+                reject(new Error(`${label} exited with code ${code}: ${stderr.trim()}`));
+            });
+        });
+    }
+
+    const MISMATCH_STRATEGIES = ["fail", "pad", "trim", "padtrim", "ignore"];
+
+    async function countRpuFrames(doviToolPath, rpuPath, jobLog) {
+        const infoArgs = ["info", "-i", rpuPath, "--summary"];
+        log(jobLog, `📋 Command: ${doviToolPath} ${infoArgs.join(' ')}`);
+        const summary = await runCapture(doviToolPath, infoArgs, "dovi_tool");
+        const match = summary.match(/Frames:\s*(\d+)/i);
+        if (!match) throw new Error("dovi_tool info did not report a frame count");
+        return Number(match[1]);
+    }
+
+    // Counts access units with the HEVC parser and notes which are keyframes (IRAP); no decoding,
+    // so it is fast even for full-length streams
+    async function probeHevcFrames(hevcPath, jobLog) {
+        const probeArgs = [
+            "-v", "error",
+            "-select_streams", "v:0",
+            "-show_entries", "packet=flags",
+            "-of", "csv=p=0",
+            hevcPath,
+        ];
+        log(jobLog, `📋 Command: ffprobe ${probeArgs.join(' ')}`);
+        const stdout = await runCapture("ffprobe", probeArgs, "ffprobe");
+        let frames = 0;
+        const keyframes = [];
+        for (const line of stdout.split(/\r?\n/)) {
+            if (!line.trim()) continue;
+            if (line.startsWith("K")) keyframes.push(frames);
+            frames++;
+        }
+        if (frames === 0) throw new Error("ffprobe found no HEVC packets");
+        return {frames, keyframes};
+    }
+
+    async function readRpuSceneCuts(doviToolPath, rpuPath, scenesPath, jobLog) {
+        const exportArgs = ["export", "-i", rpuPath, "-d", `scenes=${scenesPath}`];
+        log(jobLog, `📋 Command: ${doviToolPath} ${exportArgs.join(' ')}`);
+        await runCapture(doviToolPath, exportArgs, "dovi_tool");
+        return fs.readFileSync(scenesPath, "utf8")
+            .split(/\s+/)
+            .filter(Boolean)
+            .map(Number)
+            .filter((n) => Number.isFinite(n) && n > 0);
+    }
+
+    // Where RPU and HEVC stop lining up. Encoders put keyframes on scene changes, so RPU scene cuts
+    // before the divergence sit on an HEVC keyframe at the same frame, and cuts after it on one
+    // shifted by the frame delta. A lone shifted match is taken as coincidence; the drift starts at
+    // the first of two in a row. Returns {lastMatch, firstShifted} (RPU frames, null when there is
+    // no such cut), or null when no cut lines up either way.
+    function locateDivergence(sceneCuts, keyframes, delta) {
+        const keyframeSet = new Set(keyframes);
+        const evidence = sceneCuts
+            .map((cut) => ({cut, same: keyframeSet.has(cut), shifted: keyframeSet.has(cut - delta)}))
+            .filter((e) => e.same !== e.shifted);
+        if (evidence.length === 0) return null;
+
+        const start = evidence.findIndex((e, i) => e.shifted && (i + 1 === evidence.length || evidence[i + 1].shifted));
+        const before = start === -1 ? evidence : evidence.slice(0, start);
+        const matches = before.filter((e) => e.same);
+        return {
+            lastMatch: matches.length > 0 ? matches[matches.length - 1].cut : null,
+            firstShifted: start === -1 ? null : evidence[start].cut,
+        };
+    }
+
+    // dovi_tool editor config that pads (duplicates the last frame) or trims the RPU tail to targetFrames
+    function alignmentEdits(rpuFrames, targetFrames) {
+        if (rpuFrames < targetFrames) {
+            return {duplicate: [{source: rpuFrames - 1, offset: rpuFrames - 1, length: targetFrames - rpuFrames}]};
+        }
+        return {remove: [`${targetFrames}-${rpuFrames - 1}`]};
+    }
+
     const details = () => ({
         name: "Inject RPU into HEVC (DV8.1)",
         description: "Injects an extracted RPU into an HEVC bitstream via dovi_tool inject-rpu.",
@@ -114,10 +206,21 @@
                 inputType: "string",
                 defaultValue: "",
                 inputUI: {type: "directory"},
+            },
+            {
+                label: "Frame Mismatch Strategy",
+                name: "mismatchStrategy",
+                tooltip: "What to do when the RPU and HEVC frame counts differ. fail: route to output 2 without injecting. pad: duplicate the last RPU frame when the RPU is short (fails if it is long). trim: drop trailing RPU frames when the RPU is long (fails if it is short). padtrim: pad or trim as needed. ignore: log a warning and inject anyway (desynced metadata). Pad/trim only fixes differences at the end: when the scene cuts show the streams drifting apart earlier (a different cut), the file goes to output 2; that needs Edit RPU or Import Donor RPU. Default: fail.",
+                inputType: "string",
+                defaultValue: "fail",
+                inputUI: {type: "text"},
             }
         ],
 
-        outputs: [{number: 1, tooltip: "Continue to next step"}],
+        outputs: [
+            {number: 1, tooltip: "Continue to next step"},
+            {number: 2, tooltip: "RPU and HEVC frame counts differ and the mismatch strategy could not fix it (or the streams diverge before the end); nothing was injected"},
+        ],
     });
     exports.details = details;
 
@@ -175,20 +278,104 @@
             console.error(err);
         }
 
+        const mismatchStrategy = (resolveInput(args.inputs.mismatchStrategy, args) || "fail").toString().trim().toLowerCase();
+        if (!MISMATCH_STRATEGIES.includes(mismatchStrategy)) {
+            log(jobLog, `🚫 Unknown frame mismatch strategy "${mismatchStrategy}" (expected one of: ${MISMATCH_STRATEGIES.join(", ")})`);
+            throw new Error("Invalid frame mismatch strategy");
+        }
+
         const outputHevc = path.join(workDir, `${baseName}_DV81.hevc`);
+        const alignedRpuPath = path.join(workDir, `${baseName}_RPU_aligned.bin`);
+        const alignConfigPath = path.join(workDir, `${baseName}_RPU_align.json`);
+        const scenesPath = path.join(workDir, `${baseName}_RPU_scenes.txt`);
         log(jobLog, `HEVC input: ${hevcPath}`);
         log(jobLog, `RPU input: ${rpuPath}`);
         log(jobLog, `Output HEVC: ${outputHevc}`);
 
+        let rpuFrameDelta = 0;
+        let rpuDivergenceFrame = "";
+
         if (fs.existsSync(outputHevc)) {
             log(jobLog, "✔ Output already exists - skipping inject");
         } else {
-            log(jobLog, "🛠 Injecting RPU into HEVC...");
+            let injectRpuPath = rpuPath;
+
             try {
+                // Frame-count validation
+                log(jobLog, "🛠 Counting RPU and HEVC frames...");
+                const rpuFrames = await countRpuFrames(doviToolPath, rpuPath, jobLog);
+                const hevc = await probeHevcFrames(hevcPath, jobLog);
+                const hevcFrames = hevc.frames;
+                rpuFrameDelta = rpuFrames - hevcFrames;
+
+                if (rpuFrameDelta === 0) {
+                    log(jobLog, `✔ Frame counts match (${hevcFrames})`);
+                } else {
+                    const shorterFrames = Math.min(rpuFrames, hevcFrames);
+                    log(jobLog, `⚠️ Frame count mismatch: RPU=${rpuFrames}, HEVC=${hevcFrames} (delta ${rpuFrameDelta > 0 ? "+" : ""}${rpuFrameDelta})`);
+
+                    // First divergent position, from RPU scene cuts against HEVC keyframes
+                    let divergence = null;
+                    try {
+                        const sceneCuts = await readRpuSceneCuts(doviToolPath, rpuPath, scenesPath, jobLog);
+                        divergence = locateDivergence(sceneCuts, hevc.keyframes, rpuFrameDelta);
+                    } catch (err) {
+                        log(jobLog, `⚠️ Scene cut comparison failed: ${err.message}`);
+                    }
+                    const midStream = Boolean(divergence && divergence.firstShifted !== null);
+                    if (!divergence) {
+                        log(jobLog, "ℹ No RPU scene cut lines up with an HEVC keyframe; the first divergent position is unknown");
+                    } else {
+                        // Earliest frame that can differ: the one after the last cut still in sync
+                        rpuDivergenceFrame = divergence.lastMatch === null ? 0 : divergence.lastMatch + 1;
+                        if (!midStream) {
+                            log(jobLog, `ℹ Scene cuts line up with HEVC keyframes through frame ${divergence.lastMatch} and no later cut is shifted: the streams diverge after frame ${divergence.lastMatch}, most likely at the end (frame ${shorterFrames})`);
+                        } else {
+                            const where = divergence.lastMatch === null ? "before" : `between frame ${divergence.lastMatch} and`;
+                            log(jobLog, `ℹ First divergence ${where} RPU frame ${divergence.firstShifted}: from there on the RPU scene cuts sit ${Math.abs(rpuFrameDelta)} frames ${rpuFrameDelta > 0 ? "later" : "earlier"} than the HEVC keyframes`);
+                        }
+                    }
+
+                    const canPad = rpuFrameDelta < 0 && (mismatchStrategy === "pad" || mismatchStrategy === "padtrim");
+                    const canTrim = rpuFrameDelta > 0 && (mismatchStrategy === "trim" || mismatchStrategy === "padtrim");
+
+                    if (mismatchStrategy === "ignore") {
+                        log(jobLog, "⚠️ Mismatch strategy is ignore - injecting anyway; the metadata will be out of sync");
+                    } else if ((canPad || canTrim) && midStream) {
+                        log(jobLog, `🚫 ${canPad ? "Padding" : "Trimming"} only fixes the end, but the streams diverge mid-stream → output 2 (use Edit RPU or Import Donor RPU)`);
+                        return {
+                            outputFileObj: inputFileObj,
+                            outputNumber: 2,
+                            variables: {...args.variables, rpuFrameDelta, rpuDivergenceFrame},
+                        };
+                    } else if (canPad || canTrim) {
+                        const edits = alignmentEdits(rpuFrames, hevcFrames);
+                        log(jobLog, `🛠 ${canPad ? "Padding" : "Trimming"} RPU to ${hevcFrames} frames...`);
+                        fs.writeFileSync(alignConfigPath, JSON.stringify(edits, null, 2));
+                        const editorArgs = ["editor", "-i", rpuPath, "-j", alignConfigPath, "-o", alignedRpuPath];
+                        log(jobLog, `📋 Command: ${doviToolPath} ${editorArgs.join(' ')}`);
+                        await runSpawn(doviToolPath, editorArgs);
+
+                        const alignedFrames = await countRpuFrames(doviToolPath, alignedRpuPath, jobLog);
+                        if (alignedFrames !== hevcFrames) {
+                            throw new Error(`Aligned RPU has ${alignedFrames} frames, expected ${hevcFrames}`);
+                        }
+                        injectRpuPath = alignedRpuPath;
+                    } else {
+                        log(jobLog, `🚫 Mismatch strategy "${mismatchStrategy}" cannot fix an RPU ${rpuFrameDelta > 0 ? "longer" : "shorter"} than the HEVC → output 2`);
+                        return {
+                            outputFileObj: inputFileObj,
+                            outputNumber: 2,
+                            variables: {...args.variables, rpuFrameDelta, rpuDivergenceFrame},
+                        };
+                    }
+                }
+
+                log(jobLog, "🛠 Injecting RPU into HEVC...");
                 const injectArgs = [
                     "inject-rpu",
                     "-i", hevcPath,
-                    "-r", rpuPath,
+                    "-r", injectRpuPath,
                     "-o", outputHevc,
                 ];
                 log(jobLog, `📋 Command: ${doviToolPath} ${injectArgs.join(' ')}`);
@@ -197,13 +384,21 @@
             } catch (e) {
                 log(jobLog, `🚨 RPU injection failed: ${e.message}`);
                 throw e;
+            } finally {
+                for (const tmpFile of [alignedRpuPath, alignConfigPath, scenesPath]) {
+                    try {
+                        if (fs.existsSync(tmpFile)) fs.unlinkSync(tmpFile);
+                    } catch (err) {
+                        // Best-effort cleanup
+                    }
+                }
             }
         }
 
         return {
             outputFileObj: inputFileObj,
             outputNumber: 1,
-            variables: args.variables,
+            variables: {...args.variables, rpuFrameDelta, rpuDivergenceFrame},
         };
     };
 
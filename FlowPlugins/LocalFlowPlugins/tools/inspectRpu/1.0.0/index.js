@@ -0,0 +1,397 @@
+"use strict";
+
+(function () {
+
+    Object.defineProperty(exports, "__esModule", {value: true});
+    exports.plugin = exports.details = void 0;
+
+    // ----------------------------------------
+    // Requires
+    // ----------------------------------------
+    const fs = require("fs");
+    const path = require("path");
+    const {spawn} = require("child_process");
+    const {scanRpuExport, blockField, parseLevel1} = require("../../../../LocalFlowHelpers/rpuExport/1.0.0/index");
+
+    // ----------------------------------------
+    // Logging helper
+    // ----------------------------------------
+    function log(jobLog, msg) {
+        jobLog(msg);
+        console.log(msg);
+    }
+
+    // Resolve inputs that may be wrapped in {{{ }}} to reference args.* values
+    function resolveInput(value, args) {
+        if (typeof value !== "string") return value;
+        const match = value.match(/^\{\{\{\s*(.+?)\s*\}\}\}$/);
+        if (!match) return value;
+
+        const baseExpr = match[1].trim();
+        const attempts = [baseExpr];
+
+        // Support both args.variables.user.* (old) and args.variables.* (new)
+        const userPrefixes = ["args.variables.user.", "variables.user."];
+        userPrefixes.forEach((prefix) => {
+            if (baseExpr.startsWith(prefix)) {
+                attempts.push(baseExpr.replace(prefix, prefix.replace(".user", "")));
+            }
+        });
+
+        for (const expr of attempts) {
+            try {
+                const fn = new Function("args", `return ${expr};`);
+                const resolved = fn(args);
+                if (resolved !== undefined && resolved !== null) return resolved;
+            } catch (err) {
+                console.warn(`Failed to resolve placeholder ${value} with expr "${expr}": ${err.message}`);
+            }
+        }
+
+        // Unresolved placeholders should not propagate as literal "{{{...}}}"
+        return "";
+    }
+
+    // ----------------------------------------
+    // Run a command and resolve with its stdout
+    // ----------------------------------------
+    function runCapture(command, cmdArgs, label) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, cmdArgs, {stdio: "pipe"});
+
+            let stdout = "";
+            let stderr = "";
+
+            child.on("error", (err) => reject(new Error(`Failed to start ${label}: ${err.message}`)));
+            child.stdout.on("data", (data) => { stdout += data.toString(); });
+            child.stderr.on("data", (data) => { stderr += data.toString(); });
+            child.on("close", (code) => {
+                if (code === 0) return resolve(stdout);
+                reject(new Error(`${label} exited with code ${code}: ${stderr.trim()}`));
+            });
+        });
+    }
+
+    // ----------------------------------------
+    // Summary parsing (dovi_tool info --summary)
+    // ----------------------------------------
+    function parseSummary(summary) {
+        const num = (re) => {
+            const m = summary.match(re);
+            return m ? Number(m[1]) : null;
+        };
+
+        const cmMatch = summary.match(/CM\s*v?(\d+\.\d+)/i);
+        // "RPU content light level (L1)" also prints MaxCLL/MaxFALL, but derived from L1;
+        // only the "L6 metadata" line carries the signalled L6 values
+        const l6Line = (summary.match(/^\s*L6\b.*$/m) || [""])[0];
+        const cllMatch = l6Line.match(/MaxCLL:\s*([\d.]+)[^\n]*?MaxFALL:\s*([\d.]+)/i);
+        const l5Line = (summary.match(/^.*\bL5\b.*$/m) || [""])[0];
+        const l5Offset = (side) => {
+            const m = l5Line.match(new RegExp(`${side}\\s*[=:]\\s*(\\d+)`, "i"));
+            return m ? Number(m[1]) : null;
+        };
+
+        // Every extension block present in the RPU gets its own "Lx ..." summary line
+        const levels = new Set();
+        for (const m of summary.matchAll(/^\s*L(\d+)\b/gm)) levels.add(Number(m[1]));
+
+        return {
+            frames: num(/Frames:\s*(\d+)/i),
+            profile: num(/Profile:\s*(\d+)/i),
+            cmVersion: cmMatch ? cmMatch[1] : "",
+            sceneCount: num(/Scene\/shot count:\s*(\d+)/i),
+            maxCll: cllMatch ? Number(cllMatch[1]) : null,
+            maxFall: cllMatch ? Number(cllMatch[2]) : null,
+            l5: l5Line ? {
+                top: l5Offset("top"),
+                bottom: l5Offset("bottom"),
+                left: l5Offset("left"),
+                right: l5Offset("right"),
+            } : null,
+            levels,
+        };
+    }
+
+    // ----------------------------------------
+    // Frame-level export scan (dovi_tool export -d all=...)
+    // ----------------------------------------
+    // The chunked reader is shared with extractRpu
+    function scanExport(exportPath) {
+        const stats = {
+            rpus: 0,
+            sceneCuts: 0,
+            cmv40: false,
+            levelCounts: {},
+            l1: {count: 0, minPq: null, maxPq: null, avgPqSum: 0, zeroMaxFrames: 0, unorderedFrames: 0},
+            l5: {first: null, varies: false},
+            l6: {maxCll: null, maxFall: null},
+        };
+
+        const onBlock = (level, body) => {
+            stats.levelCounts[level] = (stats.levelCounts[level] || 0) + 1;
+
+            if (level === 1) {
+                const frame = parseLevel1(body);
+                if (!frame) return;
+                const {minPq, maxPq, avgPq} = frame;
+                const l1 = stats.l1;
+                l1.count++;
+                l1.minPq = l1.minPq === null ? minPq : Math.min(l1.minPq, minPq);
+                l1.maxPq = l1.maxPq === null ? maxPq : Math.max(l1.maxPq, maxPq);
+                l1.avgPqSum += avgPq;
+                if (maxPq === 0) l1.zeroMaxFrames++;
+                // Within one frame min <= avg <= max; anything else is a corrupt L1 block
+                if (minPq > maxPq || avgPq < minPq || avgPq > maxPq) l1.unorderedFrames++;
+            } else if (level === 5) {
+                const offsets = {
+                    top: blockField(body, "active_area_top_offset"),
+                    bottom: blockField(body, "active_area_bottom_offset"),
+                    left: blockField(body, "active_area_left_offset"),
+                    right: blockField(body, "active_area_right_offset"),
+                };
+                const first = stats.l5.first;
+                if (!first) {
+                    stats.l5.first = offsets;
+                } else if (Object.keys(offsets).some((k) => offsets[k] !== first[k])) {
+                    stats.l5.varies = true;
+                }
+            } else if (level === 6 && stats.l6.maxCll === null) {
+                stats.l6.maxCll = blockField(body, "max_content_light_level");
+                stats.l6.maxFall = blockField(body, "max_frame_average_light_level");
+            }
+        };
+
+        return scanRpuExport(exportPath, {
+            onFrame: () => {
+                stats.rpus++;
+            },
+            onSceneRefresh: (flag) => {
+                if (flag === 1) stats.sceneCuts++;
+            },
+            onBlock,
+            onCmv40: () => {
+                stats.cmv40 = true;
+            },
+        }).then(() => stats);
+    }
+
+    // ST 2084 inverse EOTF: 12-bit PQ code → nits
+    function pqToNits(code) {
+        if (code === null || code === undefined) return null;
+        const m1 = 2610 / 16384;
+        const m2 = 2523 / 4096 * 128;
+        const c1 = 3424 / 4096;
+        const c2 = 2413 / 4096 * 32;
+        const c3 = 2392 / 4096 * 32;
+        const e = Math.pow(code / 4095, 1 / m2);
+        return Math.round(10000 * Math.pow(Math.max(e - c1, 0) / (c2 - c3 * e), 1 / m1) * 100) / 100;
+    }
+
+    // ----------------------------------------
+    // Plugin Details
+    // ----------------------------------------
+    const details = () => ({
+        name: "Inspect RPU",
+        description: "Reads a Dolby Vision RPU with dovi_tool and publishes frame count, CM version, L1/L2/L5/L6/L8 metadata and health as flow variables.",
+        style: {borderColor: "purple"},
+        tags: "video",
+        isStartPlugin: false,
+        pType: "",
+        requiresVersion: "2.11.01",
+        sidebarPosition: 4,
+        icon: "faBolt",
+
+        inputs: [
+            {
+                label: "Dovi Tool Path",
+                name: "doviToolPath",
+                tooltip:
+                    "Required: full path to dovi_tool. Install DV Tools sets this as doviToolBin in its plugin output.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.doviToolBin}}}",
+                inputUI: {type: "directory"},
+            },
+            {
+                label: "RPU Path",
+                name: "rpuPath",
+                tooltip:
+                    "Optional: RPU.bin to inspect. Leave empty to fall back to Tdarr cache directory + <basename>_RPU.bin (output of Extract RPU).",
+                inputType: "string",
+                defaultValue: "",
+                inputUI: {type: "directory"},
+            },
+            {
+                label: "Frame-level Export",
+                name: "frameExport",
+                tooltip:
+                    "Export every RPU frame to JSON (dovi_tool export) to compute L1 PQ statistics and check that each frame carries L1. Disable to rely on the summary only, which is much faster on long titles. Default: enabled.",
+                inputType: "boolean",
+                defaultValue: "true",
+                inputUI: {type: "switch"},
+            },
+        ],
+
+        outputs: [
+            {number: 1, tooltip: "RPU looks healthy"},
+            {number: 2, tooltip: "RPU is broken or suspicious (see rpuIssues)"},
+        ],
+    });
+    exports.details = details;
+
+    // ----------------------------------------
+    // Plugin Entrypoint
+    // ----------------------------------------
+    const plugin = async (args) => {
+        const lib = require("../../../../../methods/lib")();
+        args.inputs = lib.loadDefaultValues(args.inputs, details);
+
+        const jobLog = args.jobLog;
+        log(jobLog, "== Starting Inspect RPU ==");
+
+        const inputPath = args.inputFileObj.file;
+        const baseName = path.basename(inputPath, path.extname(inputPath));
+
+        const doviToolPath = (resolveInput(args.inputs.doviToolPath, args) || "").toString().trim();
+        if (!doviToolPath) {
+            log(jobLog, "🚫 Missing dovi_tool path (input: Dovi Tool Path). Set it, e.g. from Install DV Tools (doviToolBin).");
+            throw new Error("Missing dovi_tool path");
+        }
+
+        const userRpuPath = (resolveInput(args.inputs.rpuPath, args) || "").toString().trim();
+        const rpuPath = userRpuPath || path.join(args.workDir, `${baseName}_RPU.bin`);
+        if (!fs.existsSync(rpuPath)) {
+            log(jobLog, `🚫 RPU not found: ${rpuPath}`);
+            throw new Error("RPU input missing");
+        }
+
+        const frameExport = String(resolveInput(args.inputs.frameExport, args)) !== "false";
+
+        log(jobLog, `RPU: ${rpuPath}`);
+
+        const issues = [];
+
+        // Summary
+        let summary = null;
+        try {
+            const infoArgs = ["info", "-i", rpuPath, "--summary"];
+            log(jobLog, `📋 Command: ${doviToolPath} ${infoArgs.join(' ')}`);
+            const summaryText = await runCapture(doviToolPath, infoArgs, "dovi_tool");
+            console.log(`[dovi_tool]: ${summaryText.trim()}`);
+            summary = parseSummary(summaryText);
+        } catch (err) {
+            log(jobLog, `⚠️ dovi_tool info failed: ${err.message}`);
+            issues.push("RPU could not be parsed");
+        }
+
+        // Frame-level export
+        let exportStats = null;
+        if (summary && frameExport) {
+            const exportPath = path.join(args.workDir, `${baseName}_RPU_export.json`);
+            try {
+                const exportArgs = ["export", "-i", rpuPath, "-d", `all=${exportPath}`];
+                log(jobLog, `📋 Command: ${doviToolPath} ${exportArgs.join(' ')}`);
+                await runCapture(doviToolPath, exportArgs, "dovi_tool");
+                exportStats = await scanExport(exportPath);
+            } catch (err) {
+                log(jobLog, `⚠️ RPU export failed: ${err.message}`);
+                issues.push("RPU frame export failed");
+            } finally {
+                try {
+                    if (fs.existsSync(exportPath)) fs.unlinkSync(exportPath);
+                } catch (err) {
+                    // Best-effort cleanup
+                }
+            }
+        }
+
+        // Merge summary and export results; the export wins where both report a value
+        const levels = new Set(summary ? summary.levels : []);
+        if (exportStats) {
+            Object.keys(exportStats.levelCounts).forEach((level) => levels.add(Number(level)));
+        }
+
+        const frameCount = summary?.frames ?? (exportStats ? exportStats.rpus : null);
+        const sceneCount = summary?.sceneCount ?? (exportStats ? exportStats.sceneCuts : null);
+        let cmVersion = summary?.cmVersion || "";
+        if (!cmVersion && exportStats) cmVersion = exportStats.cmv40 ? "4.0" : "2.9";
+
+        const l1 = exportStats && exportStats.l1.count > 0 ? exportStats.l1 : null;
+        const minPq = l1 ? l1.minPq : "";
+        const maxPq = l1 ? l1.maxPq : "";
+        const avgPq = l1 ? Math.round(l1.avgPqSum / l1.count) : "";
+
+        const l5 = exportStats?.l5.first || summary?.l5 || null;
+        const maxCll = exportStats?.l6.maxCll ?? summary?.maxCll ?? "";
+        const maxFall = exportStats?.l6.maxFall ?? summary?.maxFall ?? "";
+
+        // Health checks
+        if (summary) {
+            if (!frameCount) issues.push("RPU has no frames");
+            if (exportStats && frameCount && exportStats.rpus && exportStats.rpus !== frameCount) {
+                issues.push(`export has ${exportStats.rpus} RPUs but summary reports ${frameCount} frames`);
+            }
+            if (exportStats && !l1) {
+                issues.push("no L1 metadata");
+            } else if (l1 && frameCount && l1.count < frameCount) {
+                issues.push(`L1 missing on ${frameCount - l1.count} of ${frameCount} frames`);
+            }
+            if (l1 && l1.zeroMaxFrames === l1.count) {
+                issues.push("L1 max PQ is 0 on every frame");
+            }
+            if (l1 && l1.unorderedFrames > 0) {
+                issues.push(`L1 min/avg/max PQ out of order on ${l1.unorderedFrames} of ${l1.count} frames`);
+            }
+        }
+
+        const fmt = (v) => (v === null || v === undefined || v === "" ? "n/a" : v);
+        log(jobLog, `Frames: ${fmt(frameCount)} | Scenes/shots: ${fmt(sceneCount)} | Profile: ${fmt(summary?.profile)} | CM v${fmt(cmVersion)}`);
+        log(jobLog, `Blocks: ${[...levels].sort((a, b) => a - b).map((l) => `L${l}`).join(", ") || "none"}`);
+        if (l1) {
+            log(jobLog, `L1 PQ min/max/avg: ${minPq}/${maxPq}/${avgPq} (${pqToNits(minPq)}/${pqToNits(maxPq)}/${pqToNits(avgPq)} nits)`);
+        }
+        if (l5) {
+            const varies = exportStats?.l5.varies ? " (varies per shot)" : "";
+            log(jobLog, `L5 offsets: top=${fmt(l5.top)}, bottom=${fmt(l5.bottom)}, left=${fmt(l5.left)}, right=${fmt(l5.right)}${varies}`);
+        }
+        log(jobLog, `L6 MaxCLL/MaxFALL: ${fmt(maxCll)}/${fmt(maxFall)}`);
+
+        const healthy = issues.length === 0;
+        if (healthy) {
+            log(jobLog, "✔ RPU looks healthy → output 1");
+        } else {
+            log(jobLog, `⚠️ RPU issues: ${issues.join("; ")} → output 2`);
+        }
+
+        return {
+            outputFileObj: args.inputFileObj,
+            outputNumber: healthy ? 1 : 2,
+            variables: {
+                ...args.variables,
+                rpuFrameCount: frameCount ?? "",
+                rpuSceneCount: sceneCount ?? "",
+                rpuProfile: summary?.profile ?? "",
+                rpuCmVersion: cmVersion,
+                rpuHasL1: levels.has(1),
+                rpuHasL2: levels.has(2),
+                rpuHasL5: levels.has(5),
+                rpuHasL6: levels.has(6),
+                rpuHasL8: levels.has(8),
+                rpuMinPq: minPq,
+                rpuMaxPq: maxPq,
+                rpuAvgPq: avgPq,
+                rpuL5Top: l5?.top ?? "",
+                rpuL5Bottom: l5?.bottom ?? "",
+                rpuL5Left: l5?.left ?? "",
+                rpuL5Right: l5?.right ?? "",
+                rpuMaxCll: maxCll,
+                rpuMaxFall: maxFall,
+                rpuHealthy: healthy,
+                rpuIssues: issues.join("; "),
+            },
+        };
+    };
+
+    exports.plugin = plugin;
+
+})();  // END WRAPPER
@@ -9,7 +9,9 @@
      * DV Tools Install Plugin
      * Installs:
      * - GPAC / MP4Box (via .deb extraction, no root)
+     * - x265 CLI (via .deb extraction, no root)
      * - dovi_tool
+     * - hdr10plus_tool
      * - dotnet runtime
      * - PgsToSrt
      * - Tesseract tessdata
@@ -212,6 +214,55 @@
         return {mkvextractBin, mkvmergeBin};
     }
 
+    // -------------------------
+    // Install the x265 CLI via .deb extraction (NO copying)
+    // -------------------------
+    // Dolby Vision re-encodes need the x265 CLI (ffmpeg's libx265 cannot take an RPU file). The packaged
+    // binary links the multilib libx265 (8/10/12-bit) and libnuma, so it runs through a wrapper that
+    // points LD_LIBRARY_PATH at the extracted libraries.
+    async function installX265(jobLog, OPT) {
+        const x265Dir = path.join(OPT, "x265");
+        const x265Bin = path.join(x265Dir, "x265");
+        const realBin = path.join(x265Dir, "usr/bin/x265");
+        const libDir = path.join(x265Dir, "usr/lib/x86_64-linux-gnu");
+
+        if (fs.existsSync(x265Bin) && fs.existsSync(realBin)) {
+            log(jobLog, "➡️ x265 already installed");
+            return {x265Bin};
+        }
+
+        ensureDir(x265Dir, jobLog);
+
+        const debs = [
+            ["x265.deb", "https://ftp.debian.org/debian/pool/main/x/x265/x265_3.5-2+b1_amd64.deb"],
+            ["libx265.deb", "https://ftp.debian.org/debian/pool/main/x/x265/libx265-199_3.5-2+b1_amd64.deb"],
+            ["libnuma.deb", "https://ftp.debian.org/debian/pool/main/n/numactl/libnuma1_2.0.16-1_amd64.deb"],
+        ];
+
+        for (const [debName, debUrl] of debs) {
+            log(jobLog, `⬇️ Downloading ${debName}...`);
+            await downloadFile(debUrl, path.join(x265Dir, debName), jobLog);
+
+            log(jobLog, `📦 Extracting ${debName}...`);
+            execSync(`dpkg-deb -x ${debName} .`, {
+                cwd: x265Dir,
+                stdio: "inherit",
+                env: process.env,
+            });
+        }
+
+        fs.chmodSync(realBin, 0o755);
+        fs.writeFileSync(
+            x265Bin,
+            `#!/bin/sh\nLD_LIBRARY_PATH="${libDir}\${LD_LIBRARY_PATH:+:\$LD_LIBRARY_PATH}" exec "${realBin}" "$@"\n`,
+            {mode: 0o755}
+        );
+
+        log(jobLog, `✔ x265 installed at: ${x265Bin}`);
+
+        return {x265Bin};
+    }
+
     // -------------------------
     // Install libjpeg dependency for MP4Box (non-root, local to gpac)
     // -------------------------
@@ -267,7 +318,7 @@
     const details = () => ({
         name: "Install DV Tools",
         description:
-            "Installs DV processing dependencies (MP4Box, mkvtoolnix, dovi_tool, dotnet, PgsToSrt, tessdata). Idempotent.",
+            "Installs DV processing dependencies (MP4Box, mkvtoolnix, x265, dovi_tool, hdr10plus_tool, dotnet, PgsToSrt, tessdata). Idempotent.",
         style: {borderColor: "purple"},
         tags: "utility",
         isStartPlugin: true,
@@ -279,7 +330,7 @@
             {
                 label: "Install Directory",
                 name: "installDirectory",
-                tooltip: "Optional: directory to install DV tools (MP4Box, dovi_tool, dotnet, PgsToSrt, tessdata). Leave empty to use default.",
+                tooltip: "Optional: directory to install DV tools (MP4Box, mkvtoolnix, x265, dovi_tool, hdr10plus_tool, dotnet, PgsToSrt, tessdata). Leave empty to use default.",
                 type: "string",
                 defaultValue: "",
                 inputUI: {type: "directory"},
@@ -316,6 +367,11 @@
         const {mkvextractBin, mkvmergeBin} =
             await installMkvtoolnix(jobLog, OPT);
 
+        // ---------------------------------------
+        // x265 CLI (Dolby Vision re-encodes)
+        // ---------------------------------------
+        const {x265Bin} = await installX265(jobLog, OPT);
+
         // ---------------------------------------
         // dovi_tool
         // ---------------------------------------
@@ -334,6 +390,24 @@
             log(jobLog, "➡️ dovi_tool already installed");
         }
 
+        // ---------------------------------------
+        // hdr10plus_tool
+        // ---------------------------------------
+        const hdr10plusDir = path.join(OPT, "hdr10plus_tool");
+        const hdr10plusToolBin = path.join(hdr10plusDir, "hdr10plus_tool");
+
+        if (!fs.existsSync(hdr10plusToolBin)) {
+            downloadAndExtract(
+                "https://github.com/quietvoid/hdr10plus_tool/releases/download/1.6.1/hdr10plus_tool-1.6.1-x86_64-unknown-linux-musl.tar.gz",
+                hdr10plusDir,
+                "-xz --strip-components=1",
+                jobLog
+            );
+            log(jobLog, "✔ Installed hdr10plus_tool");
+        } else {
+            log(jobLog, "➡️ hdr10plus_tool already installed");
+        }
+
         // ---------------------------------------
         // dotnet runtime
         // ---------------------------------------
@@ -407,7 +481,9 @@
                 mp4boxLibDir,
                 mkvextractBin,
                 mkvmergeBin,
+                x265Bin,
                 doviToolBin,
+                hdr10plusToolBin,
                 dotnetBin,
                 pgsToSrtDll,
 
@@ -0,0 +1,509 @@
+"use strict";
+
+(function () {
+
+    Object.defineProperty(exports, "__esModule", {value: true});
+    exports.plugin = exports.details = void 0;
+
+    // Bitrate-capped x265 re-encode of a Dolby Vision HEVC, RPU fed back via --dolby-vision-rpu
+    const fs = require("fs");
+    const path = require("path");
+    const {spawn} = require("child_process");
+    const {selectVideoStream} = require("../../../../LocalFlowHelpers/videoStream/1.0.0/index");
+
+    // Log helper (mirrors console + job log)
+    function log(jobLog, msg) {
+        jobLog(msg);
+        console.log(msg);
+    }
+
+    // Resolve inputs that may be wrapped in {{{ }}} to reference args.* values
+    function resolveInput(value, args) {
+        if (typeof value !== "string") return value;
+        const match = value.match(/^\{\{\{\s*(.+?)\s*\}\}\}$/);
+        if (!match) return value;
+
+        const baseExpr = match[1].trim();
+        const attempts = [baseExpr];
+
+        // Support both args.variables.user.* (old) and args.variables.* (new)
+        const userPrefixes = ["args.variables.user.", "variables.user."];
+        userPrefixes.forEach((prefix) => {
+            if (baseExpr.startsWith(prefix)) {
+                attempts.push(baseExpr.replace(prefix, prefix.replace(".user", "")));
+            }
+        });
+
+        for (const expr of attempts) {
+            try {
+                const fn = new Function("args", `return ${expr};`);
+                const resolved = fn(args);
+                if (resolved !== undefined && resolved !== null) return resolved;
+            } catch (err) {
+                console.warn(`Failed to resolve placeholder ${value} with expr "${expr}": ${err.message}`);
+            }
+        }
+
+        // Unresolved placeholders should not propagate as literal "{{{...}}}"
+        return "";
+    }
+
+    function runSpawn(command, args, label) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, args, {stdio: "pipe"});
+
+            child.on("error", (err) => {
+                reject(new Error(`Failed to start ${label}: ${err.message}`));
+            });
+
+            child.stdout.on("data", (data) => {
+                const msg = data.toString().trim();
+                if (msg) console.log(`[${label}]: ${msg}`);
+            });
+
+            child.stderr.on("data", (data) => {
+                const msg = data.toString().trim();
+                if (msg) console.warn(`[${label} ERR]: ${msg}`);
+            });
+
+            child.on("close", (code) => {
+                if (code === 0) return resolve();
+                reject(new Error(`${label} exited with code ${code}`));
+            });
+        });
+    }
+
+    // Run a command and resolve with its stdout
+    function runCapture(command, cmdArgs, label) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, cmdArgs, {stdio: "pipe"});
+
+            let stdout = "";
+            let stderr = "";
+
+            child.on("error", (err) => reject(new Error(`Failed to start ${label}: ${err.message}`)));
+            child.stdout.on("data", (data) => { stdout += data.toString(); });
+            child.stderr.on("data", (data) => { stderr += data.toString(); });
+            child.on("close", (code) => {
+                if (code === 0) return resolve(stdout);
+                reject(new Error(`${label} exited with code ${code}: ${stderr.trim()}`));
+            });
+        });
+    }
+
+    // ffmpeg's libx265 wrapper cannot read an RPU file (--dolby-vision-rpu is an x265 CLI option),
+    // so the stream is decoded by ffmpeg and piped as y4m into the x265 binary
+    function runPipe(producer, consumer) {
+        return new Promise((resolve, reject) => {
+            const first = spawn(producer.command, producer.args, {stdio: ["ignore", "pipe", "pipe"]});
+            const second = spawn(consumer.command, consumer.args, {stdio: ["pipe", "pipe", "pipe"]});
+
+            let failed = false;
+            const fail = (err) => {
+                if (failed) return;
+                failed = true;
+                first.kill();
+                second.kill();
+                reject(err);
+            };
+
+            // x265 reports progress on stderr for the whole encode; only the tail is useful
+            const tail = (text, data) => (text + data.toString()).slice(-65536);
+            let firstErr = "";
+            let secondErr = "";
+            first.stderr.on("data", (data) => {firstErr = tail(firstErr, data);});
+            second.stderr.on("data", (data) => {secondErr = tail(secondErr, data);});
+            second.stdout.on("data", (data) => {
+                const msg = data.toString().trim();
+                if (msg) console.log(`[${consumer.label}]: ${msg}`);
+            });
+
+            first.on("error", (err) => fail(new Error(`Failed to start ${producer.label}: ${err.message}`)));
+            second.on("error", (err) => fail(new Error(`Failed to start ${consumer.label}: ${err.message}`)));
+            // EPIPE when the consumer exits early is reported through its exit code instead
+            second.stdin.on("error", () => {});
+            first.stdout.pipe(second.stdin);
+
+            let pending = 2;
+            const done = (label, errText) => (code) => {
+                if (code !== 0) return fail(new Error(`${label} exited with code ${code}: ${errText().trim().split(/[\r\n]+/).pop()}`));
+                if (--pending === 0) resolve();
+            };
+            first.on("close", done(producer.label, () => firstErr));
+            second.on("close", done(consumer.label, () => secondErr));
+        });
+    }
+
+    // x265 option switches that take no value on the command line
+    const X265_FLAGS = ["hdr10-opt", "repeat-headers"];
+
+    // key=value x265 params → x265 CLI arguments
+    function x265CliArgs(params) {
+        return params.flatMap((param) => {
+            const index = param.indexOf("=");
+            const key = param.slice(0, index);
+            const value = param.slice(index + 1);
+            if (X265_FLAGS.includes(key)) return value === "1" ? [`--${key}`] : [`--no-${key}`];
+            return [`--${key}`, value];
+        });
+    }
+
+    async function countRpuFrames(doviToolPath, rpuPath, jobLog) {
+        const infoArgs = ["info", "-i", rpuPath, "--summary"];
+        log(jobLog, `📋 Command: ${doviToolPath} ${infoArgs.join(' ')}`);
+        const summary = await runCapture(doviToolPath, infoArgs, "dovi_tool");
+        const match = summary.match(/Frames:\s*(\d+)/i);
+        if (!match) throw new Error("dovi_tool info did not report a frame count");
+        return Number(match[1]);
+    }
+
+    // Counts access units with the HEVC parser; no decoding, so it is fast even for full-length streams
+    async function countHevcFrames(hevcPath, jobLog) {
+        const probeArgs = [
+            "-v", "error",
+            "-select_streams", "v:0",
+            "-count_packets",
+            "-show_entries", "stream=nb_read_packets",
+            "-of", "csv=p=0",
+            hevcPath,
+        ];
+        log(jobLog, `📋 Command: ffprobe ${probeArgs.join(' ')}`);
+        const stdout = await runCapture("ffprobe", probeArgs, "ffprobe");
+        const count = parseInt(stdout.trim(), 10);
+        if (!Number.isFinite(count)) throw new Error(`Unexpected ffprobe packet count: ${stdout.trim()}`);
+        return count;
+    }
+
+    const sideDataType = (sd) => (typeof sd?.side_data_type === "string" ? sd.side_data_type.toLowerCase() : "");
+
+    // ffprobe reports chromaticities and luminance as rationals, e.g. "34000/50000"
+    function parseRational(value) {
+        if (value === undefined || value === null || value === "") return NaN;
+        const [num, den = "1"] = String(value).split("/");
+        return Number(num) / Number(den);
+    }
+
+    // x265 master-display: G(x,y)B(x,y)R(x,y)WP(x,y)L(max,min) in 0.00002 and 0.0001 cd/m² units
+    function formatMasterDisplay(sd) {
+        const chroma = (v) => Math.round(parseRational(v) * 50000);
+        const luminance = (v) => Math.round(parseRational(v) * 10000);
+        const [gx, gy, bx, by, rx, ry, wx, wy] = [
+            sd.green_x, sd.green_y, sd.blue_x, sd.blue_y, sd.red_x, sd.red_y, sd.white_point_x, sd.white_point_y,
+        ].map(chroma);
+        const maxL = luminance(sd.max_luminance);
+        const minL = luminance(sd.min_luminance);
+        if ([gx, gy, bx, by, rx, ry, wx, wy, maxL, minL].some((v) => !Number.isFinite(v))) return "";
+        return `G(${gx},${gy})B(${bx},${by})R(${rx},${ry})WP(${wx},${wy})L(${maxL},${minL})`;
+    }
+
+    const DV_PROFILES = {
+        "8.1": ["colorprim=bt2020", "transfer=smpte2084", "colormatrix=bt2020nc", "hdr10-opt=1"],
+        "8.4": ["colorprim=bt2020", "transfer=arib-std-b67", "colormatrix=bt2020nc"],
+    };
+
+
+    const details = () => ({
+        name: "Re-encode DV HEVC (bitrate-capped)",
+        description: "Re-encode a Dolby Vision HEVC stream with x265 under a VBV max rate and buffer, feeding the RPU back in so the output keeps frame-accurate Dolby Vision metadata. For devices that stutter on high-bitrate remuxes.",
+        style: {borderColor: "purple"},
+        tags: "video",
+        isStartPlugin: false,
+        pType: "",
+        requiresVersion: "2.11.01",
+        sidebarPosition: 5,
+        icon: "faFilm",
+
+        inputs: [
+            {
+                label: "Dovi Tool Path",
+                name: "doviToolPath",
+                tooltip: "Required: full path to dovi_tool. Install DV Tools sets this as doviToolBin in its plugin output.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.doviToolBin}}}",
+                inputUI: {type: "directory"},
+            },
+            {
+                label: "BL HEVC Path",
+                name: "blHevcPath",
+                tooltip: "Path to the Dolby Vision HEVC stream to re-encode. It is replaced in place on success. Leave empty to use Tdarr cache directory + <basename>.hevc.",
+                inputType: "string",
+                defaultValue: "",
+                inputUI: {type: "directory"},
+            },
+            {
+                label: "RPU Path",
+                name: "rpuPath",
+                tooltip: "RPU to feed into x265. Leave empty to use Tdarr cache directory + <basename>_RPU.bin; when that does not exist the RPU is extracted from the HEVC with the conversion mode below.",
+                inputType: "string",
+                defaultValue: "",
+                inputUI: {type: "directory"},
+            },
+            {
+                label: "RPU Conversion Mode",
+                name: "conversionMode",
+                tooltip: "dovi_tool -m mode used when the RPU has to be extracted from the HEVC. Default 2 (profile 8.1).",
+                inputType: "string",
+                defaultValue: "2",
+                inputUI: {type: "text"},
+            },
+            {
+                label: "Dolby Vision Profile",
+                name: "dvProfile",
+                tooltip: "x265 dolby-vision-profile: 8.1 (HDR10 base layer) or 8.4 (HLG base layer). Default: 8.1.",
+                inputType: "string",
+                defaultValue: "8.1",
+                inputUI: {type: "text"},
+            },
+            {
+                label: "VBV Max Rate (kbps)",
+                name: "vbvMaxrate",
+                tooltip: "x265 vbv-maxrate in kbps. Default: 40000.",
+                inputType: "string",
+                defaultValue: "40000",
+                inputUI: {type: "text"},
+            },
+            {
+                label: "VBV Buffer (kbit)",
+                name: "vbvBufsize",
+                tooltip: "x265 vbv-bufsize in kbit. Default: 40000.",
+                inputType: "string",
+                defaultValue: "40000",
+                inputUI: {type: "text"},
+            },
+            {
+                label: "x265 Path",
+                name: "x265Path",
+                tooltip: "x265 command-line encoder (ffmpeg's libx265 cannot take an RPU file). Must support 10-bit output. Install DV Tools sets this as x265Bin; when empty, x265 on PATH is used.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.x265Bin}}}",
+                inputUI: {type: "text"},
+            },
+            {
+                label: "x265 Preset",
+                name: "x265Preset",
+                tooltip: "libx265 preset. Default: slow.",
+                inputType: "string",
+                defaultValue: "slow",
+                inputUI: {type: "text"},
+            },
+            {
+                label: "x265 CRF",
+                name: "x265Crf",
+                tooltip: "libx265 CRF; VBV caps the peaks. Default: 18.",
+                inputType: "string",
+                defaultValue: "18",
+                inputUI: {type: "text"},
+            },
+            {
+                label: "Output Directory",
+                name: "outputDirectory",
+                tooltip: "Optional: directory for the temporary encode and RPU check. Leave empty to use Tdarr cache directory.",
+                inputType: "string",
+                defaultValue: "",
+                inputUI: {type: "directory"},
+            },
+            {
+                label: "Video Stream Index",
+                name: "videoStreamIndex",
+                tooltip: "ffprobe index of the video stream to use. Defaults to the stream chosen by an earlier plugin (videoStreamIndex). Leave empty to select automatically: cover art and still images are skipped, then the highest resolution, longest and default-flagged stream wins.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.videoStreamIndex}}}",
+                inputUI: {type: "text"},
+            },
+        ],
+
+        outputs: [
+            {number: 1, tooltip: "Re-encoded, RPU frame count verified"},
+            {number: 2, tooltip: "RPU frame count mismatch (HEVC left unchanged)"},
+        ],
+    });
+    exports.details = details;
+
+    const plugin = async (args) => {
+        const lib = require("../../../../../methods/lib")();
+        args.inputs = lib.loadDefaultValues(args.inputs, details);
+
+        const jobLog = args.jobLog;
+        log(jobLog, "== Starting bitrate-capped DV re-encode ==");
+
+        const inputFileObj = args.inputFileObj;
+        const inputPath = inputFileObj.file;
+
+        const configuredOutputDir = (resolveInput(args.inputs.outputDirectory, args) || "").toString().trim() || "";
+        const workDir = configuredOutputDir.length > 0 ? configuredOutputDir : args.workDir;
+
+        const baseName = path.basename(inputPath, path.extname(inputPath));
+
+        const doviToolPath = (resolveInput(args.inputs.doviToolPath, args) || "").toString().trim();
+        if (!doviToolPath) {
+            log(jobLog, "🚫 Missing dovi_tool path (input: Dovi Tool Path). Set it, e.g. from Install DV Tools (doviToolBin).");
+            throw new Error("Missing dovi_tool path");
+        }
+
+        const dvProfile = (resolveInput(args.inputs.dvProfile, args) || "").toString().trim() || "8.1";
+        if (!DV_PROFILES[dvProfile]) {
+            log(jobLog, `🚫 Unsupported Dolby Vision profile "${dvProfile}" (use 8.1 or 8.4)`);
+            throw new Error("Unsupported Dolby Vision profile");
+        }
+
+        const vbvMaxrate = (resolveInput(args.inputs.vbvMaxrate, args) || "").toString().trim() || "40000";
+        const vbvBufsize = (resolveInput(args.inputs.vbvBufsize, args) || "").toString().trim() || "40000";
+        if (!/^\d+$/.test(vbvMaxrate) || !/^\d+$/.test(vbvBufsize)) {
+            log(jobLog, `🚫 VBV max rate and buffer must be whole numbers (got ${vbvMaxrate} / ${vbvBufsize})`);
+            throw new Error("Invalid VBV settings");
+        }
+        const x265Path = (resolveInput(args.inputs.x265Path, args) || "").toString().trim() || "x265";
+        const x265Preset = (resolveInput(args.inputs.x265Preset, args) || "").toString().trim() || "slow";
+        const x265Crf = (resolveInput(args.inputs.x265Crf, args) || "").toString().trim() || "18";
+        const conversionMode = (resolveInput(args.inputs.conversionMode, args) || "2").toString().trim();
+
+        const userBlHevcPath = (resolveInput(args.inputs.blHevcPath, args) || "").toString().trim();
+        const blHevcPath =
+            userBlHevcPath.length > 0
+                ? userBlHevcPath
+                : (args.variables.blHevcPath || "").toString().trim() || path.join(args.workDir, `${baseName}.hevc`);
+
+        const userRpuPath = (resolveInput(args.inputs.rpuPath, args) || "").toString().trim();
+        const rpuPath = userRpuPath.length > 0 ? userRpuPath : path.join(args.workDir, `${baseName}_RPU.bin`);
+
+        const tempHevcPath = path.join(workDir, `${baseName}_VBV_temp.hevc`);
+        const checkRpuPath = path.join(workDir, `${baseName}_VBV_RPU_check.bin`);
+
+        log(jobLog, `Working dir (temp): ${workDir}`);
+        log(jobLog, `Base filename: ${baseName}`);
+        log(jobLog, `HEVC (input/output): ${blHevcPath}`);
+        log(jobLog, `RPU: ${rpuPath}`);
+
+        if (!fs.existsSync(blHevcPath)) {
+            log(jobLog, `🚫 HEVC stream not found: ${blHevcPath}. Run Extract HEVC first.`);
+            throw new Error("HEVC stream not found");
+        }
+
+        try {
+            if (!fs.existsSync(workDir)) {
+                log(jobLog, `📁 Creating temp directory: ${workDir}`);
+                fs.mkdirSync(workDir, {recursive: true});
+            }
+        } catch (err) {
+            log(jobLog, `🚨 Failed to ensure temp directory exists: ${workDir}`);
+            console.error(err);
+        }
+
+        if (!fs.existsSync(rpuPath)) {
+            log(jobLog, `🛠 No RPU found, extracting from HEVC (mode ${conversionMode})...`);
+            const rpuArgs = ["-m", conversionMode, "extract-rpu", "-i", blHevcPath, "-o", rpuPath];
+            log(jobLog, `📋 Command: ${doviToolPath} ${rpuArgs.join(' ')}`);
+            await runSpawn(doviToolPath, rpuArgs, "dovi_tool");
+        }
+
+        // The RPU must line up with the stream before x265 consumes it one-per-frame
+        const rpuFrames = await countRpuFrames(doviToolPath, rpuPath, jobLog);
+        const hevcFrames = await countHevcFrames(blHevcPath, jobLog);
+        log(jobLog, `RPU frames: ${rpuFrames} | HEVC frames: ${hevcFrames}`);
+        if (rpuFrames !== hevcFrames) {
+            log(jobLog, `⚠️ RPU/HEVC frame count mismatch before encoding (${rpuFrames - hevcFrames}); run Inject RPU with a mismatch strategy first`);
+            return {
+                outputFileObj: inputFileObj,
+                outputNumber: 2,
+                variables: {...args.variables, rpuFrameDelta: rpuFrames - hevcFrames},
+            };
+        }
+
+        // Raw HEVC has no timestamps; VBV is per second, so the y4m stream must carry the source frame rate
+        const streams = inputFileObj?.ffProbeData?.streams;
+        const videoStream = selectVideoStream(streams, resolveInput(args.inputs.videoStreamIndex, args), jobLog);
+        const frameRate = videoStream?.r_frame_rate && videoStream.r_frame_rate !== "0/0" ? videoStream.r_frame_rate : "";
+        if (!frameRate) log(jobLog, "⚠️ Source frame rate unknown; ffmpeg will assume 25 fps for the raw HEVC");
+
+        const x265Params = [
+            `crf=${x265Crf}`,
+            `vbv-maxrate=${vbvMaxrate}`,
+            `vbv-bufsize=${vbvBufsize}`,
+            ...DV_PROFILES[dvProfile],
+        ];
+        const sideData = videoStream?.side_data_list || [];
+        const masteringDisplay = sideData.find((sd) => sideDataType(sd).includes("mastering display"));
+        const masterDisplay = masteringDisplay ? formatMasterDisplay(masteringDisplay) : "";
+        if (masterDisplay) x265Params.push(`master-display=${masterDisplay}`);
+        const contentLight = sideData.find((sd) => sideDataType(sd).includes("content light level"));
+        if (contentLight && Number.isFinite(Number(contentLight.max_content)) && Number.isFinite(Number(contentLight.max_average))) {
+            x265Params.push(`max-cll=${Number(contentLight.max_content)},${Number(contentLight.max_average)}`);
+        }
+        x265Params.push(`dolby-vision-profile=${dvProfile}`, `dolby-vision-rpu=${rpuPath}`, "repeat-headers=1");
+
+        const decodeArgs = [
+            "-v", "error",
+            ...(frameRate ? ["-r", frameRate] : []),
+            "-i", blHevcPath,
+            "-map", "0:v:0",
+            "-fps_mode", "passthrough",
+            "-pix_fmt", "yuv420p10le",
+            "-strict", "-1",
+            "-f", "yuv4mpegpipe",
+            "-",
+        ];
+        const x265Args = [
+            "--input", "-", "--y4m",
+            "--preset", x265Preset,
+            "--output-depth", "10",
+            ...x265CliArgs(x265Params),
+            "--output", tempHevcPath,
+        ];
+
+        let outputNumber = 1;
+        let rpuFrameDelta = 0;
+        try {
+            log(jobLog, `🛠 Re-encoding with x265 (vbv-maxrate=${vbvMaxrate}, vbv-bufsize=${vbvBufsize}, DV ${dvProfile})...`);
+            log(jobLog, `📋 Command: ffmpeg ${decodeArgs.join(' ')} | ${x265Path} ${x265Args.join(' ')}`);
+            await runPipe(
+                {command: "ffmpeg", args: decodeArgs, label: "ffmpeg"},
+                {command: x265Path, args: x265Args, label: "x265"},
+            );
+
+            // Verify the encode carries one RPU per frame
+            const checkArgs = ["extract-rpu", "-i", tempHevcPath, "-o", checkRpuPath];
+            log(jobLog, `📋 Command: ${doviToolPath} ${checkArgs.join(' ')}`);
+            await runSpawn(doviToolPath, checkArgs, "dovi_tool");
+            const encodedRpuFrames = await countRpuFrames(doviToolPath, checkRpuPath, jobLog);
+            rpuFrameDelta = encodedRpuFrames - rpuFrames;
+            log(jobLog, `Encoded RPU frames: ${encodedRpuFrames} | Source RPU frames: ${rpuFrames}`);
+
+            if (rpuFrameDelta !== 0) {
+                log(jobLog, `⚠️ RPU frame count changed during encode (${rpuFrameDelta}); keeping the original HEVC`);
+                outputNumber = 2;
+            } else {
+                try {
+                    fs.renameSync(tempHevcPath, blHevcPath);
+                } catch (renameErr) {
+                    log(jobLog, `⚠️ Rename failed (${renameErr.message}), attempting copy to final path`);
+                    fs.copyFileSync(tempHevcPath, blHevcPath);
+                    fs.unlinkSync(tempHevcPath);
+                }
+                log(jobLog, "✔ Bitrate-capped DV re-encode done (output replaced original path)");
+            }
+        } catch (e) {
+            log(jobLog, `🚨 DV re-encode failed: ${e.message}`);
+            throw e;
+        } finally {
+            for (const tempPath of [tempHevcPath, checkRpuPath]) {
+                try {
+                    if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+                } catch (err) {
+                    // Best-effort cleanup
+                }
+            }
+        }
+
+        // The encode is tagged with the requested profile; on a mismatch the original HEVC stays in place
+        const profileVariables = outputNumber === 1 ? {dvProfile: 8, dvBlCompatId: Number(dvProfile.split(".")[1])} : {};
+
+        return {
+            outputFileObj: inputFileObj,
+            outputNumber,
+            variables: {...args.variables, ...profileVariables, rpuFrameDelta, videoStreamIndex: videoStream ? videoStream.index : ""},
+        };
+    };
+
+    exports.plugin = plugin;
+
+})();
@@ -0,0 +1,265 @@
+"use strict";
+
+(function () {
+
+    Object.defineProperty(exports, "__esModule", {value: true});
+    exports.plugin = exports.details = void 0;
+
+    // Profile 7 restore: dovi_tool mux of a BL with an archived EL
+    const fs = require("fs");
+    const path = require("path");
+    const {spawn} = require("child_process");
+
+    // Log helper (mirrors console + job log)
+    function log(jobLog, msg) {
+        jobLog(msg);
+        console.log(msg);
+    }
+
+    // Resolve inputs that may be wrapped in {{{ }}} to reference args.* values
+    function resolveInput(value, args) {
+        if (typeof value !== "string") return value;
+        const match = value.match(/^\{\{\{\s*(.+?)\s*\}\}\}$/);
+        if (!match) return value;
+
+        const baseExpr = match[1].trim();
+        const attempts = [baseExpr];
+
+        // Support both args.variables.user.* (old) and args.variables.* (new)
+        const userPrefixes = ["args.variables.user.", "variables.user."];
+        userPrefixes.forEach((prefix) => {
+            if (baseExpr.startsWith(prefix)) {
+                attempts.push(baseExpr.replace(prefix, prefix.replace(".user", "")));
+            }
+        });
+
+        for (const expr of attempts) {
+            try {
+                const fn = new Function("args", `return ${expr};`);
+                const resolved = fn(args);
+                if (resolved !== undefined && resolved !== null) return resolved;
+            } catch (err) {
+                console.warn(`Failed to resolve placeholder ${value} with expr "${expr}": ${err.message}`);
+            }
+        }
+
+        // Unresolved placeholders should not propagate as literal "{{{...}}}"
+        return "";
+    }
+
+    function runSpawn(command, args, label) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, args, {stdio: "pipe"});
+
+            child.on("error", (err) => {
+                reject(new Error(`Failed to start ${label}: ${err.message}`));
+            });
+
+            child.stdout.on("data", (data) => {
+                const msg = data.toString().trim();
+                if (msg) console.log(`[${label}]: ${msg}`);
+            });
+
+            child.stderr.on("data", (data) => {
+                const msg = data.toString().trim();
+                if (msg) console.warn(`[${label} ERR]: ${msg}`);
+            });
+
+            child.on("close", (code) => {
+                if (code === 0) return resolve();
+                reject(new Error(`${label} exited with code ${code}`));
+            });
+        });
+    }
+
+    const details = () => ({
+        name: "Restore Profile 7 (BL + archived EL)",
+        description: "Rebuild the original dual-layer Dolby Vision Profile 7 stream by muxing a base layer with the enhancement layer archived by Demux Profile 7.",
+        style: {borderColor: "purple"},
+        tags: "video",
+        isStartPlugin: false,
+        pType: "",
+        requiresVersion: "2.11.01",
+        sidebarPosition: 4,
+        icon: "faFilm",
+
+        inputs: [
+            {
+                label: "Dovi Tool Path",
+                name: "doviToolPath",
+                tooltip: "Required: full path to dovi_tool. Install DV Tools sets this as doviToolBin in its plugin output.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.doviToolBin}}}",
+                inputUI: {type: "directory"},
+            },
+            {
+                label: "BL HEVC Path",
+                name: "blHevcPath",
+                tooltip: "Path to the base layer stream. A converted 8.1 stream works too: its RPU is discarded and replaced by the archived EL. Leave empty to use Tdarr cache directory + <basename>.hevc.",
+                inputType: "string",
+                defaultValue: "",
+                inputUI: {type: "directory"},
+            },
+            {
+                label: "Archive Directory",
+                name: "archiveDirectory",
+                tooltip: "Required: the archive directory configured in Demux Profile 7. The EL is read from <archive>/<key>/<key>_EL.hevc.",
+                inputType: "string",
+                defaultValue: "",
+                inputUI: {type: "directory"},
+            },
+            {
+                label: "Archive Key",
+                name: "archiveKey",
+                tooltip: "Optional: archive entry name. Leave empty to use the original library file's basename, matching Demux Profile 7.",
+                inputType: "string",
+                defaultValue: "",
+                inputUI: {type: "text"},
+            },
+            {
+                label: "Discard BL Dolby Vision Data",
+                name: "discardBlDv",
+                tooltip: "Enable --discard to drop any RPU/EL NAL units already present in the BL before muxing. Keep enabled when the BL is a converted 8.1 stream. Default: enabled.",
+                inputType: "boolean",
+                defaultValue: "true",
+                inputUI: {type: "switch"},
+            },
+            {
+                label: "Output Directory",
+                name: "outputDirectory",
+                tooltip: "Optional: directory to write the restored Profile 7 stream to. Leave empty to use Tdarr cache directory.",
+                inputType: "string",
+                defaultValue: "",
+                inputUI: {type: "directory"},
+            }
+        ],
+
+        outputs: [
+            {number: 1, tooltip: "Profile 7 stream restored"},
+            {number: 2, tooltip: "No archived EL found for this file"},
+        ],
+    });
+    exports.details = details;
+
+    const plugin = async (args) => {
+        const lib = require("../../../../../methods/lib")();
+        args.inputs = lib.loadDefaultValues(args.inputs, details);
+
+        const jobLog = args.jobLog;
+        log(jobLog, "== Starting Profile 7 Restore ==");
+
+        const inputFileObj = args.inputFileObj;
+        const inputPath = inputFileObj.file;
+
+        const configuredOutputDir = (resolveInput(args.inputs.outputDirectory, args) || "").toString().trim() || "";
+        const workDir = configuredOutputDir.length > 0 ? configuredOutputDir : args.workDir;
+
+        const baseName = path.basename(inputPath, path.extname(inputPath));
+
+        const doviToolPath = (resolveInput(args.inputs.doviToolPath, args) || "").toString().trim();
+        if (!doviToolPath) {
+            log(jobLog, "🚫 Missing dovi_tool path (input: Dovi Tool Path). Set it, e.g. from Install DV Tools (doviToolBin).");
+            throw new Error("Missing dovi_tool path");
+        }
+
+        const archiveRoot = (resolveInput(args.inputs.archiveDirectory, args) || "").toString().trim();
+        if (!archiveRoot) {
+            log(jobLog, "🚫 Missing archive directory (input: Archive Directory).");
+            throw new Error("Missing archive directory");
+        }
+
+        const originalPath = args.originalLibraryFile?.file || inputPath;
+        const configuredKey = (resolveInput(args.inputs.archiveKey, args) || "").toString().trim();
+        const archiveKey = configuredKey.length > 0 ? configuredKey : path.basename(originalPath, path.extname(originalPath));
+        const archivedElPath = path.join(archiveRoot, archiveKey, `${archiveKey}_EL.hevc`);
+
+        if (!fs.existsSync(archivedElPath)) {
+            log(jobLog, `⚠️ No archived EL for "${archiveKey}" (${archivedElPath})`);
+            return {
+                outputFileObj: inputFileObj,
+                outputNumber: 2,
+                variables: args.variables
+            };
+        }
+
+        const userBlHevcPath = (resolveInput(args.inputs.blHevcPath, args) || "").toString().trim();
+        const blHevcPath =
+            userBlHevcPath.length > 0
+                ? userBlHevcPath
+                : (args.variables.blHevcPath || "").toString().trim() || path.join(args.workDir, `${baseName}.hevc`);
+
+        if (!fs.existsSync(blHevcPath)) {
+            log(jobLog, `🚫 BL stream not found: ${blHevcPath}. Run Extract HEVC first.`);
+            throw new Error("BL stream not found");
+        }
+
+        const discardBlDv = String(resolveInput(args.inputs.discardBlDv, args)) !== "false";
+
+        const dv7OutputPath = path.join(workDir, `${baseName}_DV7.hevc`);
+        const tempDv7OutputPath = path.join(workDir, `${baseName}_DV7_temp.hevc`);
+
+        log(jobLog, `Working dir (temp): ${workDir}`);
+        log(jobLog, `Base filename: ${baseName}`);
+        log(jobLog, `BL (input): ${blHevcPath}`);
+        log(jobLog, `EL (archive): ${archivedElPath}`);
+        log(jobLog, `Profile 7 Output: ${dv7OutputPath}`);
+
+        try {
+            if (!fs.existsSync(workDir)) {
+                log(jobLog, `📁 Creating temp directory: ${workDir}`);
+                fs.mkdirSync(workDir, {recursive: true});
+            }
+        } catch (err) {
+            log(jobLog, `🚨 Failed to ensure temp directory exists: ${workDir}`);
+            console.error(err);
+        }
+
+        log(jobLog, `🛠 Muxing BL with archived EL${discardBlDv ? ' (discarding BL DV data)' : ''}...`);
+        try {
+            const muxArgs = [
+                "mux",
+                "--bl", blHevcPath,
+                "--el", archivedElPath,
+            ];
+
+            if (discardBlDv) {
+                muxArgs.push("--discard");
+            }
+
+            muxArgs.push("-o", tempDv7OutputPath);
+
+            log(jobLog, `📋 Command: ${doviToolPath} ${muxArgs.join(' ')}`);
+            await runSpawn(doviToolPath, muxArgs, "dovi_tool");
+
+            try {
+                fs.renameSync(tempDv7OutputPath, dv7OutputPath);
+            } catch (renameErr) {
+                log(jobLog, `⚠️ Rename failed (${renameErr.message}), attempting copy to final path`);
+                fs.copyFileSync(tempDv7OutputPath, dv7OutputPath);
+                fs.unlinkSync(tempDv7OutputPath);
+            }
+
+            log(jobLog, "✔ Profile 7 stream restored");
+        } catch (e) {
+            log(jobLog, `🚨 Profile 7 restore failed: ${e.message}`);
+            try {
+                if (fs.existsSync(tempDv7OutputPath)) fs.unlinkSync(tempDv7OutputPath);
+            } catch (err) {
+                // Best-effort cleanup
+            }
+            throw e;
+        }
+
+        return {
+            outputFileObj: inputFileObj,
+            outputNumber: 1,
+            variables: {
+                ...args.variables,
+                dv7HevcPath: dv7OutputPath,
+            }
+        };
+    };
+
+    exports.plugin = plugin;
+
+})();
@@ -0,0 +1,383 @@
+"use strict";
+
+(function () {
+
+    Object.defineProperty(exports, "__esModule", {value: true});
+    exports.plugin = exports.details = void 0;
+
+    // ----------------------------------------
+    // Requires
+    // ----------------------------------------
+    const fs = require("fs");
+    const path = require("path");
+    const crypto = require("crypto");
+    const {spawn} = require("child_process");
+    const {selectVideoStream} = require("../../../../LocalFlowHelpers/videoStream/1.0.0/index");
+
+    // ----------------------------------------
+    // Logging helper
+    // ----------------------------------------
+    function log(jobLog, msg) {
+        jobLog(msg);
+        console.log(msg);
+    }
+
+    // Resolve inputs that may be wrapped in {{{ }}} to reference args.* values
+    function resolveInput(value, args) {
+        if (typeof value !== "string") return value;
+        const match = value.match(/^\{\{\{\s*(.+?)\s*\}\}\}$/);
+        if (!match) return value;
+
+        const baseExpr = match[1].trim();
+        const attempts = [baseExpr];
+
+        // Support both args.variables.user.* (old) and args.variables.* (new)
+        const userPrefixes = ["args.variables.user.", "variables.user."];
+        userPrefixes.forEach((prefix) => {
+            if (baseExpr.startsWith(prefix)) {
+                attempts.push(baseExpr.replace(prefix, prefix.replace(".user", "")));
+            }
+        });
+
+        for (const expr of attempts) {
+            try {
+                const fn = new Function("args", `return ${expr};`);
+                const resolved = fn(args);
+                if (resolved !== undefined && resolved !== null) return resolved;
+            } catch (err) {
+                console.warn(`Failed to resolve placeholder ${value} with expr "${expr}": ${err.message}`);
+            }
+        }
+
+        // Unresolved placeholders should not propagate as literal "{{{...}}}"
+        return "";
+    }
+
+    // ----------------------------------------
+    // Process helpers
+    // ----------------------------------------
+    function runSpawn(command, args) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, args, {stdio: "pipe"});
+            let stderr = "";
+            child.on("error", (err) => reject(new Error(`Failed to start ${command}: ${err.message}`)));
+            child.stdout.on("data", (data) => {
+                const msg = data.toString().trim();
+                if (msg) console.log(`[dovi_tool]: ${msg}`);
+            });
+            child.stderr.on("data", (data) => { stderr += data.toString(); });
+            child.on("close", (code) => {
+                if (code === 0) return resolve();
+                reject(new Error(`${command} exited with code ${code}: ${stderr.trim().split("\n").pop()}`));
+            });
+        });
+    }
+
+    function runPipe(producer, consumer) {
+        return new Promise((resolve, reject) => {
+            const first = spawn(producer.command, producer.args, {stdio: ["ignore", "pipe", "pipe"]});
+            const second = spawn(consumer.command, consumer.args, {stdio: ["pipe", "pipe", "pipe"]});
+
+            let failed = false;
+            const fail = (err) => {
+                if (failed) return;
+                failed = true;
+                first.kill();
+                second.kill();
+                reject(err);
+            };
+
+            // ffmpeg can log for the whole film (e.g. repeated demuxer warnings); only the tail is useful
+            const tail = (text, data) => (text + data.toString()).slice(-65536);
+            let firstErr = "";
+            let secondErr = "";
+            first.stderr.on("data", (data) => { firstErr = tail(firstErr, data); });
+            second.stderr.on("data", (data) => { secondErr = tail(secondErr, data); });
+            second.stdout.on("data", (data) => {
+                const msg = data.toString().trim();
+                if (msg) console.log(`[${consumer.label}]: ${msg}`);
+            });
+
+            first.on("error", (err) => fail(new Error(`Failed to start ${producer.label}: ${err.message}`)));
+            second.on("error", (err) => fail(new Error(`Failed to start ${consumer.label}: ${err.message}`)));
+            // EPIPE when the consumer exits early is reported through its exit code instead
+            second.stdin.on("error", () => {});
+            first.stdout.pipe(second.stdin);
+
+            let pending = 2;
+            const done = (label, errText) => (code) => {
+                if (code !== 0) return fail(new Error(`${label} exited with code ${code}: ${errText().trim().split(/[\r\n]+/).pop()}`));
+                if (--pending === 0) resolve();
+            };
+            first.on("close", done(producer.label, () => firstErr));
+            second.on("close", done(consumer.label, () => secondErr));
+        });
+    }
+
+    // ----------------------------------------
+    // RPU extraction and hashing
+    // ----------------------------------------
+    const RAW_HEVC_EXTENSIONS = [".hevc", ".h265", ".265"];
+
+    // RPU binaries are used as they are; raw HEVC goes straight to dovi_tool, containers through ffmpeg
+    async function extractRpu(doviToolPath, sourcePath, mapSpec, rpuPath, jobLog) {
+        const ext = path.extname(sourcePath).toLowerCase();
+        if (ext === ".bin") return sourcePath;
+
+        const extractArgs = ["extract-rpu", RAW_HEVC_EXTENSIONS.includes(ext) ? sourcePath : "-", "-o", rpuPath];
+        if (RAW_HEVC_EXTENSIONS.includes(ext)) {
+            log(jobLog, `📋 Command: ${doviToolPath} ${extractArgs.join(' ')}`);
+            await runSpawn(doviToolPath, extractArgs);
+        } else {
+            const ffmpegArgs = [
+                "-v", "error",
+                "-i", sourcePath,
+                "-map", mapSpec,
+                "-c:v", "copy",
+                "-bsf:v", "hevc_mp4toannexb",
+                "-f", "hevc",
+                "-",
+            ];
+            log(jobLog, `📋 Command: ffmpeg ${ffmpegArgs.join(' ')} | ${doviToolPath} ${extractArgs.join(' ')}`);
+            await runPipe(
+                {command: "ffmpeg", args: ffmpegArgs, label: "ffmpeg"},
+                {command: doviToolPath, args: extractArgs, label: "dovi_tool"},
+            );
+        }
+        if (!fs.existsSync(rpuPath)) throw new Error(`dovi_tool wrote no RPU for ${sourcePath}`);
+        return rpuPath;
+    }
+
+    // dovi_tool writes every frame's RPU as one NAL behind a 4-byte start code, in display order.
+    // The file is streamed so feature-length RPUs (tens of MB) never sit in memory whole.
+    const START_CODE = Buffer.from([0, 0, 0, 1]);
+
+    async function hashRpuFrames(rpuPath) {
+        const hashes = [];
+        const push = (nal) => {
+            if (nal.length) hashes.push(crypto.createHash("md5").update(nal).digest("hex"));
+        };
+
+        let pending = Buffer.alloc(0);
+        for await (const chunk of fs.createReadStream(rpuPath, {highWaterMark: 1024 * 1024})) {
+            pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+            let next = pending.indexOf(START_CODE, START_CODE.length);
+            while (next !== -1) {
+                push(pending.subarray(START_CODE.length, next));
+                pending = pending.subarray(next);
+                next = pending.indexOf(START_CODE, START_CODE.length);
+            }
+        }
+        push(pending.subarray(START_CODE.length));
+        return hashes;
+    }
+
+    // A dropped or duplicated frame shifts everything after it. Look for the smallest offset that
+    // realigns the next few frames; within a static shot several offsets can fit, so it is only a hint.
+    const MAX_SHIFT_FRAMES = 120;
+    const SHIFT_WINDOW_FRAMES = 48;
+
+    function findShift(output, reference, from) {
+        const window = Math.min(SHIFT_WINDOW_FRAMES, output.length - from);
+        if (window <= 0) return 0;
+        for (let distance = 1; distance <= MAX_SHIFT_FRAMES; distance++) {
+            for (const shift of [distance, -distance]) {
+                if (from + shift < 0 || from + shift + window > reference.length) continue;
+                let aligned = true;
+                for (let j = 0; j < window && aligned; j++) {
+                    aligned = output[from + j] === reference[from + shift + j];
+                }
+                if (aligned) return shift;
+            }
+        }
+        return 0;
+    }
+
+    function compareFrames(output, reference) {
+        const common = Math.min(output.length, reference.length);
+        let firstMismatch = -1;
+        let mismatched = 0;
+        for (let i = 0; i < common; i++) {
+            if (output[i] === reference[i]) continue;
+            if (firstMismatch === -1) firstMismatch = i;
+            mismatched++;
+        }
+        // Equal up to the shorter one but different lengths: the RPU was truncated or padded
+        if (firstMismatch === -1 && output.length !== reference.length) firstMismatch = common;
+        return {
+            firstMismatch,
+            mismatched,
+            shift: firstMismatch !== -1 && firstMismatch < common ? findShift(output, reference, firstMismatch) : 0,
+        };
+    }
+
+    // ----------------------------------------
+    // Plugin Details
+    // ----------------------------------------
+    const details = () => ({
+        name: "Verify RPU Round Trip",
+        description: "Extracts the Dolby Vision RPU back out of the finished MP4/MKV and compares it frame by frame (per-frame hashes) with the RPU that was injected or converted.",
+        style: {borderColor: "purple"},
+        tags: "video",
+        isStartPlugin: false,
+        pType: "",
+        requiresVersion: "2.11.01",
+        sidebarPosition: 4,
+        icon: "faBolt",
+
+        inputs: [
+            {
+                label: "Dovi Tool Path",
+                name: "doviToolPath",
+                tooltip:
+                    "Required: full path to dovi_tool. Install DV Tools sets this as doviToolBin in its plugin output.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.doviToolBin}}}",
+                inputUI: {type: "directory"},
+            },
+            {
+                label: "File Path",
+                name: "filePath",
+                tooltip:
+                    "Finished file to check. Leave empty to use the current working file, which is the MP4/MKV right after a build plugin. {{{args.variables.generatedMp4Path}}} and {{{args.variables.generatedMkvPath}}} also work.",
+                inputType: "string",
+                defaultValue: "",
+                inputUI: {type: "directory"},
+            },
+            {
+                label: "Reference RPU Path",
+                name: "referencePath",
+                tooltip:
+                    "RPU the file should carry: an RPU binary (.bin), or a raw HEVC / container whose RPU is extracted first. Leave empty to use Tdarr cache <basename>_RPU.bin, falling back to <basename>.hevc (e.g. after Convert HEVC). Use {{{args.originalLibraryFile.file}}} when the video was copied from the source (Build DV8.1 MP4 (FFmpeg)). The build plugin must run with Delete Sources After Remux off so these are still there.",
+                inputType: "string",
+                defaultValue: "",
+                inputUI: {type: "directory"},
+            },
+            {
+                label: "Video Stream Index",
+                name: "videoStreamIndex",
+                tooltip: "ffprobe index of the video stream to use. Defaults to the stream chosen by an earlier plugin (videoStreamIndex). Leave empty to select automatically: cover art and still images are skipped, then the highest resolution, longest and default-flagged stream wins.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.videoStreamIndex}}}",
+                inputUI: {type: "text"},
+            },
+        ],
+
+        outputs: [
+            {number: 1, tooltip: "Every frame's RPU matches the reference"},
+            {number: 2, tooltip: "RPU missing, truncated, shifted or altered (first divergent frame is logged)"},
+        ],
+    });
+    exports.details = details;
+
+    // ----------------------------------------
+    // Plugin Entrypoint
+    // ----------------------------------------
+    const plugin = async (args) => {
+        const lib = require("../../../../../methods/lib")();
+        args.inputs = lib.loadDefaultValues(args.inputs, details);
+
+        const jobLog = args.jobLog;
+        log(jobLog, "== Starting Verify RPU Round Trip ==");
+
+        const inputFileObj = args.inputFileObj;
+        const inputPath = inputFileObj.file;
+        const baseName = path.basename(inputPath, path.extname(inputPath));
+
+        const doviToolPath = (resolveInput(args.inputs.doviToolPath, args) || "").toString().trim();
+        if (!doviToolPath) {
+            log(jobLog, "🚫 Missing dovi_tool path (input: Dovi Tool Path). Set it, e.g. from Install DV Tools (doviToolBin).");
+            throw new Error("Missing dovi_tool path");
+        }
+
+        const filePath = (resolveInput(args.inputs.filePath, args) || "").toString().trim() || inputPath;
+        if (!fs.existsSync(filePath)) {
+            log(jobLog, `🚫 File not found: ${filePath}`);
+            throw new Error("File to verify missing");
+        }
+
+        const userReferencePath = (resolveInput(args.inputs.referencePath, args) || "").toString().trim();
+        const referencePath = userReferencePath ||
+            [path.join(args.workDir, `${baseName}_RPU.bin`), path.join(args.workDir, `${baseName}.hevc`)].find((p) => fs.existsSync(p)) || "";
+        if (!referencePath || !fs.existsSync(referencePath)) {
+            log(jobLog, `🚫 Reference RPU not found: ${referencePath || `${baseName}_RPU.bin / ${baseName}.hevc in the cache`}. Keep the build plugin's sources or set Reference RPU Path.`);
+            throw new Error("Reference RPU missing");
+        }
+
+        // Only the working file has probe data here; other files are taken at their first video stream
+        const videoStream = path.resolve(filePath) === path.resolve(inputPath)
+            ? selectVideoStream(inputFileObj?.ffProbeData?.streams, resolveInput(args.inputs.videoStreamIndex, args), jobLog)
+            : null;
+        const mapSpec = videoStream ? `0:${videoStream.index}` : "0:v:0";
+
+        const outputRpuPath = path.join(args.workDir, `${baseName}_roundtrip_RPU.bin`);
+        const referenceRpuPath = path.join(args.workDir, `${baseName}_roundtrip_reference_RPU.bin`);
+
+        log(jobLog, `File: ${filePath}`);
+        log(jobLog, `Reference: ${referencePath}`);
+
+        const result = (matched, firstMismatch, shift) => ({
+            outputFileObj: inputFileObj,
+            outputNumber: matched ? 1 : 2,
+            variables: {
+                ...args.variables,
+                rpuRoundTripMatch: matched,
+                rpuRoundTripFirstMismatch: firstMismatch,
+                rpuRoundTripShift: shift,
+                videoStreamIndex: videoStream ? videoStream.index : args.variables?.videoStreamIndex,
+            },
+        });
+
+        try {
+            // 1. RPUs of the finished file and the reference
+            log(jobLog, "🛠 Extracting RPU from the finished file...");
+            try {
+                await extractRpu(doviToolPath, filePath, mapSpec, outputRpuPath, jobLog);
+            } catch (err) {
+                if (err.message.startsWith("Failed to start")) throw err;
+                // dovi_tool refuses streams without RPUs, which is itself a failed round trip
+                log(jobLog, `🚫 No RPU could be extracted from the finished file: ${err.message} → output 2`);
+                return result(false, 0, "");
+            }
+            const referenceRpu = await extractRpu(doviToolPath, referencePath, "0:v:0", referenceRpuPath, jobLog);
+
+            // 2. Per-frame hashes
+            const outputHashes = await hashRpuFrames(outputRpuPath);
+            const referenceHashes = await hashRpuFrames(referenceRpu);
+            log(jobLog, `Frames: file=${outputHashes.length}, reference=${referenceHashes.length}`);
+
+            // 3. Compare
+            const {firstMismatch, mismatched, shift} = compareFrames(outputHashes, referenceHashes);
+            if (firstMismatch === -1) {
+                log(jobLog, `✔ All ${outputHashes.length} RPU frames match the reference`);
+                return result(true, "", "");
+            }
+
+            const common = Math.min(outputHashes.length, referenceHashes.length);
+            if (firstMismatch === common) {
+                const delta = outputHashes.length - referenceHashes.length;
+                log(jobLog, `🚫 RPU frames match up to frame ${common}, then the file has ${Math.abs(delta)} frame(s) ${delta < 0 ? "fewer (truncated)" : "more"} than the reference → output 2`);
+            } else {
+                log(jobLog, `🚫 First divergent RPU frame: ${firstMismatch} (0-based); ${mismatched} of ${common} compared frames differ → output 2`);
+                if (shift) {
+                    log(jobLog, `⚠️ RPU looks shifted by ${shift} frame(s): file frame ${firstMismatch} matches reference frame ${firstMismatch + shift}`);
+                }
+            }
+            return result(false, firstMismatch, shift || "");
+        } catch (e) {
+            log(jobLog, `🚨 RPU round-trip check failed: ${e.message}`);
+            throw e;
+        } finally {
+            for (const tmpFile of [outputRpuPath, referenceRpuPath]) {
+                try {
+                    if (fs.existsSync(tmpFile)) fs.unlinkSync(tmpFile);
+                } catch (err) {
+                    // Best-effort cleanup
+                }
+            }
+        }
+    };
+
+    exports.plugin = plugin;
+
+})();  // END WRAPPER
@@ -0,0 +1,488 @@
+"use strict";
+
+(function () {
+
+    Object.defineProperty(exports, "__esModule", {value: true});
+    exports.plugin = exports.details = void 0;
+
+    /**
+     * Final mkvmerge DV8.1 Remux Plugin (Async Spawn)
+     * - Reads audio.exports + subtitles.exports metadata
+     * - Carries default/forced/hearing-impaired/visual-impaired/commentary as Matroska track flags
+     * - Checks the Dolby Vision configuration record (BlockAdditionMapping) survived the remux
+     */
+
+    const fs = require("fs");
+    const path = require("path");
+    const {spawn} = require("child_process");
+    const {selectVideoStream} = require("../../../../LocalFlowHelpers/videoStream/1.0.0/index");
+
+    // Log helper (mirrors console + job log)
+    function log(jobLog, msg) {
+        jobLog(msg);
+        console.log(msg);
+    }
+
+    // Resolve inputs that may be wrapped in {{{ }}} to reference args.* values
+    function resolveInput(value, args) {
+        if (typeof value !== "string") return value;
+        const match = value.match(/^\{\{\{\s*(.+?)\s*\}\}\}$/);
+        if (!match) return value;
+
+        const baseExpr = match[1].trim();
+        const attempts = [baseExpr];
+
+        // Support both args.variables.user.* (old) and args.variables.* (new)
+        const userPrefixes = ["args.variables.user.", "variables.user."];
+        userPrefixes.forEach((prefix) => {
+            if (baseExpr.startsWith(prefix)) {
+                attempts.push(baseExpr.replace(prefix, prefix.replace(".user", "")));
+            }
+        });
+
+        for (const expr of attempts) {
+            try {
+                const fn = new Function("args", `return ${expr};`);
+                const resolved = fn(args);
+                if (resolved !== undefined && resolved !== null) return resolved;
+            } catch (err) {
+                console.warn(`Failed to resolve placeholder ${value} with expr "${expr}": ${err.message}`);
+            }
+        }
+
+        // Unresolved placeholders should not propagate as literal "{{{...}}}"
+        return "";
+    }
+
+    // Build a sensible audio title when none was supplied in the manifest
+    function buildAudioTitle(title, lang, codec) {
+        const cleaned = (title || "").trim();
+        if (cleaned) return cleaned;
+
+        const langPart = (lang || "").trim();
+        const prettyLang = langPart ? langPart.toUpperCase() : "Audio";
+        const labelMap = {
+            eac3: "Dolby Digital Plus",
+            ac3: "Dolby Digital",
+            truehd: "TrueHD",
+            dts: "DTS",
+            flac: "FLAC",
+            aac: "AAC"
+        };
+        const codecLabel = labelMap[(codec || "").toLowerCase()] || (codec ? codec.toUpperCase() : "");
+        return codecLabel ? `${prettyLang} - ${codecLabel}` : prettyLang;
+    }
+
+    // "24000/1001" → {num, den, value}; null for missing or "0/0"
+    function parseRational(rate) {
+        const [num, den] = String(rate || "").split("/").map(Number);
+        if (!num || !Number.isFinite(num)) return null;
+        const d = den && Number.isFinite(den) ? den : 1;
+        return {num, den: d, value: num / d};
+    }
+
+    // Raw HEVC has no container timing, so mkvmerge needs the source rate. A real (r_frame_rate) rate that
+    // disagrees with the average rate, or MediaInfo reporting VFR, means one fixed fps cannot describe the timing.
+    const FRAME_RATE_TOLERANCE = 0.0005;
+
+    function resolveFrameRate(videoStream, mediaInfo) {
+        const real = parseRational(videoStream?.r_frame_rate);
+        const avg = parseRational(videoStream?.avg_frame_rate);
+        const rate = real || avg;
+
+        const mediaInfoVideo = (mediaInfo?.track || []).find((t) => t["@type"] === "Video" &&
+            (t.StreamOrder === undefined || String(t.StreamOrder) === String(videoStream?.index)));
+        const mediaInfoVfr = String(mediaInfoVideo?.FrameRate_Mode || "").toUpperCase() === "VFR";
+        const ratesDiffer = Boolean(real && avg) && Math.abs(real.value - avg.value) / real.value > FRAME_RATE_TOLERANCE;
+
+        // mkvmerge takes the rate as frames per second with a "p" suffix ("24000/1001p")
+        return {
+            fps: rate ? (rate.den === 1 ? `${rate.num}p` : `${rate.num}/${rate.den}p`) : "",
+            real: videoStream?.r_frame_rate || "",
+            avg: videoStream?.avg_frame_rate || "",
+            variable: mediaInfoVfr || ratesDiffer,
+        };
+    }
+
+    const HEAD_SCAN_BYTES = 8 * 1024 * 1024;
+
+    // An HEVC carrying DV has an RPU NAL (type 62, header 7C 01) on every frame, so the head is enough
+    function hasRpuNal(hevcPath) {
+        const fd = fs.openSync(hevcPath, "r");
+        try {
+            const buf = Buffer.alloc(Math.min(HEAD_SCAN_BYTES, fs.fstatSync(fd).size));
+            const bytesRead = fs.readSync(fd, buf, 0, buf.length, 0);
+            for (let i = 0; i + 4 < bytesRead; i++) {
+                if (buf[i] === 0 && buf[i + 1] === 0 && buf[i + 2] === 1 && buf[i + 3] === 0x7c && buf[i + 4] === 0x01) return true;
+            }
+            return false;
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    function findDoviConfig(videoStream) {
+        const dvSide = (videoStream?.side_data_list || []).find((sd) => typeof sd?.dv_profile !== "undefined");
+        if (!dvSide) return null;
+        return {
+            profile: Number(dvSide.dv_profile),
+            compatId: Number(dvSide.dv_bl_signal_compatibility_id) || 0,
+        };
+    }
+
+    const formatDvProfile = (dv) => (dv.profile === 5 ? "5" : `${dv.profile}.${dv.compatId}`);
+
+    function runCapture(command, cmdArgs, label) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, cmdArgs, {stdio: "pipe"});
+            let stdout = "";
+            let stderr = "";
+            child.on("error", (err) => reject(new Error(`Failed to start ${label}: ${err.message}`)));
+            child.stdout.on("data", (data) => { stdout += data.toString(); });
+            child.stderr.on("data", (data) => { stderr += data.toString(); });
+            child.on("close", (code) => {
+                if (code === 0) return resolve(stdout);
+                reject(new Error(`${label} exited with code ${code}: ${stderr.trim()}`));
+            });
+        });
+    }
+
+    // mkvmerge exits 1 when it only printed warnings; the file is still complete
+    function runMkvmerge(mkvmergePath, args, jobLog) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(mkvmergePath, args, {stdio: "pipe"});
+
+            child.on("error", (err) => {
+                reject(new Error(`Failed to start mkvmerge (${mkvmergePath}): ${err.message}`));
+            });
+
+            child.stdout.on("data", (data) => {
+                console.log(`[mkvmerge] ${data.toString().trim()}`);
+            });
+
+            child.stderr.on("data", (data) => {
+                console.log(`[mkvmerge] ${data.toString().trim()}`);
+            });
+
+            child.on("close", (code) => {
+                if (code === 0) return resolve();
+                if (code === 1) {
+                    log(jobLog, "⚠️ mkvmerge finished with warnings (see the console log)");
+                    return resolve();
+                }
+                reject(new Error(`mkvmerge exited with code ${code}`));
+            });
+        });
+    }
+
+    const flag = (value) => (value ? "0:yes" : "0:no");
+
+    const details = () => ({
+        name: "Build DV8.1 MKV",
+        description: "Remux the BL (DV 8.1/8.2/8.4/5, or plain HEVC), audio, and subtitles into MKV via mkvmerge, keeping the Dolby Vision configuration record and the track flags.",
+        style: {borderColor: "purple"},
+        tags: "video",
+        isStartPlugin: false,
+        pType: "",
+        requiresVersion: "2.11.01",
+        sidebarPosition: 9,
+        icon: "faFilm",
+        inputs: [
+            {
+                label: "BL DV8.1 HEVC Path",
+                name: "blDv81HevcPath",
+                tooltip: "Path to BL DV8.1 HEVC file (e.g., from Convert HEVC). Leave empty to use Tdarr cache directory + <basename>.hevc.",
+                inputType: "string",
+                defaultValue: "",
+                inputUI: { type: "directory" },
+            },
+            {
+                label: "Audio Exports Path",
+                name: "audioExportsPath",
+                tooltip: "Path to audio exports manifest (from Extract Audio Tracks). Leave empty to use Tdarr cache directory + <basename>_audio.exports.",
+                inputType: "string",
+                defaultValue: "",
+                inputUI: { type: "directory" },
+            },
+            {
+                label: "Subtitle Exports Path",
+                name: "subtitleExportsPath",
+                tooltip: "Path to subtitle exports manifest (optional). Leave empty to use Tdarr cache directory + <basename>_subtitles.exports.",
+                inputType: "string",
+                defaultValue: "",
+                inputUI: { type: "directory" },
+            },
+            {
+                label: "mkvmerge Path",
+                name: "mkvmergePath",
+                tooltip: "Full path to mkvmerge executable (Install DV Tools sets this).",
+                inputType: "string",
+                defaultValue: "{{{args.variables.mkvmergeBin}}}",
+                inputUI: { type: "directory" },
+            },
+            {
+                label: "Delete Sources After Remux",
+                name: "deleteSourcesAfterRemux",
+                tooltip: "Delete the source files used to build the MKV after remux completes (BL HEVC, audio/subtitle exports and tracks).",
+                inputType: "boolean",
+                defaultValue: "true",
+                inputUI: { type: "switch" },
+            },
+            {
+                label: "Video Stream Index",
+                name: "videoStreamIndex",
+                tooltip: "ffprobe index of the video stream to use. Defaults to the stream chosen by an earlier plugin (videoStreamIndex). Leave empty to select automatically: cover art and still images are skipped, then the highest resolution, longest and default-flagged stream wins.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.videoStreamIndex}}}",
+                inputUI: { type: "text" },
+            },
+        ],
+        outputs: [
+            {number: 1, tooltip: "Continue to next step"},
+            {number: 2, tooltip: "Source is variable frame rate; no MKV built (the raw HEVC would be timed at a single fixed rate)"},
+        ],
+    });
+    exports.details = details;
+
+    const plugin = async (args) => {
+        const lib = require("../../../../../methods/lib")();
+        args.inputs = lib.loadDefaultValues(args.inputs, details);
+
+        const jobLog = args.jobLog;
+        log(jobLog, "=== Final DV8.1 mkvmerge Remux Start (Async) ===");
+
+        const inputFileObj = args.inputFileObj;
+        const inputPath = inputFileObj.file;
+        const baseName = path.basename(inputPath, path.extname(inputPath));
+        const workDir = args.workDir;
+
+        const blHevc = (resolveInput(args.inputs.blDv81HevcPath, args)?.toString().trim()) || path.join(workDir, `${baseName}.hevc`);
+        const audioExportsFile = (resolveInput(args.inputs.audioExportsPath, args)?.toString().trim()) || path.join(workDir, `${baseName}_audio.exports`);
+
+        const userSubtitleExportsInput = (resolveInput(args.inputs.subtitleExportsPath, args) || "").toString().trim() || "";
+        const subtitleExportsFile = userSubtitleExportsInput.length > 0
+            ? userSubtitleExportsInput
+            : path.join(workDir, `${baseName}_subtitles.exports`);
+
+        const mkvmergePath = (resolveInput(args.inputs.mkvmergePath, args) || "").toString().trim();
+
+        if (!mkvmergePath) {
+            log(jobLog, "🚫 Missing mkvmerge path (input: mkvmerge Path).");
+            return {outputFileObj: inputFileObj, outputNumber: 1, variables: args.variables};
+        }
+
+        if (!fs.existsSync(blHevc)) {
+            log(jobLog, `🚫 BL DV8.1 video not found: ${blHevc}`);
+            return {outputFileObj: inputFileObj, outputNumber: 1, variables: args.variables};
+        }
+
+        if (!fs.existsSync(audioExportsFile)) {
+            log(jobLog, `🚫 Audio exports not found: ${audioExportsFile}`);
+            return {outputFileObj: inputFileObj, outputNumber: 1, variables: args.variables};
+        }
+
+        const subtitleExists = subtitleExportsFile && fs.existsSync(subtitleExportsFile);
+        if (userSubtitleExportsInput && !subtitleExists) {
+            log(jobLog, `⚠ Subtitle exports path provided but file not found: ${subtitleExportsFile}`);
+        }
+
+        // --- Frame rate: taken from the source, since the raw HEVC carries no timing ---
+        const streams = inputFileObj?.ffProbeData?.streams || [];
+        const videoStream = selectVideoStream(streams, resolveInput(args.inputs.videoStreamIndex, args), jobLog);
+        const frameRate = resolveFrameRate(videoStream, inputFileObj?.mediaInfo);
+        log(jobLog, `🎞 Frame rate: r_frame_rate=${frameRate.real || "unknown"} | avg_frame_rate=${frameRate.avg || "unknown"}`);
+
+        if (frameRate.variable) {
+            log(jobLog, "🚫 Source is variable frame rate; mkvmerge would time the raw HEVC at a single fixed rate and drift against the audio → output 2");
+            return {
+                outputFileObj: inputFileObj,
+                outputNumber: 2,
+                variables: {...args.variables, videoFrameRate: "", videoStreamIndex: videoStream ? videoStream.index : ""},
+            };
+        }
+        if (!frameRate.fps) {
+            log(jobLog, "⚠️ Source frame rate unknown; mkvmerge will use the HEVC VUI timing or its default rate");
+        }
+
+        const rpuPresent = hasRpuNal(blHevc);
+        log(jobLog, `🎬 Video: ${rpuPresent ? "Dolby Vision RPUs found" : "plain HEVC (no Dolby Vision RPUs)"}`);
+
+        const audioLines = fs.readFileSync(audioExportsFile, "utf-8").trim().split("\n").filter(Boolean);
+        const subtitleLines = subtitleExists
+            ? fs.readFileSync(subtitleExportsFile, "utf-8").trim().split("\n").filter(Boolean)
+            : [];
+        const deleteSources = String(resolveInput(args.inputs.deleteSourcesAfterRemux, args)) === "true";
+
+        const audioBaseDir = path.dirname(audioExportsFile);
+        const subBaseDir = subtitleExists ? path.dirname(subtitleExportsFile) : workDir;
+
+        // The working file may itself be <basename>.mkv in the cache; never write over the input
+        let outputFile = path.join(workDir, `${baseName}.mkv`);
+        if (path.resolve(outputFile) === path.resolve(inputPath)) {
+            outputFile = path.join(workDir, `${baseName}_DV.mkv`);
+        }
+        const tempOutput = path.join(workDir, `${baseName}_MKV_temp.mkv`);
+
+        // Build mkvmerge args list; options apply to the file that follows them, track 0 in each
+        const mkvArgs = ["-o", tempOutput];
+
+        // --- Video Track ---
+        // mkvmerge writes the DOVI configuration record from the RPUs on its own
+        if (frameRate.fps) mkvArgs.push("--default-duration", `0:${frameRate.fps}`);
+        mkvArgs.push("--default-track-flag", "0:yes", blHevc);
+
+        // --- Audio Tracks ---
+        // Manifest format: file|id|newCodec|origCodec|delay|lang|title, id = ffprobe audio index
+        // The manifest carries no flags, so they come from the source audio stream dispositions
+        const sourceAudio = streams.filter((s) => s.codec_type === "audio");
+        const audioEntries = audioLines.map((line) => {
+            const [filename, id, newCodec, origCodec, delay, lang, title] = line.split("|");
+            return {filename, newCodec, origCodec, delay, lang, title, disposition: sourceAudio[Number(id)]?.disposition || {}};
+        });
+        // Keep one default audio track: the source's default if it was exported, else the first
+        const hasDefaultAudio = audioEntries.some((e) => Number(e.disposition.default) === 1);
+
+        audioEntries.forEach((entry, i) => {
+            const {filename, newCodec, origCodec, delay, lang, title, disposition} = entry;
+            const filePath = path.join(audioBaseDir, filename);
+
+            const delaySeconds = parseFloat(delay || 0);
+            const delayMs = Math.round(delaySeconds * 1000);
+
+            const isConverted = newCodec !== origCodec;
+            const convMark = isConverted ? " (Converted)" : "";
+            const isDefault = hasDefaultAudio ? Number(disposition.default) === 1 : i === 0;
+            const isComment = Number(disposition.comment) === 1;
+            const hearingImpaired = Number(disposition.hearing_impaired) === 1;
+            const visualImpaired = Number(disposition.visual_impaired) === 1;
+
+            if (lang) mkvArgs.push("--language", `0:${lang}`);
+            mkvArgs.push("--track-name", `0:${buildAudioTitle(title, lang, newCodec)}${convMark}`);
+            mkvArgs.push("--default-track-flag", flag(isDefault));
+            mkvArgs.push("--commentary-flag", flag(isComment));
+            mkvArgs.push("--hearing-impaired-flag", flag(hearingImpaired));
+            mkvArgs.push("--visual-impaired-flag", flag(visualImpaired));
+            if (delayMs !== 0) mkvArgs.push("--sync", `0:${delayMs}`);
+            mkvArgs.push(filePath);
+
+            const delayInfo = delayMs !== 0 ? ` | delay=${delaySeconds.toFixed(3)}s (${delayMs}ms)` : "";
+            log(jobLog, `🎧 Audio: ${filename} | lang=${lang} | converted=${isConverted} | default=${isDefault} | comment=${isComment} | HI=${hearingImpaired} | VI=${visualImpaired}${delayInfo}`);
+        });
+
+        // --- Subtitle Tracks ---
+        // Manifest order from extractAllSubtitles determines track order (default subtitle is first)
+        // Manifest format: file|index|lang|codec|delay|forced|title|hearing_impaired|visual_impaired|default|comment
+        // Originals kept by extractAllSubtitles (PGS, ASS, ...) are muxed as they are
+        subtitleLines.forEach((line) => {
+            const [filename, , lang, codec, delay, forced, title, hearingImpaired, visualImpaired, isDefault, isComment] = line.split("|");
+            const subPath = path.join(subBaseDir, filename);
+
+            const delaySeconds = parseFloat(delay || 0);
+            const delayMs = Math.round(delaySeconds * 1000);
+
+            // Image subtitles that were OCR'd to SRT keep a hint in the name, like the MP4 builder
+            const codecLower = (codec || "").toLowerCase();
+            const isOcr = (codecLower.includes("pgs") || codecLower.includes("hdmv")) && path.extname(filename).toLowerCase() === ".srt";
+            const baseTitle = title || (lang ? lang.toUpperCase() : "Subtitle");
+            const convMark = isOcr && !/\bocr\b/i.test(baseTitle) ? " (OCR)" : "";
+
+            if (lang) mkvArgs.push("--language", `0:${lang}`);
+            mkvArgs.push("--track-name", `0:${baseTitle}${convMark}`);
+            mkvArgs.push("--default-track-flag", flag(isDefault === "1"));
+            mkvArgs.push("--forced-display-flag", flag(forced === "1"));
+            mkvArgs.push("--commentary-flag", flag(isComment === "1"));
+            mkvArgs.push("--hearing-impaired-flag", flag(hearingImpaired === "1"));
+            mkvArgs.push("--visual-impaired-flag", flag(visualImpaired === "1"));
+            if (delayMs !== 0) mkvArgs.push("--sync", `0:${delayMs}`);
+            mkvArgs.push(subPath);
+
+            const delayInfo = delayMs !== 0 ? ` | delay=${delaySeconds.toFixed(3)}s (${delayMs}ms)` : "";
+            log(jobLog, `💬 Subtitle: ${filename} | lang=${lang} | OCR=${isOcr} | forced=${forced === "1"} | HI=${hearingImpaired === "1"} | VI=${visualImpaired === "1"} | default=${isDefault === "1"} | comment=${isComment === "1"}${delayInfo}`);
+        });
+
+        log(jobLog, `📋 Command: ${mkvmergePath} ${mkvArgs.join(" ")}`);
+
+        try {
+            await runMkvmerge(mkvmergePath, mkvArgs, jobLog);
+        } catch (err) {
+            log(jobLog, `🚨 mkvmerge remux FAILED: ${err.message}`);
+            try {
+                if (fs.existsSync(tempOutput)) fs.unlinkSync(tempOutput);
+            } catch (_) {
+                // Best-effort cleanup
+            }
+            throw err;
+        }
+
+        // --- Dolby Vision configuration record ---
+        // TVs only switch to DV when the track has the DOVI BlockAdditionMapping, which ffprobe reports as side data
+        let dv = null;
+        if (rpuPresent) {
+            const probeArgs = ["-v", "error", "-select_streams", "v:0", "-show_streams", "-of", "json", tempOutput];
+            log(jobLog, `📋 Command: ffprobe ${probeArgs.join(" ")}`);
+            const probe = JSON.parse(await runCapture("ffprobe", probeArgs, "ffprobe") || "{}");
+            dv = findDoviConfig(probe.streams?.[0]);
+            if (!dv) {
+                log(jobLog, "🚨 MKV has no Dolby Vision configuration record although the HEVC carries RPUs; players would show the base layer only");
+                try {
+                    fs.unlinkSync(tempOutput);
+                } catch (_) {
+                    // Best-effort cleanup
+                }
+                throw new Error("Dolby Vision configuration record missing from the MKV (mkvmerge too old?)");
+            }
+            log(jobLog, `✔ Dolby Vision configuration record: Profile ${formatDvProfile(dv)}`);
+        }
+
+        fs.renameSync(tempOutput, outputFile);
+        log(jobLog, `🎉 SUCCESS — MKV Created: ${outputFile}`);
+
+        if (deleteSources) {
+            log(jobLog, "🧹 Deleting source files used for remux...");
+
+            const toDelete = new Set();
+            toDelete.add(blHevc);
+            toDelete.add(audioExportsFile);
+            if (subtitleExists) toDelete.add(subtitleExportsFile);
+
+            audioLines.forEach((line) => {
+                const [filename] = line.split("|");
+                toDelete.add(path.join(audioBaseDir, filename));
+            });
+
+            subtitleLines.forEach((line) => {
+                const [filename] = line.split("|");
+                toDelete.add(path.join(subBaseDir, filename));
+            });
+
+            for (const filePath of toDelete) {
+                if (!filePath) continue;
+                try {
+                    if (fs.existsSync(filePath)) {
+                        fs.unlinkSync(filePath);
+                        log(jobLog, `🗑 Deleted: ${filePath}`);
+                    }
+                } catch (err) {
+                    log(jobLog, `⚠️ Failed to delete ${filePath}: ${err.message}`);
+                }
+            }
+        }
+
+        log(jobLog, "=== Final DV8.1 mkvmerge Remux End ===");
+
+        return {
+            outputFileObj: {_id: outputFile},
+            outputNumber: 1,
+            variables: {
+                ...args.variables,
+                generatedMkvPath: outputFile,
+                videoFrameRate: frameRate.fps,
+                mkvDvProfile: dv ? formatDvProfile(dv) : "",
+                videoStreamIndex: videoStream ? videoStream.index : "",
+            }
+        };
+    };
+
+    exports.plugin = plugin;
+
+})();
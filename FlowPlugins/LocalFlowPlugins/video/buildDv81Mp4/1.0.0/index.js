@@ -14,6 +14,7 @@
     const fs = require("fs");
     const path = require("path");
     const {spawn} = require("child_process");
+    const {selectVideoStream} = require("../../../../LocalFlowHelpers/videoStream/1.0.0/index");
 
     // Log helper (mirrors console + job log)
     function log(jobLog, msg) {
@@ -78,6 +79,182 @@
         return codecLabel ? `${prettyLang} - ${codecLabel}` : prettyLang;
     }
 
+
+    // "24000/1001" → {num, den, value}; null for missing or "0/0"
+    function parseRational(rate) {
+        const [num, den] = String(rate || "").split("/").map(Number);
+        if (!num || !Number.isFinite(num)) return null;
+        const d = den && Number.isFinite(den) ? den : 1;
+        return {num, den: d, value: num / d};
+    }
+
+    // Raw HEVC has no container timing, so MP4Box needs the source rate. A real (r_frame_rate) rate that
+    // disagrees with the average rate, or MediaInfo reporting VFR, means one fixed fps cannot describe the timing.
+    const FRAME_RATE_TOLERANCE = 0.0005;
+
+    function resolveFrameRate(videoStream, mediaInfo) {
+        const real = parseRational(videoStream?.r_frame_rate);
+        const avg = parseRational(videoStream?.avg_frame_rate);
+        const rate = real || avg;
+
+        const mediaInfoVideo = (mediaInfo?.track || []).find((t) => t["@type"] === "Video" &&
+            (t.StreamOrder === undefined || String(t.StreamOrder) === String(videoStream?.index)));
+        const mediaInfoVfr = String(mediaInfoVideo?.FrameRate_Mode || "").toUpperCase() === "VFR";
+        const ratesDiffer = Boolean(real && avg) && Math.abs(real.value - avg.value) / real.value > FRAME_RATE_TOLERANCE;
+
+        // MP4Box takes fractional rates as timescale-increment ("24000-1001"); older GPAC has no "/" form
+        return {
+            fps: rate ? (rate.den === 1 ? String(rate.num) : `${rate.num}-${rate.den}`) : "",
+            real: videoStream?.r_frame_rate || "",
+            avg: videoStream?.avg_frame_rate || "",
+            variable: mediaInfoVfr || ratesDiffer,
+        };
+    }
+
+    const HEAD_SCAN_BYTES = 8 * 1024 * 1024;
+    const SAMPLE_ENTRIES = ["dvh1", "dvhe", "hvc1", "hev1"];
+    // Base-layer transfer → profile 8 compatibility ID (8.1 HDR10, 8.4 HLG, 8.2 SDR)
+    const TRANSFER_COMPAT_IDS = {"smpte2084": 1, "arib-std-b67": 4, "bt709": 2, "bt1886": 2, "smpte170m": 2, "bt470bg": 2};
+
+    // "auto" → undefined, "none" → null, "5" / "8.1" / "8.2" / "8.4" → {profile, compatId}
+    function parseDvProfileSpec(value) {
+        const spec = String(value || "").trim().toLowerCase();
+        if (!spec || spec === "auto") return undefined;
+        if (spec === "none") return null;
+        if (spec === "5") return {profile: 5, compatId: 0};
+        const match = spec.match(/^8\.([124])$/);
+        if (match) return {profile: 8, compatId: Number(match[1])};
+        throw new Error(`Unknown Dolby Vision profile "${value}" (expected auto, none, 5, 8.1, 8.2 or 8.4)`);
+    }
+
+    const formatDvp = (dv) => (dv.profile === 8 ? `8.${dv.compatId}` : String(dv.profile));
+
+    // An HEVC carrying DV has an RPU NAL (type 62, header 7C 01) on every frame, so the head is enough
+    function readHevcHead(hevcPath) {
+        const fd = fs.openSync(hevcPath, "r");
+        try {
+            const buf = Buffer.alloc(Math.min(HEAD_SCAN_BYTES, fs.fstatSync(fd).size));
+            const bytesRead = fs.readSync(fd, buf, 0, buf.length, 0);
+            return buf.subarray(0, bytesRead);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    function containsRpuNal(buf) {
+        for (let i = 0; i + 4 < buf.length; i++) {
+            if (buf[i] === 0 && buf[i + 1] === 0 && buf[i + 2] === 1 && buf[i + 3] === 0x7c && buf[i + 4] === 0x01) return true;
+        }
+        return false;
+    }
+
+    function runCapture(command, cmdArgs, label) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, cmdArgs, {stdio: "pipe"});
+            let stdout = "";
+            let stderr = "";
+            child.on("error", (err) => reject(new Error(`Failed to start ${label}: ${err.message}`)));
+            child.stdout.on("data", (data) => { stdout += data.toString(); });
+            child.stderr.on("data", (data) => { stderr += data.toString(); });
+            child.on("close", (code) => {
+                if (code === 0) return resolve(stdout);
+                reject(new Error(`${label} exited with code ${code}: ${stderr.trim()}`));
+            });
+        });
+    }
+
+    // Profile number from the RPUs in the head of the HEVC. The slice is cut at the last start code so
+    // dovi_tool never sees a truncated NAL.
+    async function probeRpuProfile(doviToolPath, head, workDir, baseName, jobLog) {
+        let end = head.length;
+        for (let i = head.length - 3; i > 0; i--) {
+            if (head[i] === 0 && head[i + 1] === 0 && head[i + 2] === 1) {
+                end = head[i - 1] === 0 ? i - 1 : i;
+                break;
+            }
+        }
+
+        const slicePath = path.join(workDir, `${baseName}_MP4_head.hevc`);
+        const rpuPath = path.join(workDir, `${baseName}_MP4_head_RPU.bin`);
+        try {
+            fs.writeFileSync(slicePath, head.subarray(0, end));
+            const extractArgs = ["extract-rpu", "-i", slicePath, "-o", rpuPath];
+            log(jobLog, `📋 Command: ${doviToolPath} ${extractArgs.join(" ")}`);
+            await runCapture(doviToolPath, extractArgs, "dovi_tool");
+
+            const infoArgs = ["info", "-i", rpuPath, "--summary"];
+            log(jobLog, `📋 Command: ${doviToolPath} ${infoArgs.join(" ")}`);
+            const summary = await runCapture(doviToolPath, infoArgs, "dovi_tool");
+            const match = summary.match(/Profile:\s*(\d+)/i);
+            return match ? Number(match[1]) : null;
+        } finally {
+            for (const tmpFile of [slicePath, rpuPath]) {
+                try {
+                    if (fs.existsSync(tmpFile)) fs.unlinkSync(tmpFile);
+                } catch (err) {
+                    // Best-effort cleanup
+                }
+            }
+        }
+    }
+
+    // Work out what the BL actually is: RPU presence from the bitstream, profile from dovi_tool or the
+    // flow variables, and the profile 8 compatibility ID from the flow variables or the source transfer
+    async function detectDolbyVision({hevcPath, doviToolPath, workDir, baseName, videoStream, variables, jobLog}) {
+        const head = readHevcHead(hevcPath);
+        if (!containsRpuNal(head)) return null;
+
+        let profile = null;
+        if (doviToolPath) {
+            try {
+                profile = await probeRpuProfile(doviToolPath, head, workDir, baseName, jobLog);
+            } catch (err) {
+                log(jobLog, `⚠️ Unable to read the RPU profile with dovi_tool: ${err.message}`);
+            }
+        }
+        if (profile === null && Number.isInteger(Number(variables?.dvProfile)) && String(variables?.dvProfile).trim() !== "") {
+            profile = Number(variables.dvProfile);
+            log(jobLog, `ℹ RPU profile taken from flow variable dvProfile=${profile}`);
+        }
+        if (profile === null) {
+            log(jobLog, "⚠️ RPU profile unknown (no dovi_tool path, no dvProfile variable); assuming profile 8");
+            profile = 8;
+        }
+
+        if (profile !== 5 && profile !== 8) {
+            log(jobLog, `🚫 HEVC carries Dolby Vision profile ${profile}, which has no single-track MP4 form. Convert it to 8.1 first (Convert HEVC, mode 2 with --discard).`);
+            throw new Error(`Unsupported Dolby Vision profile ${profile} for MP4`);
+        }
+        if (profile === 5) return {profile: 5, compatId: 0};
+
+        const variableCompat = Number(variables?.dvBlCompatId);
+        if (String(variables?.dvBlCompatId ?? "").trim() !== "" && [1, 2, 4].includes(variableCompat)) {
+            return {profile: 8, compatId: variableCompat};
+        }
+        const transfer = (videoStream?.color_transfer || "").toLowerCase();
+        return {profile: 8, compatId: TRANSFER_COMPAT_IDS[transfer] || 1};
+    }
+
+    // dvh1/hvc1 keep parameter sets out of band; dvhe/hev1 need them in band. DV-only sample entries are
+    // swapped for their plain HEVC counterpart when there is no DV, and vice versa.
+    function resolveSampleEntry(value, dv, jobLog) {
+        const requested = String(value || "").trim().toLowerCase() || "auto";
+        if (requested === "auto") return dv && dv.profile === 5 ? "dvh1" : "hvc1";
+        if (!SAMPLE_ENTRIES.includes(requested)) {
+            throw new Error(`Unknown sample entry "${value}" (expected auto, dvh1, dvhe, hvc1 or hev1)`);
+        }
+        const inBand = requested === "dvhe" || requested === "hev1";
+        if (!dv && requested.startsWith("dv")) {
+            log(jobLog, `⚠️ Sample entry ${requested} needs Dolby Vision; using ${inBand ? "hev1" : "hvc1"}`);
+            return inBand ? "hev1" : "hvc1";
+        }
+        if (dv && dv.profile === 5 && !requested.startsWith("dv")) {
+            log(jobLog, `⚠️ Profile 5 has no HEVC-compatible base layer; using ${inBand ? "dvhe" : "dvh1"} instead of ${requested}`);
+            return inBand ? "dvhe" : "dvh1";
+        }
+        return requested;
+    }
+
     function runMP4Box(mp4boxPath, args) {
         const libPathPrefix = "/home/Tdarr/opt/gpac/usr/lib";
         const env = {
@@ -108,7 +285,7 @@
 
     const details = () => ({
         name: "Build DV8.1 MP4",
-        description: "Remux DV8.1 BL, audio, and subtitles into MP4 via MP4Box.",
+        description: "Remux the BL (DV 8.1/8.2/8.4/5, or plain HEVC), audio, and subtitles into MP4 via MP4Box, with the Dolby Vision profile and sample entry read from the stream.",
         style: {borderColor: "purple"},
         tags: "video",
         isStartPlugin: false,
@@ -157,6 +334,30 @@
                 defaultValue: "{{{args.variables.mp4boxBin}}}",
                 inputUI: { type: "directory" },
             },
+            {
+                label: "Dovi Tool Path",
+                name: "doviToolPath",
+                tooltip: "Optional: full path to dovi_tool, used to read the Dolby Vision profile from the RPUs in the HEVC. Without it the dvProfile flow variable is used. Install DV Tools sets this as doviToolBin.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.doviToolBin}}}",
+                inputUI: { type: "directory" },
+            },
+            {
+                label: "Dolby Vision Profile",
+                name: "dvProfile",
+                tooltip: "auto: read from the HEVC (no RPUs → plain HEVC MP4), with the 8.x compatibility ID from dvBlCompatId or the source transfer (PQ 8.1, HLG 8.4, SDR 8.2). none: write a plain HEVC MP4. 5 / 8.1 / 8.2 / 8.4: force the dvp value. Default: auto.",
+                inputType: "string",
+                defaultValue: "auto",
+                inputUI: { type: "text" },
+            },
+            {
+                label: "Sample Entry",
+                name: "sampleEntry",
+                tooltip: "auto: dvh1 for Profile 5, hvc1 (with the DV configuration box) for 8.x and plain HEVC. dvh1 / hvc1: parameter sets out of band. dvhe / hev1: parameter sets in band. Default: auto.",
+                inputType: "string",
+                defaultValue: "auto",
+                inputUI: { type: "text" },
+            },
             {
                 label: "Delete Sources After Remux",
                 name: "deleteSourcesAfterRemux",
@@ -165,8 +366,19 @@
                 defaultValue: "true",
                 inputUI: { type: "switch" },
             },
+            {
+                label: "Video Stream Index",
+                name: "videoStreamIndex",
+                tooltip: "ffprobe index of the video stream to use. Defaults to the stream chosen by an earlier plugin (videoStreamIndex). Leave empty to select automatically: cover art and still images are skipped, then the highest resolution, longest and default-flagged stream wins.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.videoStreamIndex}}}",
+                inputUI: { type: "text" },
+            },
+        ],
+        outputs: [
+            {number: 1, tooltip: "Continue to next step"},
+            {number: 2, tooltip: "Source is variable frame rate; no MP4 built (use Build DV8.1 MP4 (FFmpeg), which keeps the source timestamps)"},
         ],
-        outputs: [{number: 1, tooltip: "Continue to next step"}],
     });
     exports.details = details;
 
@@ -194,6 +406,8 @@
         const defaultRpuPath = path.join(args.workDir, `${baseName}_RPU.bin`);
         let rpuFilePath = userRpuInput.length > 0 ? userRpuInput : defaultRpuPath;
         const mp4boxPath = (resolveInput(args.inputs.mp4boxPath, args) || "").toString().trim();
+        const doviToolPath = (resolveInput(args.inputs.doviToolPath, args) || "").toString().trim();
+        const dvProfileSpec = parseDvProfileSpec(resolveInput(args.inputs.dvProfile, args));
 
         if (!blHevc) {
             log(jobLog, "🚫 Missing BL DV8.1 video path (input: BL DV8.1 HEVC Path).");
@@ -232,6 +446,30 @@
             rpuFilePath = "";
         }
 
+        // --- Frame rate: taken from the source, since the raw HEVC carries no timing ---
+        const videoStream = selectVideoStream(inputFileObj?.ffProbeData?.streams, resolveInput(args.inputs.videoStreamIndex, args), jobLog);
+        const frameRate = resolveFrameRate(videoStream, inputFileObj?.mediaInfo);
+        log(jobLog, `🎞 Frame rate: r_frame_rate=${frameRate.real || "unknown"} | avg_frame_rate=${frameRate.avg || "unknown"}`);
+
+        if (frameRate.variable) {
+            log(jobLog, "🚫 Source is variable frame rate; MP4Box would import the raw HEVC at a single fixed rate and drift against the audio → output 2");
+            return {
+                outputFileObj: inputFileObj,
+                outputNumber: 2,
+                variables: {...args.variables, videoFrameRate: "", videoStreamIndex: videoStream ? videoStream.index : ""},
+            };
+        }
+        if (!frameRate.fps) {
+            log(jobLog, "⚠️ Source frame rate unknown; MP4Box will use the HEVC VUI timing or its default rate");
+        }
+
+        // --- Dolby Vision profile and sample entry ---
+        const dv = dvProfileSpec !== undefined
+            ? dvProfileSpec
+            : await detectDolbyVision({hevcPath: blHevc, doviToolPath, workDir, baseName, videoStream, variables: args.variables, jobLog});
+        const sampleEntry = resolveSampleEntry(resolveInput(args.inputs.sampleEntry, args), dv, jobLog);
+        log(jobLog, `🎬 Video: ${dv ? `Dolby Vision ${formatDvp(dv)}` : "plain HEVC (no Dolby Vision)"}${dvProfileSpec !== undefined ? " (forced)" : ""} | sample entry ${sampleEntry}`);
+
         const audioLines = fs.readFileSync(audioExportsFile, "utf-8").trim().split("\n").filter(Boolean);
         const subtitleLines = subtitleExists
             ? fs.readFileSync(subtitleExportsFile, "utf-8").trim().split("\n").filter(Boolean)
@@ -247,7 +485,10 @@
         const mp4Args = ["-new", outputFile];
 
         // --- Video Track ---
-        mp4Args.push("-add", `${blHevc}#video:dvp=8.1`);
+        const fpsFlag = frameRate.fps ? `:fps=${frameRate.fps}` : "";
+        const dvpFlag = dv ? `:dvp=${formatDvp(dv)}` : "";
+        const inBandFlag = sampleEntry === "dvhe" || sampleEntry === "hev1" ? ":xps_inband" : "";
+        mp4Args.push("-add", `${blHevc}#video${dvpFlag}${inBandFlag}:stype=${sampleEntry}${fpsFlag}`);
 
         // --- Audio Tracks ---
         audioLines.forEach((line) => {
@@ -354,7 +595,11 @@
             outputNumber: 1,
             variables: {
                 ...args.variables,
-                generatedMp4Path: outputFile
+                generatedMp4Path: outputFile,
+                videoFrameRate: frameRate.fps,
+                mp4DvProfile: dv ? formatDvp(dv) : "",
+                mp4SampleEntry: sampleEntry,
+                videoStreamIndex: videoStream ? videoStream.index : "",
             }
         };
     };
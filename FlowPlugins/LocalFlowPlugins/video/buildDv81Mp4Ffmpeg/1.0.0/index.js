@@ -20,6 +20,7 @@
     const fs = require("fs");
     const path = require("path");
     const {spawn} = require("child_process");
+    const {selectVideoStream} = require("../../../../LocalFlowHelpers/videoStream/1.0.0/index");
 
     // Log helper (mirrors console + job log)
     function log(jobLog, msg) {
@@ -122,6 +123,41 @@
         return "";
     }
 
+
+    const SAMPLE_ENTRIES = ["dvh1", "dvhe", "hvc1", "hev1"];
+
+    // DOVI configuration record of the copied stream; ffmpeg carries it into the MP4 dvcC/dvvC box
+    function findDoviConfig(videoStream) {
+        const dvSide = (videoStream?.side_data_list || []).find((sd) => typeof sd?.dv_profile !== "undefined");
+        if (!dvSide) return null;
+        return {
+            profile: Number(dvSide.dv_profile),
+            compatId: Number(dvSide.dv_bl_signal_compatibility_id) || 0,
+        };
+    }
+
+    const formatDvProfile = (dv) => (dv.profile === 5 ? "5" : `${dv.profile}.${dv.compatId}`);
+
+    // dvh1/hvc1 keep parameter sets out of band; dvhe/hev1 need them in band. DV-only sample entries are
+    // swapped for their plain HEVC counterpart when there is no DV, and vice versa.
+    function resolveSampleEntry(value, dv, jobLog) {
+        const requested = String(value || "").trim().toLowerCase() || "auto";
+        if (requested === "auto") return dv && dv.profile === 5 ? "dvh1" : "hvc1";
+        if (!SAMPLE_ENTRIES.includes(requested)) {
+            throw new Error(`Unknown sample entry "${value}" (expected auto, dvh1, dvhe, hvc1 or hev1)`);
+        }
+        const inBand = requested === "dvhe" || requested === "hev1";
+        if (!dv && requested.startsWith("dv")) {
+            log(jobLog, `⚠️ Sample entry ${requested} needs Dolby Vision; using ${inBand ? "hev1" : "hvc1"}`);
+            return inBand ? "hev1" : "hvc1";
+        }
+        if (dv && dv.profile === 5 && !requested.startsWith("dv")) {
+            log(jobLog, `⚠️ Profile 5 has no HEVC-compatible base layer; using ${inBand ? "dvhe" : "dvh1"} instead of ${requested}`);
+            return inBand ? "dvhe" : "dvh1";
+        }
+        return requested;
+    }
+
     // Normalize codec name to a canonical form
     function normalizeCodec(codecName) {
         const codec = (codecName || "").toLowerCase();
@@ -200,6 +236,32 @@
         });
     }
 
+    const VERIFY_MODES = ["off", "full", "bl"];
+
+    // SHA-256 of one video stream's bitstream as ffmpeg's streamhash muxer sees it. Converting to
+    // Annex B takes the container framing (MKV/MP4 length prefixes) out; "bl" also drops RPU and EL NALs (types 62/63).
+    function hashVideoBitstream(filePath, mapSpec, mode, jobLog) {
+        const bsf = mode === "bl" ? "hevc_mp4toannexb,filter_units=remove_types=62|63" : "hevc_mp4toannexb";
+        const hashArgs = ["-v", "error", "-i", filePath, "-map", mapSpec, "-c:v", "copy", "-bsf:v", bsf, "-f", "streamhash", "-hash", "sha256", "-"];
+        log(jobLog, `📋 Hash Command: ffmpeg ${hashArgs.join(' ')}`);
+
+        return new Promise((resolve, reject) => {
+            const child = spawn("ffmpeg", hashArgs, {stdio: "pipe"});
+            let stdout = "";
+            let stderr = "";
+            child.on("error", (err) => reject(new Error(`Failed to start ffmpeg: ${err.message}`)));
+            child.stdout.on("data", (data) => { stdout += data.toString(); });
+            child.stderr.on("data", (data) => { stderr += data.toString(); });
+            child.on("close", (code) => {
+                if (code !== 0) return reject(new Error(`ffmpeg streamhash exited with code ${code}: ${stderr.trim()}`));
+                // "0,v,SHA256=<hex>"
+                const match = stdout.match(/SHA256=([0-9a-f]+)/i);
+                if (!match) return reject(new Error(`Unexpected streamhash output: ${stdout.trim()}`));
+                resolve(match[1].toLowerCase());
+            });
+        });
+    }
+
     const details = () => ({
         name: "Build DV8.1 MP4 (FFmpeg)",
         description: "Remux video (bit-for-bit copy), transcode/copy audio into MP4 via FFmpeg, then add subtitles via MP4Box. Replaces the need for a separate Extract Audio Tracks step.",
@@ -251,6 +313,30 @@
                 defaultValue: "true",
                 inputUI: { type: "switch" },
             },
+            {
+                label: "Sample Entry",
+                name: "sampleEntry",
+                tooltip: "Video sample entry (-tag:v). auto: dvh1 for Dolby Vision Profile 5, hvc1 (with the DV configuration box) for 8.x and plain HEVC. dvh1 / hvc1: parameter sets out of band. dvhe / hev1: parameter sets in band. The Dolby Vision profile itself comes from the source stream. Default: auto.",
+                inputType: "string",
+                defaultValue: "auto",
+                inputUI: { type: "text" },
+            },
+            {
+                label: "Verify Video Copy",
+                name: "verifyVideoCopy",
+                tooltip: "Hash the video bitstream of the input and the finished MP4 with ffmpeg streamhash (SHA-256, container framing excluded) and fail the job when they differ. off: no check. full: every NAL unit. bl: RPU and enhancement-layer NAL units removed first, so only the base layer is compared. Reads the whole video twice. Default: off.",
+                inputType: "string",
+                defaultValue: "off",
+                inputUI: { type: "text" },
+            },
+            {
+                label: "Video Stream Index",
+                name: "videoStreamIndex",
+                tooltip: "ffprobe index of the video stream to use. Defaults to the stream chosen by an earlier plugin (videoStreamIndex). Leave empty to select automatically: cover art and still images are skipped, then the highest resolution, longest and default-flagged stream wins.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.videoStreamIndex}}}",
+                inputUI: { type: "text" },
+            },
         ],
         outputs: [{number: 1, tooltip: "Continue to next step"}],
     });
@@ -275,6 +361,11 @@
             ? userSubtitleExportsInput
             : path.join(args.workDir, `${baseName}_subtitles.exports`);
 
+        const verifyMode = String(resolveInput(args.inputs.verifyVideoCopy, args) || "").trim().toLowerCase() || "off";
+        if (!VERIFY_MODES.includes(verifyMode)) {
+            throw new Error(`Unknown video copy verification "${args.inputs.verifyVideoCopy}" (expected off, full or bl)`);
+        }
+
         const configuredOutputDir = (resolveInput(args.inputs.outputDirectory, args) || "").toString().trim() || "";
         const outputDir = configuredOutputDir.length > 0 ? configuredOutputDir : args.workDir;
 
@@ -282,6 +373,19 @@
         const streams = inputFileObj.ffProbeData?.streams || [];
         const audioStreams = streams.filter((s) => s.codec_type === "audio");
 
+        // --- Video: the main stream only; cover art and extra angles stay behind ---
+        const videoStream = selectVideoStream(streams, resolveInput(args.inputs.videoStreamIndex, args), jobLog);
+        if (!videoStream) {
+            log(jobLog, "🚫 No video stream found in input file.");
+            throw new Error("File has no video stream");
+        }
+        const isHevc = (videoStream.codec_name || "").toLowerCase() === "hevc";
+        const dv = findDoviConfig(videoStream);
+        if (dv && dv.profile !== 5 && dv.profile !== 8) {
+            log(jobLog, `⚠️ Source is Dolby Vision profile ${dv.profile}; most MP4 players only handle single-layer 5 and 8.x`);
+        }
+        const sampleEntry = isHevc ? resolveSampleEntry(resolveInput(args.inputs.sampleEntry, args), dv, jobLog) : "";
+
         if (!audioStreams.length) {
             log(jobLog, "⚠ No audio streams found in input file.");
         }
@@ -302,7 +406,7 @@
 
         log(jobLog, `Input: ${inputPath}`);
         log(jobLog, `Output: ${outputFile}`);
-        log(jobLog, `Audio streams: ${audioStreams.length} | Subtitle tracks: ${subtitleLines.length}`);
+        log(jobLog, `Video stream: ${videoStream.index} (${dv ? `Dolby Vision ${formatDvProfile(dv)}` : "no Dolby Vision"}, sample entry ${sampleEntry || "default"}) | Audio streams: ${audioStreams.length} | Subtitle tracks: ${subtitleLines.length}`);
         log(jobLog, `Convert TrueHD/DTS → EAC3: ${convertTruehdDtsToEac3} | Convert FLAC → ALAC: ${convertFlacToAlac}`);
 
         // =====================================================================
@@ -315,7 +419,7 @@
         const ffmpegArgs = ["-y", "-fflags", "+genpts", "-i", inputPath];
 
         // Map video
-        ffmpegArgs.push("-map", "0:v:0");
+        ffmpegArgs.push("-map", `0:${videoStream.index}`);
 
         // Map and configure audio streams
         const audioTrackInfo = [];
@@ -360,9 +464,13 @@
 
         // No subtitle mapping — subtitles will be added by MP4Box in step 2
 
-        // Video: bit-for-bit copy with hvc1 tag for HEVC in MP4
+        // Video: bit-for-bit copy; the sample entry follows the source DV profile. unofficial lets ffmpeg write dvcC/dvvC.
         ffmpegArgs.push("-c:v", "copy");
-        ffmpegArgs.push("-tag:v", "hvc1");
+        if (sampleEntry) {
+            ffmpegArgs.push("-tag:v", sampleEntry);
+        } else {
+            log(jobLog, `ℹ Video codec ${videoStream.codec_name || "unknown"} is not HEVC; keeping ffmpeg's default sample entry`);
+        }
         ffmpegArgs.push("-strict", "unofficial");
 
         // Global EAC3 encoder options
@@ -425,7 +533,6 @@
             // timeline to start at ~0, but PgsToSrtPlus extracts SRT timestamps
             // on the original MKV's absolute timeline. If the MKV video stream
             // had start_time > 0, all subtitles would appear early by that amount.
-            const videoStream = streams.find((s) => s.codec_type === "video");
             const videoStartTime = parseFloat(videoStream?.start_time || 0);
             if (videoStartTime !== 0) {
                 log(jobLog, `ℹ Video start_time offset: ${videoStartTime}s (will compensate subtitle timing)`);
@@ -489,6 +596,26 @@
             log(jobLog, `✅ MP4Box step complete — subtitles added`);
         }
 
+        // =====================================================================
+        // Step 3: verify the video copy (optional)
+        // =====================================================================
+        // Runs before any source is deleted, so a mismatch leaves everything in place for a retry.
+        let videoBitstreamHash = "";
+        if (verifyMode !== "off" && !isHevc) {
+            log(jobLog, `ℹ Video codec ${videoStream.codec_name || "unknown"} is not HEVC; skipping the bitstream check`);
+        } else if (verifyMode !== "off") {
+            log(jobLog, `🔍 Verifying the video copy (${verifyMode === "bl" ? "base layer, RPU/EL NALs removed" : "full bitstream"})...`);
+            const sourceHash = await hashVideoBitstream(inputPath, `0:${videoStream.index}`, verifyMode, jobLog);
+            const outputHash = await hashVideoBitstream(outputFile, "0:v:0", verifyMode, jobLog);
+            log(jobLog, `Video SHA-256: source=${sourceHash} | MP4=${outputHash}`);
+            if (sourceHash !== outputHash) {
+                log(jobLog, "🚨 Video bitstream of the MP4 differs from the source; the copy is not bit-exact");
+                throw new Error("Video copy verification failed: bitstream hashes differ");
+            }
+            log(jobLog, "✔ Video copy is bit-exact");
+            videoBitstreamHash = outputHash;
+        }
+
         log(jobLog, `🎉 SUCCESS — MP4 Created: ${outputFile}`);
 
         // =====================================================================
@@ -530,7 +657,12 @@
             outputNumber: 1,
             variables: {
                 ...args.variables,
-                generatedMp4Path: outputFile
+                generatedMp4Path: outputFile,
+                mp4DvProfile: dv ? formatDvProfile(dv) : "",
+                mp4SampleEntry: sampleEntry,
+                videoBitstreamHash,
+                videoBitstreamVerified: videoBitstreamHash ? verifyMode : "",
+                videoStreamIndex: videoStream.index,
             }
         };
     };
@@ -3,12 +3,49 @@
 /**
  * Filter plugin: checks if the input file contains any Dolby Vision metadata.
  * Routes to output 1 when DV is detected (any profile), otherwise output 2.
+ * Strict mode verifies title/codec-tag matches against the bitstream; unverified
+ * matches are rejected or routed to output 3 (suspect).
  */
 
 (function () {
     Object.defineProperty(exports, "__esModule", {value: true});
     exports.plugin = exports.details = void 0;
 
+    // Strict mode (title/codec-tag verification) is shared by the Dolby Vision filters
+    const {applyStrictMode, parseStrictMode} = require("../../../../LocalFlowHelpers/strictDolbyVision/1.0.0/index");
+    const {selectVideoStream} = require("../../../../LocalFlowHelpers/videoStream/1.0.0/index");
+
+    // Resolve inputs that may be wrapped in {{{ }}} to reference args.* values
+    function resolveInput(value, args) {
+        if (typeof value !== "string") return value;
+        const match = value.match(/^\{\{\{\s*(.+?)\s*\}\}\}$/);
+        if (!match) return value;
+
+        const baseExpr = match[1].trim();
+        const attempts = [baseExpr];
+
+        // Support both args.variables.user.* (old) and args.variables.* (new)
+        const userPrefixes = ["args.variables.user.", "variables.user."];
+        userPrefixes.forEach((prefix) => {
+            if (baseExpr.startsWith(prefix)) {
+                attempts.push(baseExpr.replace(prefix, prefix.replace(".user", "")));
+            }
+        });
+
+        for (const expr of attempts) {
+            try {
+                const fn = new Function("args", `return ${expr};`);
+                const resolved = fn(args);
+                if (resolved !== undefined && resolved !== null) return resolved;
+            } catch (err) {
+                console.warn(`Failed to resolve placeholder ${value} with expr "${expr}": ${err.message}`);
+            }
+        }
+
+        // Unresolved placeholders should not propagate as literal "{{{...}}}"
+        return "";
+    }
+
     const details = () => ({
         name: "Check Dolby Vision",
         description: "Filter: does the file contain any Dolby Vision metadata?",
@@ -19,15 +56,33 @@
         requiresVersion: "2.11.01",
         sidebarPosition: -1,
         icon: "faQuestion",
-        inputs: [],
+        inputs: [
+            {
+                label: "Strict Mode",
+                name: "strictMode",
+                tooltip: "How to treat matches that only come from stream titles or codec tags. off: accept them (default). reject: verify against the file: DOVI side data must not name another profile, and the first 48 frames must carry Dolby Vision (HEVC RPU NAL units, whose header gives the profile, or AV1 Dolby Vision metadata OBUs; other codecs cannot be verified); unverified matches are treated as not DV. suspect: same check, but unverified matches go to the suspect output.",
+                inputType: "string",
+                defaultValue: "off",
+                inputUI: {type: "text"},
+            },
+            {
+                label: "Video Stream Index",
+                name: "videoStreamIndex",
+                tooltip: "ffprobe index of the video stream to use. Defaults to the stream chosen by an earlier plugin (videoStreamIndex). Leave empty to select automatically: cover art and still images are skipped, then the highest resolution, longest and default-flagged stream wins.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.videoStreamIndex}}}",
+                inputUI: {type: "text"},
+            },
+        ],
         outputs: [
             {number: 1, tooltip: "File has Dolby Vision metadata"},
             {number: 2, tooltip: "File does NOT have Dolby Vision metadata"},
+            {number: 3, tooltip: "Suspect: only the title/codec tag claims Dolby Vision (strict mode 'suspect')"},
         ],
     });
     exports.details = details;
 
-    const plugin = (args) => {
+    const plugin = async (args) => {
         const lib = require("../../../../../methods/lib")();
         args.inputs = lib.loadDefaultValues(args.inputs, details);
 
@@ -36,60 +91,65 @@
             throw new Error("File has no stream data");
         }
 
+        const strictMode = parseStrictMode(resolveInput(args.inputs.strictMode, args), args.jobLog);
+
         let hasDV = false;
         let detectedProfile = "";
+        let detectionSource = "";
 
-        for (let i = 0; i < streams.length; i++) {
-            const stream = streams[i];
-            if (stream.codec_type !== "video") continue;
+        // Only the main video stream decides; cover art and extra angles are ignored
+        const videoStream = selectVideoStream(streams, resolveInput(args.inputs.videoStreamIndex, args), args.jobLog);
 
-            const sideDataList = stream.side_data_list || [];
+        if (videoStream) {
+            const sideDataList = videoStream.side_data_list || [];
             const dvSide = sideDataList.find(
                 (sd) =>
                     typeof sd?.dv_profile !== "undefined" ||
                     (typeof sd?.side_data_type === "string" && sd.side_data_type.toLowerCase().includes("dovi"))
             );
 
+            const codecTag = (videoStream.codec_tag_string || "").toLowerCase();
+            const codecName = (videoStream.codec_name || "").toLowerCase();
+
+            // Title/tag fallback hints
+            const title =
+                (videoStream.tags?.title || args.inputFileObj?.ffProbeData?.format?.tags?.title || "")
+                    .toLowerCase();
+
             if (dvSide) {
                 hasDV = true;
                 detectedProfile = typeof dvSide.dv_profile !== "undefined" ? String(dvSide.dv_profile) : "unknown";
-                break;
-            }
-
-            const codecTag = (stream.codec_tag_string || "").toLowerCase();
-            const codecName = (stream.codec_name || "").toLowerCase();
-
-            // Common DV codec tags for MP4/MKV: dvh1/dvh3/dva1/dvb1/dvhe
-            if (codecTag.startsWith("dv")) {
+                detectionSource = "sidedata";
+            } else if (codecTag.startsWith("dv")) {
+                // Common DV codec tags for MP4/MKV: dvh1/dvh3/dva1/dvb1/dvhe
                 hasDV = true;
                 detectedProfile = codecTag;
-                break;
-            }
-
-            // Title/tag fallback hints
-            const title =
-                (stream.tags?.title || args.inputFileObj?.ffProbeData?.format?.tags?.title || "")
-                    .toLowerCase();
-            if (title.includes("dolby vision") || title.includes("dv profile") || title.includes("dv8") || title.includes("dv7") || title.includes("dv5")) {
+            } else if (title.includes("dolby vision") || title.includes("dv profile") || title.includes("dv8") || title.includes("dv7") || title.includes("dv5")) {
                 hasDV = true;
                 detectedProfile = title;
-                break;
-            }
-
-            // HEVC stream with dvhe codec_name (seen in some probes)
-            if (codecName.startsWith("dv")) {
+            } else if (codecName.startsWith("dv")) {
+                // HEVC stream with dvhe codec_name (seen in some probes)
                 hasDV = true;
                 detectedProfile = codecName;
-                break;
             }
         }
 
+        let suspect = false;
+        if (hasDV && !detectionSource) {
+            const strict = await applyStrictMode(strictMode, args.inputFileObj.file, videoStream, null, args.jobLog);
+            hasDV = strict.accepted;
+            suspect = strict.suspect;
+            detectionSource = strict.source;
+        }
+
         return {
             outputFileObj: args.inputFileObj,
-            outputNumber: hasDV ? 1 : 2,
+            outputNumber: hasDV ? 1 : suspect ? 3 : 2,
             variables: {
                 ...args.variables,
                 dvProfileDetected: hasDV ? detectedProfile : "",
+                dvDetectionSource: hasDV || suspect ? detectionSource : "",
+                videoStreamIndex: videoStream ? videoStream.index : "",
             },
         };
     };
@@ -9,6 +9,39 @@
     Object.defineProperty(exports, "__esModule", {value: true});
     exports.plugin = exports.details = void 0;
 
+    const {selectVideoStream} = require("../../../../LocalFlowHelpers/videoStream/1.0.0/index");
+
+    // Resolve inputs that may be wrapped in {{{ }}} to reference args.* values
+    function resolveInput(value, args) {
+        if (typeof value !== "string") return value;
+        const match = value.match(/^\{\{\{\s*(.+?)\s*\}\}\}$/);
+        if (!match) return value;
+
+        const baseExpr = match[1].trim();
+        const attempts = [baseExpr];
+
+        // Support both args.variables.user.* (old) and args.variables.* (new)
+        const userPrefixes = ["args.variables.user.", "variables.user."];
+        userPrefixes.forEach((prefix) => {
+            if (baseExpr.startsWith(prefix)) {
+                attempts.push(baseExpr.replace(prefix, prefix.replace(".user", "")));
+            }
+        });
+
+        for (const expr of attempts) {
+            try {
+                const fn = new Function("args", `return ${expr};`);
+                const resolved = fn(args);
+                if (resolved !== undefined && resolved !== null) return resolved;
+            } catch (err) {
+                console.warn(`Failed to resolve placeholder ${value} with expr "${expr}": ${err.message}`);
+            }
+        }
+
+        // Unresolved placeholders should not propagate as literal "{{{...}}}"
+        return "";
+    }
+
     const details = () => ({
         name: "Check Dolby Vision 5",
         description: "Filter: is the video Dolby Vision Profile 5?",
@@ -19,7 +52,16 @@
         requiresVersion: "2.11.01",
         sidebarPosition: -1,
         icon: "faQuestion",
-        inputs: [],
+        inputs: [
+            {
+                label: "Video Stream Index",
+                name: "videoStreamIndex",
+                tooltip: "ffprobe index of the video stream to use. Defaults to the stream chosen by an earlier plugin (videoStreamIndex). Leave empty to select automatically: cover art and still images are skipped, then the highest resolution, longest and default-flagged stream wins.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.videoStreamIndex}}}",
+                inputUI: {type: "text"},
+            },
+        ],
         outputs: [
             {number: 1, tooltip: "File is Dolby Vision Profile 5"},
             {number: 2, tooltip: "File is NOT Dolby Vision Profile 5"},
@@ -38,31 +80,30 @@
 
         let isDV5 = false;
 
-        for (let i = 0; i < streams.length; i++) {
-            const stream = streams[i];
-            if (stream.codec_type !== "video") continue;
+        // Only the main video stream decides; cover art and extra angles are ignored
+        const videoStream = selectVideoStream(streams, resolveInput(args.inputs.videoStreamIndex, args), args.jobLog);
 
-            const sideDataList = stream.side_data_list || [];
+        if (videoStream) {
+            const sideDataList = videoStream.side_data_list || [];
             const dvSide = sideDataList.find(sd => typeof sd?.dv_profile !== "undefined");
 
-            if (dvSide && Number(dvSide.dv_profile) === 5) {
-                isDV5 = true;
-                break;
-            }
-
             const title =
-                (stream.tags?.title || args.inputFileObj?.ffProbeData?.format?.tags?.title || "")
+                (videoStream.tags?.title || args.inputFileObj?.ffProbeData?.format?.tags?.title || "")
                     .toLowerCase();
-            if (title.includes("profile 5") || title.includes("dolby vision 5")) {
+            if (dvSide && Number(dvSide.dv_profile) === 5) {
+                isDV5 = true;
+            } else if (title.includes("profile 5") || title.includes("dolby vision 5")) {
                 isDV5 = true;
-                break;
             }
         }
 
         return {
             outputFileObj: args.inputFileObj,
             outputNumber: isDV5 ? 1 : 2,
-            variables: args.variables,
+            variables: {
+                ...args.variables,
+                videoStreamIndex: videoStream ? videoStream.index : "",
+            },
         };
     };
     exports.plugin = plugin;
@@ -0,0 +1,264 @@
+"use strict";
+
+/**
+ * Filter plugin: checks whether a Dolby Vision Profile 7 file carries a Full (FEL)
+ * or Minimal (MEL) Enhancement Layer by sampling its RPU with dovi_tool.
+ * Routes FEL to output 1, MEL to output 2, anything else to output 3.
+ */
+
+(function () {
+    Object.defineProperty(exports, "__esModule", {value: true});
+    exports.plugin = exports.details = void 0;
+
+    const fs = require("fs");
+    const path = require("path");
+    const {spawn} = require("child_process");
+    const {selectVideoStream} = require("../../../../LocalFlowHelpers/videoStream/1.0.0/index");
+
+    // Log helper (mirrors console + job log)
+    function log(jobLog, msg) {
+        jobLog(msg);
+        console.log(msg);
+    }
+
+    // Resolve inputs that may be wrapped in {{{ }}} to reference args.* values
+    function resolveInput(value, args) {
+        if (typeof value !== "string") return value;
+        const match = value.match(/^\{\{\{\s*(.+?)\s*\}\}\}$/);
+        if (!match) return value;
+
+        const baseExpr = match[1].trim();
+        const attempts = [baseExpr];
+
+        // Support both args.variables.user.* (old) and args.variables.* (new)
+        const userPrefixes = ["args.variables.user.", "variables.user."];
+        userPrefixes.forEach((prefix) => {
+            if (baseExpr.startsWith(prefix)) {
+                attempts.push(baseExpr.replace(prefix, prefix.replace(".user", "")));
+            }
+        });
+
+        for (const expr of attempts) {
+            try {
+                const fn = new Function("args", `return ${expr};`);
+                const resolved = fn(args);
+                if (resolved !== undefined && resolved !== null) return resolved;
+            } catch (err) {
+                console.warn(`Failed to resolve placeholder ${value} with expr "${expr}": ${err.message}`);
+            }
+        }
+
+        // Unresolved placeholders should not propagate as literal "{{{...}}}"
+        return "";
+    }
+
+    // Run a command and resolve with its stdout
+    function runCapture(command, cmdArgs, label) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, cmdArgs, {stdio: "pipe"});
+
+            let stdout = "";
+            let stderr = "";
+
+            child.on("error", (err) => reject(new Error(`Failed to start ${label}: ${err.message}`)));
+            child.stdout.on("data", (data) => { stdout += data.toString(); });
+            child.stderr.on("data", (data) => { stderr += data.toString(); });
+            child.on("close", (code) => {
+                if (code === 0) return resolve(stdout);
+                reject(new Error(`${label} exited with code ${code}: ${stderr.trim()}`));
+            });
+        });
+    }
+
+
+    function isProfile7(stream, formatTitle) {
+        const codec = (stream.codec_name || "").toLowerCase();
+        if (codec !== "hevc") return false;
+
+        const sideDataList = stream.side_data_list || [];
+        const dvSide = sideDataList.find(sd => typeof sd?.dv_profile !== "undefined");
+        if (dvSide && Number(dvSide.dv_profile) === 7) return true;
+
+        const title = (stream.tags?.title || formatTitle || "").toLowerCase();
+        return title.includes("profile 7") || title.includes("dolby vision 7") || title.includes("dv7");
+    }
+
+    // dovi_tool info --summary prints e.g. "Profile: 7 (FEL)"
+    function parseElType(summary) {
+        const profileMatch = summary.match(/Profile:\s*7\s*\((FEL|MEL)\)/i);
+        if (profileMatch) return profileMatch[1].toUpperCase();
+        const anyMatch = summary.match(/\b(FEL|MEL)\b/);
+        return anyMatch ? anyMatch[1].toUpperCase() : "";
+    }
+
+    const details = () => ({
+        name: "Check Dolby Vision 7 FEL/MEL",
+        description: "Filter: does the Dolby Vision Profile 7 video carry a Full (FEL) or Minimal (MEL) Enhancement Layer?",
+        style: {borderColor: "orange"},
+        tags: "video",
+        isStartPlugin: false,
+        pType: "",
+        requiresVersion: "2.11.01",
+        sidebarPosition: -1,
+        icon: "faQuestion",
+        inputs: [
+            {
+                label: "Dovi Tool Path",
+                name: "doviToolPath",
+                tooltip: "Required: full path to dovi_tool. Install DV Tools sets this as doviToolBin in its plugin output.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.doviToolBin}}}",
+                inputUI: {type: "directory"},
+            },
+            {
+                label: "RPU Path",
+                name: "rpuPath",
+                tooltip: "Optional: existing RPU.bin to inspect (e.g., from Extract RPU). Leave empty to use Tdarr cache <basename>_RPU.bin when present, otherwise a short sample of the video is read instead.",
+                inputType: "string",
+                defaultValue: "",
+                inputUI: {type: "directory"},
+            },
+            {
+                label: "Sample Frames",
+                name: "sampleFrames",
+                tooltip: "Number of video frames to copy into the temporary sample when no RPU file is available. Default: 240.",
+                inputType: "string",
+                defaultValue: "240",
+                inputUI: {type: "text"},
+            },
+            {
+                label: "Video Stream Index",
+                name: "videoStreamIndex",
+                tooltip: "ffprobe index of the video stream to use. Defaults to the stream chosen by an earlier plugin (videoStreamIndex). Leave empty to select automatically: cover art and still images are skipped, then the highest resolution, longest and default-flagged stream wins.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.videoStreamIndex}}}",
+                inputUI: {type: "text"},
+            },
+        ],
+        outputs: [
+            {number: 1, tooltip: "File is Dolby Vision Profile 7 with a Full Enhancement Layer (FEL)"},
+            {number: 2, tooltip: "File is Dolby Vision Profile 7 with a Minimal Enhancement Layer (MEL)"},
+            {number: 3, tooltip: "File is NOT Dolby Vision Profile 7, or the EL type could not be determined"},
+        ],
+    });
+    exports.details = details;
+
+    const plugin = async (args) => {
+        const lib = require("../../../../../methods/lib")();
+        args.inputs = lib.loadDefaultValues(args.inputs, details);
+
+        const jobLog = args.jobLog;
+
+        const streams = args?.inputFileObj?.ffProbeData?.streams;
+        if (!Array.isArray(streams)) {
+            throw new Error("File has no stream data");
+        }
+
+        // Only the main video stream decides; cover art and extra angles are ignored
+        const videoStream = selectVideoStream(streams, resolveInput(args.inputs.videoStreamIndex, args), jobLog);
+        const videoStreamIndex = videoStream ? videoStream.index : "";
+
+        const notP7 = (reason) => {
+            log(jobLog, `ℹ ${reason} → output 3`);
+            return {
+                outputFileObj: args.inputFileObj,
+                outputNumber: 3,
+                variables: {...args.variables, dvElType: "", videoStreamIndex},
+            };
+        };
+
+        const formatTitle = args.inputFileObj?.ffProbeData?.format?.tags?.title || "";
+        if (!videoStream || !isProfile7(videoStream, formatTitle)) {
+            return notP7("File is not Dolby Vision Profile 7");
+        }
+
+        const doviToolPath = (resolveInput(args.inputs.doviToolPath, args) || "").toString().trim();
+        if (!doviToolPath) {
+            log(jobLog, "🚫 Missing dovi_tool path (input: Dovi Tool Path). Set it, e.g. from Install DV Tools (doviToolBin).");
+            throw new Error("Missing dovi_tool path");
+        }
+
+        const inputPath = args.inputFileObj.file;
+        const baseName = path.basename(inputPath, path.extname(inputPath));
+
+        const userRpuPath = (resolveInput(args.inputs.rpuPath, args) || "").toString().trim();
+        const cacheRpuPath = path.join(args.workDir, `${baseName}_RPU.bin`);
+        const sampleFrames = parseInt((resolveInput(args.inputs.sampleFrames, args) || "").toString().trim(), 10) || 240;
+
+        const samplePath = path.join(args.workDir, `${baseName}_ELTYPE_sample.hevc`);
+        const sampleRpuPath = path.join(args.workDir, `${baseName}_ELTYPE_RPU.bin`);
+        const tempFiles = [];
+
+        let rpuPath = "";
+        if (userRpuPath) {
+            if (!fs.existsSync(userRpuPath)) {
+                log(jobLog, `🚫 RPU not found: ${userRpuPath}`);
+                throw new Error("RPU input missing");
+            }
+            rpuPath = userRpuPath;
+        } else if (fs.existsSync(cacheRpuPath)) {
+            rpuPath = cacheRpuPath;
+        }
+
+        let elType = "";
+        try {
+            if (!rpuPath) {
+                log(jobLog, `🛠 Sampling ${sampleFrames} frames of the video to read the RPU...`);
+                const sampleArgs = [
+                    "-y", "-v", "error",
+                    "-i", inputPath,
+                    "-map", `0:${videoStream.index}`,
+                    "-c:v", "copy",
+                    "-bsf:v", "hevc_mp4toannexb",
+                    "-frames:v", String(sampleFrames),
+                    "-f", "hevc",
+                    samplePath,
+                ];
+                log(jobLog, `📋 Command: ffmpeg ${sampleArgs.join(' ')}`);
+                tempFiles.push(samplePath);
+                await runCapture("ffmpeg", sampleArgs, "ffmpeg");
+
+                const rpuArgs = ["extract-rpu", "-i", samplePath, "-o", sampleRpuPath];
+                log(jobLog, `📋 Command: ${doviToolPath} ${rpuArgs.join(' ')}`);
+                tempFiles.push(sampleRpuPath);
+                await runCapture(doviToolPath, rpuArgs, "dovi_tool");
+                rpuPath = sampleRpuPath;
+            }
+
+            const infoArgs = ["info", "-i", rpuPath, "--summary"];
+            log(jobLog, `📋 Command: ${doviToolPath} ${infoArgs.join(' ')}`);
+            const summary = await runCapture(doviToolPath, infoArgs, "dovi_tool");
+            console.log(`[dovi_tool]: ${summary.trim()}`);
+            elType = parseElType(summary);
+        } catch (err) {
+            log(jobLog, `⚠️ Unable to determine EL type: ${err.message}`);
+        } finally {
+            for (const tmpFile of tempFiles) {
+                try {
+                    if (fs.existsSync(tmpFile)) fs.unlinkSync(tmpFile);
+                } catch (err) {
+                    // Best-effort cleanup
+                }
+            }
+        }
+
+        if (!elType) {
+            return notP7("Profile 7 EL type could not be determined");
+        }
+
+        const outputNumber = elType === "FEL" ? 1 : 2;
+        log(jobLog, `✔ Dolby Vision Profile 7 ${elType} (RPU: ${rpuPath === sampleRpuPath ? "sampled" : rpuPath}) → output ${outputNumber}`);
+
+        return {
+            outputFileObj: args.inputFileObj,
+            outputNumber,
+            variables: {
+                ...args.variables,
+                dvElType: elType,
+                videoStreamIndex,
+            },
+        };
+    };
+    exports.plugin = plugin;
+
+})(); // end closure
@@ -3,12 +3,49 @@
 /**
  * Filter plugin: checks if the input file is Dolby Vision Profile 8.x (excluding 8.1).
  * Routes to output 1 when DV8.x (not 8.1), otherwise output 2.
+ * Strict mode verifies title-only matches against the bitstream; unverified
+ * matches are rejected or routed to output 3 (suspect).
  */
 
 (function () {
     Object.defineProperty(exports, "__esModule", {value: true});
     exports.plugin = exports.details = void 0;
 
+    // Strict mode (title/codec-tag verification) is shared by the Dolby Vision filters
+    const {applyStrictMode, parseStrictMode} = require("../../../../LocalFlowHelpers/strictDolbyVision/1.0.0/index");
+    const {selectVideoStream} = require("../../../../LocalFlowHelpers/videoStream/1.0.0/index");
+
+    // Resolve inputs that may be wrapped in {{{ }}} to reference args.* values
+    function resolveInput(value, args) {
+        if (typeof value !== "string") return value;
+        const match = value.match(/^\{\{\{\s*(.+?)\s*\}\}\}$/);
+        if (!match) return value;
+
+        const baseExpr = match[1].trim();
+        const attempts = [baseExpr];
+
+        // Support both args.variables.user.* (old) and args.variables.* (new)
+        const userPrefixes = ["args.variables.user.", "variables.user."];
+        userPrefixes.forEach((prefix) => {
+            if (baseExpr.startsWith(prefix)) {
+                attempts.push(baseExpr.replace(prefix, prefix.replace(".user", "")));
+            }
+        });
+
+        for (const expr of attempts) {
+            try {
+                const fn = new Function("args", `return ${expr};`);
+                const resolved = fn(args);
+                if (resolved !== undefined && resolved !== null) return resolved;
+            } catch (err) {
+                console.warn(`Failed to resolve placeholder ${value} with expr "${expr}": ${err.message}`);
+            }
+        }
+
+        // Unresolved placeholders should not propagate as literal "{{{...}}}"
+        return "";
+    }
+
     const details = () => ({
         name: "Check Dolby Vision 8.x (not 8.1)",
         description: "Filter: is the video Dolby Vision Profile 8.x excluding 8.1?",
@@ -19,15 +56,33 @@
         requiresVersion: "2.11.01",
         sidebarPosition: -1,
         icon: "faQuestion",
-        inputs: [],
+        inputs: [
+            {
+                label: "Strict Mode",
+                name: "strictMode",
+                tooltip: "How to treat matches that only come from stream titles or codec tags. off: accept them (default). reject: verify against the file: DOVI side data must not name another profile, and the first 48 frames must carry Profile 8 (HEVC RPU NAL units, whose header gives the profile, or AV1 Dolby Vision metadata OBUs; other codecs cannot be verified); unverified matches are treated as not DV. suspect: same check, but unverified matches go to the suspect output.",
+                inputType: "string",
+                defaultValue: "off",
+                inputUI: {type: "text"},
+            },
+            {
+                label: "Video Stream Index",
+                name: "videoStreamIndex",
+                tooltip: "ffprobe index of the video stream to use. Defaults to the stream chosen by an earlier plugin (videoStreamIndex). Leave empty to select automatically: cover art and still images are skipped, then the highest resolution, longest and default-flagged stream wins.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.videoStreamIndex}}}",
+                inputUI: {type: "text"},
+            },
+        ],
         outputs: [
             {number: 1, tooltip: "File is Dolby Vision Profile 8.x (not 8.1)"},
             {number: 2, tooltip: "File is NOT Dolby Vision Profile 8.x (or is 8.1)"},
+            {number: 3, tooltip: "Suspect: only the title claims Dolby Vision Profile 8.x (strict mode 'suspect')"},
         ],
     });
     exports.details = details;
 
-    const plugin = (args) => {
+    const plugin = async (args) => {
         const lib = require("../../../../../methods/lib")();
         args.inputs = lib.loadDefaultValues(args.inputs, details);
 
@@ -36,39 +91,47 @@
             throw new Error("File has no stream data");
         }
 
+        const strictMode = parseStrictMode(resolveInput(args.inputs.strictMode, args), args.jobLog);
+
         let isDV8x = false;
+        let detectionSource = "";
 
-        for (let i = 0; i < streams.length; i++) {
-            const stream = streams[i];
-            if (stream.codec_type !== "video") continue;
+        // Only the main video stream decides; cover art and extra angles are ignored
+        const videoStream = selectVideoStream(streams, resolveInput(args.inputs.videoStreamIndex, args), args.jobLog);
 
-            const sideDataList = stream.side_data_list || [];
+        if (videoStream) {
+            const sideDataList = videoStream.side_data_list || [];
             const dvSide = sideDataList.find(sd => typeof sd?.dv_profile !== "undefined");
 
-            if (dvSide && Number(dvSide.dv_profile) === 8) {
-                const compat = Number(dvSide.dv_bl_signal_compatibility_id);
-                // Exclude 8.1 (compat == 1), accept other 8.x
-                if (compat !== 1) {
-                    isDV8x = true;
-                    break;
-                }
-            }
-
             const title =
-                (stream.tags?.title || args.inputFileObj?.ffProbeData?.format?.tags?.title || "")
+                (videoStream.tags?.title || args.inputFileObj?.ffProbeData?.format?.tags?.title || "")
                     .toLowerCase();
-            if (title.includes("profile 8.") || title.includes("dv8.")) {
-                // If title explicitly says 8.1, treat as not matching this filter
-                if (title.includes("8.1") || title.includes("8,1")) continue;
+            // Exclude 8.1 (compat == 1), accept other 8.x
+            if (dvSide && Number(dvSide.dv_profile) === 8 && Number(dvSide.dv_bl_signal_compatibility_id) !== 1) {
                 isDV8x = true;
-                break;
+                detectionSource = "sidedata";
+            } else if (title.includes("profile 8.") || title.includes("dv8.")) {
+                // If title explicitly says 8.1, treat as not matching this filter
+                isDV8x = !(title.includes("8.1") || title.includes("8,1"));
             }
         }
 
+        let suspect = false;
+        if (isDV8x && !detectionSource) {
+            const strict = await applyStrictMode(strictMode, args.inputFileObj.file, videoStream, 8, args.jobLog);
+            isDV8x = strict.accepted;
+            suspect = strict.suspect;
+            detectionSource = strict.source;
+        }
+
         return {
             outputFileObj: args.inputFileObj,
-            outputNumber: isDV8x ? 1 : 2,
-            variables: args.variables,
+            outputNumber: isDV8x ? 1 : suspect ? 3 : 2,
+            variables: {
+                ...args.variables,
+                dvDetectionSource: isDV8x || suspect ? detectionSource : "",
+                videoStreamIndex: videoStream ? videoStream.index : "",
+            },
         };
     };
     exports.plugin = plugin;
@@ -0,0 +1,219 @@
+"use strict";
+
+/**
+ * Filter plugin: classifies the HDR format of the primary video stream.
+ * Outputs: 1 = SDR, 2 = HLG, 3 = HDR10, 4 = HDR10+, 5 = Dolby Vision.
+ * Publishes hdrFormat, hasHdr10Plus, maxCll and maxFall for downstream plugins.
+ */
+
+(function () {
+    Object.defineProperty(exports, "__esModule", {value: true});
+    exports.plugin = exports.details = void 0;
+
+    const {spawn} = require("child_process");
+    const {selectVideoStream} = require("../../../../LocalFlowHelpers/videoStream/1.0.0/index");
+
+    // Resolve inputs that may be wrapped in {{{ }}} to reference args.* values
+    function resolveInput(value, args) {
+        if (typeof value !== "string") return value;
+        const match = value.match(/^\{\{\{\s*(.+?)\s*\}\}\}$/);
+        if (!match) return value;
+
+        const baseExpr = match[1].trim();
+        const attempts = [baseExpr];
+
+        // Support both args.variables.user.* (old) and args.variables.* (new)
+        const userPrefixes = ["args.variables.user.", "variables.user."];
+        userPrefixes.forEach((prefix) => {
+            if (baseExpr.startsWith(prefix)) {
+                attempts.push(baseExpr.replace(prefix, prefix.replace(".user", "")));
+            }
+        });
+
+        for (const expr of attempts) {
+            try {
+                const fn = new Function("args", `return ${expr};`);
+                const resolved = fn(args);
+                if (resolved !== undefined && resolved !== null) return resolved;
+            } catch (err) {
+                console.warn(`Failed to resolve placeholder ${value} with expr "${expr}": ${err.message}`);
+            }
+        }
+
+        // Unresolved placeholders should not propagate as literal "{{{...}}}"
+        return "";
+    }
+
+    // Run a command and resolve with its stdout
+    function runCapture(command, cmdArgs, label) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, cmdArgs, {stdio: "pipe"});
+
+            let stdout = "";
+            let stderr = "";
+
+            child.on("error", (err) => reject(new Error(`Failed to start ${label}: ${err.message}`)));
+            child.stdout.on("data", (data) => { stdout += data.toString(); });
+            child.stderr.on("data", (data) => { stderr += data.toString(); });
+            child.on("close", (code) => {
+                if (code === 0) return resolve(stdout);
+                reject(new Error(`${label} exited with code ${code}: ${stderr.trim()}`));
+            });
+        });
+    }
+
+
+    const sideDataType = (sd) => (typeof sd?.side_data_type === "string" ? sd.side_data_type.toLowerCase() : "");
+    const isHdr10PlusSideData = (sd) => sideDataType(sd).includes("2094-40") || sideDataType(sd).includes("hdr10+");
+    const isContentLightSideData = (sd) => sideDataType(sd).includes("content light level");
+
+    // Read side data from the first few frames (HDR10+ SEI is only visible at frame level)
+    async function probeFrameSideData(inputPath, streamIndex) {
+        const probeArgs = [
+            "-v", "error",
+            "-select_streams", String(streamIndex),
+            "-read_intervals", "%+#3",
+            "-show_frames",
+            "-show_entries", "frame=side_data_list",
+            "-of", "json",
+            inputPath,
+        ];
+        const stdout = await runCapture("ffprobe", probeArgs, "ffprobe");
+        const data = JSON.parse(stdout || "{}");
+        return (data.frames || []).flatMap((frame) => frame.side_data_list || []);
+    }
+
+    const details = () => ({
+        name: "Check HDR Format",
+        description: "Filter: classify the primary video stream as SDR, HLG, HDR10, HDR10+ or Dolby Vision.",
+        style: {borderColor: "orange"},
+        tags: "video",
+        isStartPlugin: false,
+        pType: "",
+        requiresVersion: "2.11.01",
+        sidebarPosition: -1,
+        icon: "faQuestion",
+        inputs: [
+            {
+                label: "Probe Frames for HDR10+",
+                name: "probeFrames",
+                tooltip: "Run ffprobe on the first few frames to look for HDR10+ (SMPTE 2094-40) SEI and per-frame content light level data. Stream-level ffprobe data does not expose HDR10+. Default: enabled.",
+                inputType: "boolean",
+                defaultValue: "true",
+                inputUI: {type: "switch"},
+            },
+            {
+                label: "Video Stream Index",
+                name: "videoStreamIndex",
+                tooltip: "ffprobe index of the video stream to use. Defaults to the stream chosen by an earlier plugin (videoStreamIndex). Leave empty to select automatically: cover art and still images are skipped, then the highest resolution, longest and default-flagged stream wins.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.videoStreamIndex}}}",
+                inputUI: {type: "text"},
+            },
+        ],
+        outputs: [
+            {number: 1, tooltip: "Video is SDR"},
+            {number: 2, tooltip: "Video is HLG"},
+            {number: 3, tooltip: "Video is HDR10 (PQ, static metadata only)"},
+            {number: 4, tooltip: "Video is HDR10+ (PQ with SMPTE 2094-40 dynamic metadata)"},
+            {number: 5, tooltip: "Video has Dolby Vision metadata"},
+        ],
+    });
+    exports.details = details;
+
+    const plugin = async (args) => {
+        const lib = require("../../../../../methods/lib")();
+        args.inputs = lib.loadDefaultValues(args.inputs, details);
+
+        const jobLog = args.jobLog;
+
+        const streams = args?.inputFileObj?.ffProbeData?.streams;
+        if (!Array.isArray(streams)) {
+            throw new Error("File has no stream data");
+        }
+
+        const videoStream = selectVideoStream(streams, resolveInput(args.inputs.videoStreamIndex, args), jobLog);
+        if (!videoStream) {
+            throw new Error("File has no video stream");
+        }
+
+        const probeFrames = String(resolveInput(args.inputs.probeFrames, args)) !== "false";
+
+        const colorTransfer = (videoStream.color_transfer || "").toLowerCase();
+        const colorPrimaries = (videoStream.color_primaries || "").toLowerCase();
+        const streamSideData = videoStream.side_data_list || [];
+
+        let frameSideData = [];
+        if (probeFrames) {
+            try {
+                frameSideData = await probeFrameSideData(args.inputFileObj.file, videoStream.index);
+            } catch (err) {
+                jobLog(`⚠️ Frame probe failed, using stream data only: ${err.message}`);
+            }
+        }
+        const allSideData = [...streamSideData, ...frameSideData];
+
+        // Dolby Vision: DOVI configuration record, per-frame DV metadata or DV sample entry
+        const codecTag = (videoStream.codec_tag_string || "").toLowerCase();
+        const hasDolbyVision =
+            allSideData.some((sd) =>
+                typeof sd?.dv_profile !== "undefined" ||
+                sideDataType(sd).includes("dovi") ||
+                sideDataType(sd).includes("dolby vision")
+            ) ||
+            codecTag.startsWith("dv") ||
+            codecTag === "dav1";
+
+        // HDR10+: frame-level SEI, or MediaInfo's HDR_Format when Tdarr collected it
+        const mediaInfoTracks = (args.inputFileObj?.mediaInfo?.track || []).filter((t) => t["@type"] === "Video");
+        const mediaInfoVideo = mediaInfoTracks.find((t) => String(t.StreamOrder) === String(videoStream.index)) || mediaInfoTracks[0];
+        const mediaInfoHdr = `${mediaInfoVideo?.HDR_Format || ""} ${mediaInfoVideo?.HDR_Format_Compatibility || ""}`.toLowerCase();
+        const hasHdr10Plus = allSideData.some(isHdr10PlusSideData) || mediaInfoHdr.includes("hdr10+") || mediaInfoHdr.includes("2094 app 4");
+
+        // Content light level: prefer stream-level, fall back to the first frame that carries it
+        const contentLight = streamSideData.find(isContentLightSideData) || frameSideData.find(isContentLightSideData);
+        const maxCll = contentLight && typeof contentLight.max_content !== "undefined" ? Number(contentLight.max_content) : "";
+        const maxFall = contentLight && typeof contentLight.max_average !== "undefined" ? Number(contentLight.max_average) : "";
+
+        // A mastering display on a BT.2020 stream with no transfer tag is almost always untagged PQ
+        const hasMasteringDisplay = allSideData.some((sd) => sideDataType(sd).includes("mastering display"));
+        const isPq = colorTransfer === "smpte2084" || (!colorTransfer && colorPrimaries === "bt2020" && hasMasteringDisplay);
+        const isHlg = colorTransfer === "arib-std-b67";
+
+        let hdrFormat;
+        let outputNumber;
+        if (hasDolbyVision) {
+            hdrFormat = "Dolby Vision";
+            outputNumber = 5;
+        } else if (isPq && hasHdr10Plus) {
+            hdrFormat = "HDR10+";
+            outputNumber = 4;
+        } else if (isPq) {
+            hdrFormat = "HDR10";
+            outputNumber = 3;
+        } else if (isHlg) {
+            hdrFormat = "HLG";
+            outputNumber = 2;
+        } else {
+            hdrFormat = "SDR";
+            outputNumber = 1;
+        }
+
+        jobLog(`HDR format: ${hdrFormat} | transfer=${colorTransfer || "unknown"} | primaries=${colorPrimaries || "unknown"} | HDR10+=${hasHdr10Plus} | MaxCLL=${maxCll} | MaxFALL=${maxFall} → output ${outputNumber}`);
+
+        return {
+            outputFileObj: args.inputFileObj,
+            outputNumber,
+            variables: {
+                ...args.variables,
+                hdrFormat,
+                hasHdr10Plus,
+                maxCll,
+                maxFall,
+                videoStreamIndex: videoStream.index,
+            },
+        };
+    };
+    exports.plugin = plugin;
+
+})(); // end closure
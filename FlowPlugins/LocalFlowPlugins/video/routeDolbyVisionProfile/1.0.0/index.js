@@ -0,0 +1,280 @@
+"use strict";
+
+/**
+ * Filter plugin: routes the input file by Dolby Vision profile in a single node.
+ * Outputs: 1 = P4, 2 = P5, 3 = P7, 4 = P8.1, 5 = P8.2, 6 = P8.4, 7 = P9/P10, 8 = no DV,
+ * 9 = suspect (DV without a usable profile number, or unverified in strict mode 'suspect').
+ * Also publishes dvProfile, dvBlCompatId, dvLevel, dvRpuPresent, dvElPresent and dvDetectionSource.
+ * Strict mode verifies title/codec-tag matches against the bitstream; unverified
+ * matches are treated as no DV or routed to output 9.
+ */
+
+(function () {
+    Object.defineProperty(exports, "__esModule", {value: true});
+    exports.plugin = exports.details = void 0;
+
+    // Strict mode (title/codec-tag verification) is shared by the Dolby Vision filters
+    const {applyStrictMode, parseStrictMode} = require("../../../../LocalFlowHelpers/strictDolbyVision/1.0.0/index");
+    const {selectVideoStream} = require("../../../../LocalFlowHelpers/videoStream/1.0.0/index");
+
+    // Resolve inputs that may be wrapped in {{{ }}} to reference args.* values
+    function resolveInput(value, args) {
+        if (typeof value !== "string") return value;
+        const match = value.match(/^\{\{\{\s*(.+?)\s*\}\}\}$/);
+        if (!match) return value;
+
+        const baseExpr = match[1].trim();
+        const attempts = [baseExpr];
+
+        // Support both args.variables.user.* (old) and args.variables.* (new)
+        const userPrefixes = ["args.variables.user.", "variables.user."];
+        userPrefixes.forEach((prefix) => {
+            if (baseExpr.startsWith(prefix)) {
+                attempts.push(baseExpr.replace(prefix, prefix.replace(".user", "")));
+            }
+        });
+
+        for (const expr of attempts) {
+            try {
+                const fn = new Function("args", `return ${expr};`);
+                const resolved = fn(args);
+                if (resolved !== undefined && resolved !== null) return resolved;
+            } catch (err) {
+                console.warn(`Failed to resolve placeholder ${value} with expr "${expr}": ${err.message}`);
+            }
+        }
+
+        // Unresolved placeholders should not propagate as literal "{{{...}}}"
+        return "";
+    }
+
+
+    const details = () => ({
+        name: "Route by Dolby Vision Profile",
+        description: "Filter: route the video by Dolby Vision profile (P4, P5, P7, P8.1, P8.2, P8.4, P9/P10 or no DV).",
+        style: {borderColor: "orange"},
+        tags: "video",
+        isStartPlugin: false,
+        pType: "",
+        requiresVersion: "2.11.01",
+        sidebarPosition: -1,
+        icon: "faQuestion",
+        inputs: [
+            {
+                label: "Strict Mode",
+                name: "strictMode",
+                tooltip: "How to treat matches that only come from stream titles or codec tags. off: accept them (default). reject: verify against the file: DOVI side data must not name another profile, and the first 48 frames must carry the profile the title names (HEVC RPU NAL units, whose header gives the profile, or AV1 Dolby Vision metadata OBUs; other codecs cannot be verified); unverified matches are treated as not DV. suspect: same check, but unverified matches go to the suspect output.",
+                inputType: "string",
+                defaultValue: "off",
+                inputUI: {type: "text"},
+            },
+            {
+                label: "Video Stream Index",
+                name: "videoStreamIndex",
+                tooltip: "ffprobe index of the video stream to use. Defaults to the stream chosen by an earlier plugin (videoStreamIndex). Leave empty to select automatically: cover art and still images are skipped, then the highest resolution, longest and default-flagged stream wins.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.videoStreamIndex}}}",
+                inputUI: {type: "text"},
+            },
+        ],
+        outputs: [
+            {number: 1, tooltip: "File is Dolby Vision Profile 4"},
+            {number: 2, tooltip: "File is Dolby Vision Profile 5"},
+            {number: 3, tooltip: "File is Dolby Vision Profile 7"},
+            {number: 4, tooltip: "File is Dolby Vision Profile 8.1 (HDR10-compatible base layer)"},
+            {number: 5, tooltip: "File is Dolby Vision Profile 8.2 (SDR-compatible base layer)"},
+            {number: 6, tooltip: "File is Dolby Vision Profile 8.4 (HLG-compatible base layer)"},
+            {number: 7, tooltip: "File is Dolby Vision Profile 9 (AVC) or 10 (AV1)"},
+            {number: 8, tooltip: "File does NOT have Dolby Vision metadata"},
+            {number: 9, tooltip: "Suspect: Dolby Vision was detected but its profile could not be determined, or only the title/codec tag claims it (strict mode 'suspect')"},
+        ],
+    });
+    exports.details = details;
+
+    // A profile in use today (4, 5, 7, 8, 9, 10) with an optional compat suffix, not followed by more digits
+    // or a letter, so "DV 2160p", "DV 4K" and "DV 10-bit" are not read as profiles
+    const TITLE_PROFILE = String.raw`(10|[45789])(?:[.,](\d))?(?![\da-z]|-bit)`;
+
+    // Parse a profile (and optional compat suffix) out of a title such as "DV8.1", "DV Profile 7" or "Dolby Vision 5"
+    function profileFromTitle(title) {
+        const patterns = [
+            new RegExp(String.raw`dolby\s*vision\s*(?:profile\s*)?${TITLE_PROFILE}`),
+            new RegExp(String.raw`\b(?:dv|dovi)\s*profile\s*${TITLE_PROFILE}`),
+            new RegExp(String.raw`\bdv\s*${TITLE_PROFILE}`),
+        ];
+        for (const re of patterns) {
+            const m = title.match(re);
+            if (m) {
+                return {
+                    profile: Number(m[1]),
+                    compatId: typeof m[2] !== "undefined" ? Number(m[2]) : null,
+                };
+            }
+        }
+        return null;
+    }
+
+    // Inspect one video stream; returns null when no Dolby Vision hint is found
+    function detectDolbyVision(stream, formatTitle) {
+        const sideDataList = stream.side_data_list || [];
+        const dvSide = sideDataList.find(
+            (sd) =>
+                typeof sd?.dv_profile !== "undefined" ||
+                (typeof sd?.side_data_type === "string" && sd.side_data_type.toLowerCase().includes("dovi"))
+        );
+
+        if (dvSide && typeof dvSide.dv_profile !== "undefined") {
+            const toFlag = (value) => (typeof value === "undefined" ? null : Number(value) === 1);
+            return {
+                source: "sidedata",
+                profile: Number(dvSide.dv_profile),
+                compatId: typeof dvSide.dv_bl_signal_compatibility_id !== "undefined"
+                    ? Number(dvSide.dv_bl_signal_compatibility_id)
+                    : null,
+                level: typeof dvSide.dv_level !== "undefined" ? Number(dvSide.dv_level) : null,
+                rpuPresent: toFlag(dvSide.rpu_present_flag),
+                elPresent: toFlag(dvSide.el_present_flag),
+            };
+        }
+
+        const codecTag = (stream.codec_tag_string || "").toLowerCase();
+        const codecName = (stream.codec_name || "").toLowerCase();
+        const title = (stream.tags?.title || formatTitle || "").toLowerCase();
+        const titleHint = profileFromTitle(title);
+        const titleSaysDv = title.includes("dolby vision") || title.includes("dv profile") || titleHint !== null;
+
+        // DV sample entries: dvh1/dvhe (HEVC), dva1/dvav (AVC), dav1 (AV1)
+        const dvCodec = codecTag.startsWith("dv") || codecTag === "dav1" || codecName.startsWith("dv");
+        const isDv = Boolean(dvSide) || dvCodec || titleSaysDv;
+        if (!isDv) return null;
+
+        let profile = titleHint ? titleHint.profile : null;
+        const compatId = titleHint ? titleHint.compatId : null;
+
+        // Sample entries that only exist for one codec family pin down P9/P10
+        if (profile === null) {
+            if (codecTag === "dav1" || (dvCodec && codecName === "av1")) profile = 10;
+            else if (codecTag === "dva1" || codecTag === "dvav" || (dvCodec && codecName === "h264")) profile = 9;
+        }
+
+        return {
+            source: dvSide ? "sidedata" : dvCodec ? "codec" : "title",
+            profile,
+            compatId,
+            level: null,
+            rpuPresent: null,
+            elPresent: null,
+        };
+    }
+
+    // Map a detection result to the output number
+    // DV without a routable profile (e.g. a bare dvhe tag or a "Dolby Vision" title) is suspect, not "no DV"
+    function outputForProfile(dv) {
+        if (!dv) return 8;
+        switch (dv.profile) {
+            case 4:
+                return 1;
+            case 5:
+                return 2;
+            case 7:
+                return 3;
+            case 8:
+                // 8.6 (Blu-ray HDR10-compatible BL) and unknown compat IDs behave like 8.1 for playback
+                if (dv.compatId === 2) return 5;
+                if (dv.compatId === 4) return 6;
+                return 4;
+            case 9:
+            case 10:
+                return 7;
+            default:
+                return 9;
+        }
+    }
+
+    const plugin = async (args) => {
+        const lib = require("../../../../../methods/lib")();
+        args.inputs = lib.loadDefaultValues(args.inputs, details);
+
+        const streams = args?.inputFileObj?.ffProbeData?.streams;
+        if (!Array.isArray(streams)) {
+            throw new Error("File has no stream data");
+        }
+
+        const strictMode = parseStrictMode(resolveInput(args.inputs.strictMode, args), args.jobLog);
+        const formatTitle = args.inputFileObj?.ffProbeData?.format?.tags?.title || "";
+
+        // Only the main video stream decides; cover art and extra angles are ignored
+        const videoStream = selectVideoStream(streams, resolveInput(args.inputs.videoStreamIndex, args), args.jobLog);
+        const videoStreamIndex = videoStream ? videoStream.index : "";
+
+        const dv = videoStream ? detectDolbyVision(videoStream, formatTitle) : null;
+
+        let detectionSource = dv ? "sidedata" : "";
+        if (dv && dv.source !== "sidedata") {
+            const strict = await applyStrictMode(strictMode, args.inputFileObj.file, videoStream, dv.profile, args.jobLog);
+            detectionSource = strict.source;
+            // A codec tag without a title profile leaves the profile open; the bitstream can fill it in
+            if (strict.accepted && dv.profile === null && strict.profile !== null) dv.profile = strict.profile;
+            if (!strict.accepted) {
+                args.jobLog(`✖ Unverified Dolby Vision match (${dv.source}) → output ${strict.suspect ? 9 : 8}`);
+                return {
+                    outputFileObj: args.inputFileObj,
+                    outputNumber: strict.suspect ? 9 : 8,
+                    variables: {
+                        ...args.variables,
+                        dvProfile: "",
+                        dvBlCompatId: "",
+                        dvLevel: "",
+                        dvRpuPresent: false,
+                        dvElPresent: false,
+                        dvDetectionSource: strict.suspect ? detectionSource : "",
+                        videoStreamIndex,
+                    },
+                };
+            }
+        }
+
+        const outputNumber = outputForProfile(dv);
+
+        let variables = {
+            ...args.variables,
+            dvProfile: "",
+            dvBlCompatId: "",
+            dvLevel: "",
+            dvRpuPresent: false,
+            dvElPresent: false,
+            dvDetectionSource: "",
+            videoStreamIndex,
+        };
+
+        if (dv) {
+            // Without side data, assume an RPU exists and that only P4/P7 carry an enhancement layer
+            const rpuPresent = dv.rpuPresent !== null ? dv.rpuPresent : true;
+            const elPresent = dv.elPresent !== null ? dv.elPresent : dv.profile === 4 || dv.profile === 7;
+
+            variables = {
+                ...variables,
+                dvProfile: dv.profile !== null ? dv.profile : "unknown",
+                dvBlCompatId: dv.compatId !== null ? dv.compatId : "",
+                dvLevel: dv.level !== null ? dv.level : "",
+                dvRpuPresent: rpuPresent,
+                dvElPresent: elPresent,
+                dvDetectionSource: detectionSource,
+            };
+
+            const compatSuffix = dv.compatId !== null ? `.${dv.compatId}` : "";
+            const suspectNote = outputNumber === 9 ? " (profile not routable, suspect)" : "";
+            args.jobLog(`Dolby Vision detected via ${dv.source}: profile ${dv.profile !== null ? dv.profile : "unknown"}${compatSuffix} | level=${variables.dvLevel} | RPU=${rpuPresent} | EL=${elPresent} → output ${outputNumber}${suspectNote}`);
+        } else {
+            args.jobLog("No Dolby Vision metadata detected → output 8");
+        }
+
+        return {
+            outputFileObj: args.inputFileObj,
+            outputNumber,
+            variables,
+        };
+    };
+    exports.plugin = plugin;
+
+})(); // end closure
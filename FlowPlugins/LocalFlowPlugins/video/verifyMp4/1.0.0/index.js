@@ -0,0 +1,334 @@
+"use strict";
+
+(function () {
+
+    Object.defineProperty(exports, "__esModule", {value: true});
+    exports.plugin = exports.details = void 0;
+
+    /**
+     * Verify Generated MP4 Plugin
+     * - ffprobes the MP4 from Build DV8.1 MP4 / Build DV8.1 MP4 (FFmpeg)
+     * - Checks the DOVI configuration record, audio/subtitle tracks against the exports manifests,
+     *   and track durations against the original source
+     * - Routes pass / fail to separate outputs (fail → Delete Generated MP4)
+     */
+
+    const fs = require("fs");
+    const path = require("path");
+    const {spawn} = require("child_process");
+    const {streamDuration, selectVideoStream} = require("../../../../LocalFlowHelpers/videoStream/1.0.0/index");
+
+    // Log helper (mirrors console + job log)
+    function log(jobLog, msg) {
+        jobLog(msg);
+        console.log(msg);
+    }
+
+    // Resolve inputs that may be wrapped in {{{ }}} to reference args.* values
+    function resolveInput(value, args) {
+        if (typeof value !== "string") return value;
+        const match = value.match(/^\{\{\{\s*(.+?)\s*\}\}\}$/);
+        if (!match) return value;
+
+        const baseExpr = match[1].trim();
+        const attempts = [baseExpr];
+
+        // Support both args.variables.user.* (old) and args.variables.* (new)
+        const userPrefixes = ["args.variables.user.", "variables.user."];
+        userPrefixes.forEach((prefix) => {
+            if (baseExpr.startsWith(prefix)) {
+                attempts.push(baseExpr.replace(prefix, prefix.replace(".user", "")));
+            }
+        });
+
+        for (const expr of attempts) {
+            try {
+                const fn = new Function("args", `return ${expr};`);
+                const resolved = fn(args);
+                if (resolved !== undefined && resolved !== null) return resolved;
+            } catch (err) {
+                console.warn(`Failed to resolve placeholder ${value} with expr "${expr}": ${err.message}`);
+            }
+        }
+
+        // Unresolved placeholders should not propagate as literal "{{{...}}}"
+        return "";
+    }
+
+    // Same naming as the builders: the manifest title, or "<LANG> - <codec>" when it has none
+    function buildAudioTitle(title, lang, codec) {
+        const cleaned = (title || "").trim();
+        if (cleaned) return cleaned;
+
+        const langPart = (lang || "").trim();
+        const prettyLang = langPart ? langPart.toUpperCase() : "Audio";
+        const labelMap = {
+            eac3: "Dolby Digital Plus",
+            ac3: "Dolby Digital",
+            truehd: "TrueHD",
+            dts: "DTS",
+            flac: "FLAC",
+            aac: "AAC"
+        };
+        const codecLabel = labelMap[(codec || "").toLowerCase()] || (codec ? codec.toUpperCase() : "");
+        return codecLabel ? `${prettyLang} - ${codecLabel}` : prettyLang;
+    }
+
+    function findDoviConfig(videoStream) {
+        const dvSide = (videoStream?.side_data_list || []).find((sd) => typeof sd?.dv_profile !== "undefined");
+        if (!dvSide) return null;
+        return {
+            profile: Number(dvSide.dv_profile),
+            compatId: Number(dvSide.dv_bl_signal_compatibility_id) || 0,
+        };
+    }
+
+    const formatDvProfile = (dv) => (dv.profile === 5 ? "5" : `${dv.profile}.${dv.compatId}`);
+
+    // "any" → undefined, "none" → null, "5" / "8.1" / "8.2" / "8.4" → {profile, compatId}
+    function parseDvProfileSpec(value) {
+        const spec = String(value || "").trim().toLowerCase();
+        if (!spec || spec === "any") return undefined;
+        if (spec === "none") return null;
+        if (spec === "5") return {profile: 5, compatId: 0};
+        const match = spec.match(/^8\.([124])$/);
+        if (match) return {profile: 8, compatId: Number(match[1])};
+        throw new Error(`Unknown Dolby Vision profile "${value}" (expected any, none, 5, 8.1, 8.2 or 8.4)`);
+    }
+
+    function runCapture(command, cmdArgs, label) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, cmdArgs, {stdio: "pipe"});
+            let stdout = "";
+            let stderr = "";
+            child.on("error", (err) => reject(new Error(`Failed to start ${label}: ${err.message}`)));
+            child.stdout.on("data", (data) => { stdout += data.toString(); });
+            child.stderr.on("data", (data) => { stderr += data.toString(); });
+            child.on("close", (code) => {
+                if (code === 0) return resolve(stdout);
+                reject(new Error(`${label} exited with code ${code}: ${stderr.trim()}`));
+            });
+        });
+    }
+
+    const readManifest = (file) => fs.readFileSync(file, "utf-8").trim().split("\n").filter(Boolean).map((line) => line.split("|"));
+
+    // MP4Box stores track names as the handler name; ffmpeg writes both
+    const trackTitle = (s) => s?.tags?.title || s?.tags?.handler_name || "";
+    const trackLang = (s) => (s?.tags?.language || "").toLowerCase();
+
+    // Language and title prefix of one output track against its manifest entry. The builders
+    // append marks like " (Converted)" or " [SDH]", so the title only has to start with the expected one.
+    function compareTrack(kind, position, stream, lang, title, failures) {
+        const label = `${kind} track ${position + 1}`;
+        // MP4Box names have their double quotes stripped
+        const expectedTitle = title.replace(/"/g, "");
+        if (lang && lang !== "und" && trackLang(stream) !== lang.toLowerCase()) {
+            failures.push(`${label}: language ${trackLang(stream) || "none"}, expected ${lang}`);
+        }
+        if (expectedTitle && !trackTitle(stream).startsWith(expectedTitle)) {
+            failures.push(`${label}: title "${trackTitle(stream)}", expected "${expectedTitle}…"`);
+        }
+    }
+
+    function checkDuration(label, actual, expected, tolerance, failures, upperBoundOnly = false) {
+        if (!expected) return;
+        if (!actual) {
+            failures.push(`${label}: no duration in the MP4`);
+            return;
+        }
+        const diff = actual - expected;
+        if (diff > tolerance || (!upperBoundOnly && -diff > tolerance)) {
+            failures.push(`${label}: ${actual.toFixed(3)}s, source ${expected.toFixed(3)}s (tolerance ${tolerance}s)`);
+        }
+    }
+
+    const details = () => ({
+        name: "Verify Generated MP4",
+        description: "Filter: does the MP4 from the build plugins have the expected Dolby Vision configuration, the tracks listed in the exports manifests, and durations matching the source?",
+        style: {borderColor: "orange"},
+        tags: "video",
+        isStartPlugin: false,
+        pType: "",
+        requiresVersion: "2.11.01",
+        sidebarPosition: -1,
+        icon: "faQuestion",
+        inputs: [
+            {
+                label: "MP4 File Path",
+                name: "mp4FilePath",
+                tooltip: "Path to the MP4 file to verify. Defaults to the file generated by the Build DV8.1 MP4 plugins.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.generatedMp4Path}}}",
+                inputUI: { type: "directory" },
+            },
+            {
+                label: "Audio Exports Path",
+                name: "audioExportsPath",
+                tooltip: "Path to audio exports manifest (from Extract Audio Tracks). Leave empty to use Tdarr cache directory + <basename>_audio.exports. The build plugin must run with Delete Sources After Remux off so the manifest is still there.",
+                inputType: "string",
+                defaultValue: "",
+                inputUI: { type: "directory" },
+            },
+            {
+                label: "Subtitle Exports Path",
+                name: "subtitleExportsPath",
+                tooltip: "Path to subtitle exports manifest. Leave empty to use Tdarr cache directory + <basename>_subtitles.exports. Without a manifest the MP4 must have no subtitle tracks.",
+                inputType: "string",
+                defaultValue: "",
+                inputUI: { type: "directory" },
+            },
+            {
+                label: "Expected Dolby Vision Profile",
+                name: "expectedDvProfile",
+                tooltip: "Dolby Vision configuration record the MP4 must carry. 8.1 / 8.2 / 8.4 / 5: that profile and compatibility ID. none: no record. any: not checked. {{{args.variables.mp4DvProfile}}} follows what Build DV8.1 MP4 wrote. Default: 8.1.",
+                inputType: "string",
+                defaultValue: "8.1",
+                inputUI: { type: "text" },
+            },
+            {
+                label: "Duration Tolerance (seconds)",
+                name: "durationTolerance",
+                tooltip: "Maximum difference between each track's duration and the source. Subtitle tracks end at their last cue, so they only must not run past the source. Default: 1.",
+                inputType: "string",
+                defaultValue: "1",
+                inputUI: { type: "text" },
+            },
+            {
+                label: "Video Stream Index",
+                name: "videoStreamIndex",
+                tooltip: "ffprobe index of the source video stream whose duration the MP4 video is compared with. Defaults to the stream chosen by an earlier plugin (videoStreamIndex). Leave empty to select automatically: cover art and still images are skipped, then the highest resolution, longest and default-flagged stream wins.",
+                inputType: "string",
+                defaultValue: "{{{args.variables.videoStreamIndex}}}",
+                inputUI: { type: "text" },
+            },
+        ],
+        outputs: [
+            {number: 1, tooltip: "MP4 passed verification"},
+            {number: 2, tooltip: "MP4 failed verification (missing, wrong DV configuration, track or duration mismatch)"},
+        ],
+    });
+    exports.details = details;
+
+    const plugin = async (args) => {
+        const lib = require("../../../../../methods/lib")();
+        args.inputs = lib.loadDefaultValues(args.inputs, details);
+
+        const jobLog = args.jobLog;
+        log(jobLog, "=== Verify Generated MP4 Start ===");
+
+        const inputFileObj = args.inputFileObj;
+        const inputPath = inputFileObj.file;
+        const baseName = path.basename(inputPath, path.extname(inputPath));
+        const workDir = args.workDir;
+
+        const mp4FilePath = (resolveInput(args.inputs.mp4FilePath, args) || "").toString().trim();
+        const audioExportsFile = (resolveInput(args.inputs.audioExportsPath, args)?.toString().trim()) || path.join(workDir, `${baseName}_audio.exports`);
+        const subtitleExportsFile = (resolveInput(args.inputs.subtitleExportsPath, args)?.toString().trim()) || path.join(workDir, `${baseName}_subtitles.exports`);
+        const expectedDv = parseDvProfileSpec(resolveInput(args.inputs.expectedDvProfile, args));
+        const tolerance = Number(resolveInput(args.inputs.durationTolerance, args));
+        const durationTolerance = Number.isFinite(tolerance) && tolerance >= 0 ? tolerance : 1;
+
+        const failures = [];
+        const finish = () => {
+            const passed = failures.length === 0;
+            if (passed) {
+                log(jobLog, "✔ MP4 passed verification → output 1");
+            } else {
+                failures.forEach((f) => log(jobLog, `🚫 ${f}`));
+                log(jobLog, `🚫 MP4 failed verification (${failures.length} problem(s)) → output 2`);
+            }
+            log(jobLog, "=== Verify Generated MP4 End ===");
+            return {
+                outputFileObj: inputFileObj,
+                outputNumber: passed ? 1 : 2,
+                variables: {...args.variables, mp4Verified: passed, mp4VerifyFailures: failures.join("; ")},
+            };
+        };
+
+        if (!mp4FilePath || !fs.existsSync(mp4FilePath)) {
+            failures.push(`MP4 not found: ${mp4FilePath || "(no path; run after a Build DV8.1 MP4 plugin)"}`);
+            return finish();
+        }
+        if (!fs.existsSync(audioExportsFile)) {
+            failures.push(`Audio exports not found: ${audioExportsFile} (turn Delete Sources After Remux off in the build plugin)`);
+            return finish();
+        }
+
+        const probeArgs = ["-v", "error", "-show_streams", "-show_format", "-of", "json", mp4FilePath];
+        log(jobLog, `📋 Command: ffprobe ${probeArgs.join(" ")}`);
+        let probe;
+        try {
+            probe = JSON.parse(await runCapture("ffprobe", probeArgs, "ffprobe") || "{}");
+        } catch (err) {
+            failures.push(`MP4 could not be probed: ${err.message}`);
+            return finish();
+        }
+        const streams = probe.streams || [];
+
+        // --- Video and DOVI configuration record ---
+        const videoStream = selectVideoStream(streams, "", jobLog);
+        const dv = findDoviConfig(videoStream);
+        log(jobLog, `🎬 Video: ${videoStream ? `${videoStream.codec_name} (${videoStream.codec_tag_string || "?"})` : "none"} | ${dv ? `Dolby Vision ${formatDvProfile(dv)}` : "no Dolby Vision configuration record"}`);
+        if (!videoStream) {
+            failures.push("No video track");
+        } else if (expectedDv === null && dv) {
+            failures.push(`Dolby Vision ${formatDvProfile(dv)} configuration record present, expected none`);
+        } else if (expectedDv && !dv) {
+            failures.push(`No Dolby Vision configuration record, expected ${formatDvProfile(expectedDv)}`);
+        } else if (expectedDv && (dv.profile !== expectedDv.profile || dv.compatId !== expectedDv.compatId)) {
+            failures.push(`Dolby Vision ${formatDvProfile(dv)} configuration record, expected ${formatDvProfile(expectedDv)}`);
+        }
+
+        // --- Audio against the manifest (file|id|newCodec|origCodec|delay|lang|title) ---
+        const audioEntries = readManifest(audioExportsFile);
+        const audioStreams = streams.filter((s) => s.codec_type === "audio");
+        log(jobLog, `🎧 Audio tracks: ${audioStreams.length} in MP4, ${audioEntries.length} in manifest`);
+        if (audioStreams.length !== audioEntries.length) {
+            failures.push(`${audioStreams.length} audio track(s), manifest lists ${audioEntries.length}`);
+        }
+        audioEntries.forEach(([, , newCodec, , , lang, title], i) => {
+            if (audioStreams[i]) compareTrack("Audio", i, audioStreams[i], lang, buildAudioTitle(title, lang, newCodec), failures);
+        });
+
+        // --- Subtitles against the manifest (file|index|lang|codec|delay|forced|title|...) ---
+        const subtitleEntries = fs.existsSync(subtitleExportsFile) ? readManifest(subtitleExportsFile) : [];
+        const subtitleStreams = streams.filter((s) => s.codec_type === "subtitle");
+        log(jobLog, `💬 Subtitle tracks: ${subtitleStreams.length} in MP4, ${subtitleEntries.length} in manifest`);
+        if (subtitleStreams.length !== subtitleEntries.length) {
+            failures.push(`${subtitleStreams.length} subtitle track(s), manifest lists ${subtitleEntries.length}`);
+        }
+        subtitleEntries.forEach(([, , lang, , , , title], i) => {
+            if (subtitleStreams[i]) compareTrack("Subtitle", i, subtitleStreams[i], lang, title || (lang ? lang.toUpperCase() : "Subtitle"), failures);
+        });
+
+        // --- Durations against the original source ---
+        // The MP4 is the working file by now, so the source comes from the library file
+        const sourceProbe = args.originalLibraryFile?.ffProbeData;
+        if (!sourceProbe?.streams) {
+            log(jobLog, "⚠️ No ffprobe data for the original file; durations not checked");
+            return finish();
+        }
+        const sourceDuration = Number(sourceProbe.format?.duration) || 0;
+        const sourceVideo = selectVideoStream(sourceProbe.streams, resolveInput(args.inputs.videoStreamIndex, args), jobLog);
+        const sourceAudio = sourceProbe.streams.filter((s) => s.codec_type === "audio");
+
+        if (videoStream) {
+            checkDuration("Video", streamDuration(videoStream), streamDuration(sourceVideo) || sourceDuration, durationTolerance, failures);
+        }
+        audioEntries.forEach(([, id], i) => {
+            if (!audioStreams[i]) return;
+            const expected = streamDuration(sourceAudio[Number(id)]) || sourceDuration;
+            checkDuration(`Audio track ${i + 1}`, streamDuration(audioStreams[i]), expected, durationTolerance, failures);
+        });
+        subtitleStreams.forEach((s, i) => {
+            checkDuration(`Subtitle track ${i + 1}`, streamDuration(s), sourceDuration, durationTolerance, failures, true);
+        });
+        log(jobLog, `🎞 Durations checked against the source (${sourceDuration.toFixed(3)}s, tolerance ${durationTolerance}s)`);
+
+        return finish();
+    };
+
+    exports.plugin = plugin;
+
+})();